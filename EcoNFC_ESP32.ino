@@ -121,6 +121,10 @@ bool ledActive = false;
 // Debug flag untuk logging detail
 bool debugMode = true;
 
+// Perintah remote dari <topic>/cmd, dijalankan di loop() (bukan di callback MQTT)
+String pendingCommand = "";
+bool commandPending = false;
+
 // ============ EEPROM CONFIG FUNCTIONS ============
 
 String configToJSON() {
@@ -646,6 +650,30 @@ bool sendDataViaHTTP(String jsonData, bool useHTTPS = false) {
 
 // ============ MQTT FUNCTIONS ============
 
+void publishCommandAck(String id, String cmd, bool ok, String message) {
+    if (!mqttClient.connected()) return;
+    
+    String statusTopic = currentConfig.mqttTopic.length() > 0 ? 
+                         currentConfig.mqttTopic + "/status" : 
+                         "sensors/" + currentConfig.deviceName + "/status";
+    
+    JsonDocument doc;
+    doc["type"] = "ack";
+    doc["id"] = id;
+    doc["cmd"] = cmd;
+    doc["ok"] = ok;
+    doc["message"] = message;
+    doc["interval"] = currentConfig.interval;
+    doc["debug"] = debugMode;
+    
+    char buffer[256];
+    serializeJson(doc, buffer);
+    
+    if (mqttClient.publish(statusTopic.c_str(), buffer)) {
+        Serial.println("📤 Ack sent: " + cmd + (ok ? " OK" : " FAILED"));
+    }
+}
+
 void mqttCallback(char* topic, byte* payload, unsigned int length) {
     Serial.print("📨 MQTT [");
     Serial.print(topic);
@@ -656,6 +684,18 @@ void mqttCallback(char* topic, byte* payload, unsigned int length) {
         message += (char)payload[i];
     }
     Serial.println(message);
+    
+    if (!String(topic).endsWith("/cmd")) return;
+    
+    if (commandPending) {
+        JsonDocument doc;
+        deserializeJson(doc, message);
+        publishCommandAck(doc["id"] | "", doc["cmd"] | "", false, "Busy");
+        return;
+    }
+    
+    pendingCommand = message;
+    commandPending = true;
 }
 
 bool reconnectMQTT() {
@@ -902,6 +942,67 @@ void publishHeartbeat() {
     }
 }
 
+// ============ MQTT REMOTE COMMANDS ============
+
+void handleRemoteCommand() {
+    commandPending = false;
+    
+    JsonDocument doc;
+    if (deserializeJson(doc, pendingCommand)) {
+        Serial.println("❌ Invalid command JSON");
+        return;
+    }
+    
+    String id = doc["id"] | "";
+    String cmd = doc["cmd"] | "";
+    Serial.println("\n🎛️ Remote command: " + cmd + " (" + id + ")");
+    
+    if (cmd == "recalibrate") {
+        kalibrasiSensor();
+        
+        // Kalibrasi memblokir loop, pastikan koneksi masih ada sebelum ack
+        if (!mqttClient.connected()) reconnectMQTT();
+        publishCommandAck(id, cmd, true, 
+            "Ro MQ135=" + String(Ro_MQ135, 3) + " MQ7=" + String(Ro_MQ7, 3) + " MQ9=" + String(Ro_MQ9, 3));
+        
+    } else if (cmd == "set_interval") {
+        unsigned long interval = doc["interval_ms"] | 0UL;
+        if (interval < 1000 || interval > 3600000) {
+            publishCommandAck(id, cmd, false, "Interval di luar rentang (1 s - 1 jam)");
+            return;
+        }
+        currentConfig.interval = interval;
+        saveConfigToEEPROM();
+        lastSensorSend = millis();
+        Serial.println("⏱️ Interval: " + String(currentConfig.interval) + "ms");
+        publishCommandAck(id, cmd, true, "Interval " + String(interval) + " ms");
+        
+    } else if (cmd == "reboot") {
+        publishCommandAck(id, cmd, true, "Rebooting");
+        mqttClient.loop();
+        delay(500);
+        ESP.restart();
+        
+    } else if (cmd == "clear_config") {
+        publishCommandAck(id, cmd, true, "Config cleared");
+        mqttClient.loop();
+        clearConfigFromEEPROM();
+        Serial.println("✅ Config cleared. Please scan NFC tag to reconfigure.");
+        
+    } else if (cmd == "debug") {
+        if (doc["enabled"].is<bool>()) {
+            debugMode = doc["enabled"];
+        } else {
+            debugMode = !debugMode;
+        }
+        Serial.println("🐛 Debug mode: " + String(debugMode ? "ENABLED" : "DISABLED"));
+        publishCommandAck(id, cmd, true, debugMode ? "Debug ON" : "Debug OFF");
+        
+    } else {
+        publishCommandAck(id, cmd, false, "Unknown command");
+    }
+}
+
 // ============ NFC FUNCTIONS ============
 
 bool parseJSONConfig(const char* jsonData) {
@@ -1306,6 +1407,10 @@ void loop() {
         }
     }
     
+    if (commandPending) {
+        handleRemoteCommand();
+    }
+    
     if (configurationValid && currentTime - lastSensorSend >= getSensorInterval()) {
         if (currentConfig.protocol == "SERIAL" || wifiConnected) {
             sendSensorData();
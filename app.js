@@ -1,12 +1,20 @@
 // ==================== CONFIGURATION ====================
 const CONFIG = {
+    // Default broker profile, used until others are added in Settings
     mqtt: {
         broker: 'broker.hivemq.com',
         port: 8884, // WebSocket port
         protocol: 'wss',
+        path: '/mqtt',
         username: '',
         password: '',
-        reconnectPeriod: 5000
+        clientIdPrefix: 'web_',
+        keepalive: 60,
+        backoffInitial: 1, // First reconnect delay in seconds, doubled per attempt
+        backoffMax: 60, // Longest reconnect delay in seconds
+        testTimeout: 10000,
+        maxErrors: 20, // Connection errors kept for diagnostics
+        discoveryTopic: 'sensors/+/info' // Where devices announce themselves (retained)
     },
     map: {
         defaultCenter: [-6.2088, 106.8456], // Jakarta
@@ -17,7 +25,133 @@ const CONFIG = {
     storage: {
         devices: 'aqi_devices',
         settings: 'aqi_settings',
-        sensorData: 'aqi_sensor_data'
+        sensorData: 'aqi_sensor_data', // Legacy history, migrated to IndexedDB
+        retention: 'aqi_retention',
+        vault: 'aqi_vault',
+        brokers: 'aqi_brokers',
+        commands: 'aqi_commands',
+        quarantine: 'aqi_quarantine',
+        decoders: 'aqi_decoders',
+        alertPublish: 'aqi_alert_publish',
+        ingest: 'aqi_ingest'
+    },
+    historyDb: {
+        name: 'aqi_history',
+        version: 3
+    },
+    rollups: {
+        resolutions: {
+            minute: 60000,
+            hour: 3600000,
+            day: 86400000
+        },
+        metrics: ['aqi', 'temp', 'humidity', 'mq135', 'mq7', 'mq9', 'adc_MQ135', 'adc_MQ7', 'adc_MQ9', 'ro_MQ135', 'ro_MQ7', 'ro_MQ9'],
+        // Longest time span each resolution is picked for automatically
+        autoSpan: {
+            raw: 2 * 3600000,
+            minute: 2 * 86400000,
+            hour: 60 * 86400000
+        }
+    },
+    // Publishing alerts to MQTT for other systems ({deviceId}, {metric}, {severity}, {event} in topics)
+    defaultAlertPublish: {
+        enabled: false,
+        topic: 'alerts/{deviceId}/{metric}',
+        qos: 1,
+        retainState: false, // Keep the device's open alerts retained on stateTopic
+        stateTopic: 'alerts/{deviceId}/state'
+    },
+    // Ingest server (server/server.js) relaying readings from HTTP/HTTPS devices
+    defaultIngest: {
+        enabled: false,
+        url: '', // https:// when the dashboard itself is served over HTTPS
+        token: '' // dashboardToken from the server's config.json
+    },
+    // Default retention (days, 0 = keep forever)
+    defaultRetention: {
+        rawDays: 14,
+        minuteDays: 30,
+        hourDays: 365,
+        dayDays: 0,
+        alertsDays: 90,
+        livePoints: 24,
+        devices: {} // Per-device overrides: { [deviceId]: { rawDays, hourDays, alertsDays } }
+    },
+    retentionPruneInterval: 3600000,
+    retentionUsageSample: 200, // Records serialized per store to estimate storage usage
+    // Device presence from <topic>/status (LWT, "online", heartbeat)
+    presence: {
+        heartbeatInterval: 20000, // Firmware HEARTBEAT_INTERVAL
+        staleFactor: 3, // Missed heartbeats/readings before a device turns stale
+        offlineAfter: 300000, // Devices never seen on /status fall back to data age
+        checkInterval: 15000
+    },
+    // Reading time from device uptime, for retained readings delivered on (re)subscribe
+    readingClock: {
+        bootTolerance: 30000 // Boot estimates further apart than this mean the device restarted
+    },
+    // Remote commands sent to <topic>/cmd and acknowledged on <topic>/status
+    commands: {
+        timeout: 15000,
+        timeouts: { recalibrate: 60000 }, // Calibration samples for ~15 s before acking
+        historyLimit: 50 // Commands kept per device
+    },
+    // Sensor payloads that failed validation
+    quarantine: {
+        limit: 200, // Entries kept, oldest dropped first
+        maxPayload: 2000 // Characters of the raw payload kept per entry
+    },
+    // Raw message inspector
+    inspector: {
+        bufferSize: 2000, // Messages kept in memory per tab
+        renderLimit: 200,
+        renderDelay: 250, // Batch re-renders while messages stream in
+        watchTopic: 'sensors/#', // Default extra subscription for topics no device uses
+        format: 'econfc-mqtt-capture',
+        version: 1
+    },
+    // Recorded sessions replayed through the message handler (same file format as the inspector)
+    replay: {
+        maxMessages: 20000 // Recording stops by itself after this many messages
+    },
+    // Virtual devices publishing readings shaped like the firmware's createSensorJSON
+    simulator: {
+        topicPrefix: 'sim/econfc',
+        idPrefix: 'SIM',
+        maxDevices: 200,
+        tick: 1000, // How often devices that are due publish
+        spread: 0.05, // Degrees around the map center virtual devices are placed within
+        defaults: {
+            count: 5,
+            interval: 10, // Seconds between readings
+            mode: 'broker', // broker | local
+            dayLength: 1440, // Minutes per simulated day (1440 = real time)
+            temp: 28,
+            humidity: 65,
+            mq135: 20,
+            mq7: 5,
+            mq9: 8,
+            noise: 5, // Standard deviation, % of the value
+            diurnal: 30, // Daily swing, % of the baseline
+            spikeChance: 2, // % per reading
+            spikeFactor: 8,
+            spikeLength: 6, // Readings
+            dropoutChance: 1, // % per reading
+            dropoutLength: 10, // Readings
+            lwt: 'yes' // Publish "offline" on /status when a device drops out
+        }
+    },
+    vault: {
+        iterations: 250000,
+        checkPhrase: 'econfc-vault'
+    },
+    tabs: {
+        channel: 'econfc_dashboard',
+        leaderLock: 'econfc_leader'
+    },
+    backup: {
+        format: 'econfc-backup',
+        version: 1
     },
     // Default thresholds
     defaultThresholds: {
@@ -50,8 +184,14 @@ const state = {
     },
     editingDevice: null, // For edit mode
     thresholds: null,
-    alerts: [],
-    sensorDataHistory: [] // Store sensor data for export
+    retention: null,
+    brokers: null,
+    commands: {}, // Command history per device: { [deviceId]: [newest, ...] }
+    quarantine: [], // Rejected sensor payloads, newest first
+    decoders: [], // User-defined payload decoders (JSON path mappings)
+    alertPublish: null,
+    ingest: null,
+    alerts: []
 };
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -68,6 +208,23 @@ const utils = {
         return date.toLocaleString();
     },
 
+    // Format byte size
+    formatBytes: (bytes) => {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`;
+    },
+
+    // Format time elapsed since a timestamp
+    formatAgo: (timestamp) => {
+        const seconds = Math.max(0, Math.floor((utils.now() - timestamp) / 1000));
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+        return `${Math.floor(seconds / 86400)}d ago`;
+    },
+
     // Format uptime
     formatUptime: (seconds) => {
         if (!seconds) return '--';
@@ -85,1470 +242,7877 @@ const utils = {
         return { text: 'Berbahaya', class: 'aqi-hazardous' };
     },
 
-    // Get device status
-    getDeviceStatus: (lastUpdate) => {
-        if (!lastUpdate) return { text: 'Offline', class: 'status-offline' };
-        const now = Date.now();
-        const diff = now - lastUpdate;
-        if (diff < 60000) return { text: 'Online', class: 'status-online' };
-        if (diff < 300000) return { text: 'Warning', class: 'status-warning' };
-        return { text: 'Offline', class: 'status-offline' };
-    },
+    // Current time, or the recorded time while a session is being replayed
+    now: () => (replayManager.active ? replayManager.clock() : Date.now()),
+
+    // Escape text for use inside HTML
+    escapeHtml: (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;'),
 
-    // Show toast notification
+    // Get device status badge from its presence state
+    getDeviceStatus: (device) => presenceManager.badge(presenceManager.getState(device)),
+
+    // Show toast notification (message is plain text, it may echo device data)
     showToast: (message, type = 'success') => {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : 'exclamation-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
         `;
+        toast.querySelector('span').textContent = message;
         document.body.appendChild(toast);
         setTimeout(() => {
             toast.remove();
         }, 3000);
+    }
+};
+
+// ==================== SCHEMA MIGRATIONS ====================
+const schemaManager = {
+    // Ordered upgrades per storage key. Each takes the data at the previous
+    // version and returns it at `version`. Unversioned data counts as version 0.
+    migrations: {
+        devices: [
+            {
+                version: 1,
+                description: 'Stamp schema version on stored devices',
+                migrate: (devices) => devices
+            },
+            {
+                version: 2,
+                description: 'Normalize device fields that drifted between app versions',
+                migrate: (devices) => devices.map(device => {
+                    const location = device.location || {};
+                    const lat = parseFloat(location.lat);
+                    const lng = parseFloat(location.lng);
+                    const normalized = {
+                        ...device,
+                        interval: parseInt(device.interval) || 30,
+                        serverPort: parseInt(device.serverPort) || 1883,
+                        mqttTopic: device.mqttTopic || `sensors/${device.deviceName}`,
+                        location: {
+                            lat: isNaN(lat) ? CONFIG.map.defaultCenter[0] : lat,
+                            lng: isNaN(lng) ? CONFIG.map.defaultCenter[1] : lng
+                        },
+                        lastUpdate: device.lastUpdate || null,
+                        lastData: device.lastData || null
+                    };
+
+                    // Older builds had no live chart history; drop partial ones
+                    const history = device.dataHistory;
+                    const fields = ['timestamps', 'aqi', 'temp', 'humidity'];
+                    if (history && !fields.every(f => Array.isArray(history[f]) && history[f].length === history.timestamps.length)) {
+                        delete normalized.dataHistory;
+                    }
+                    return normalized;
+                })
+            }
+        ],
+        settings: [
+            {
+                version: 1,
+                description: 'Stamp schema version on stored thresholds',
+                migrate: (settings) => settings
+            },
+            {
+                version: 2,
+                description: 'Fill thresholds missing from older settings with defaults',
+                migrate: (settings) => {
+                    const filled = {};
+                    Object.keys(CONFIG.defaultThresholds).forEach(metric => {
+                        filled[metric] = { ...CONFIG.defaultThresholds[metric], ...(settings[metric] || {}) };
+                    });
+                    return { ...settings, ...filled };
+                }
+            }
+        ],
+        retention: [
+            {
+                version: 1,
+                description: 'Stamp schema version on stored retention policy',
+                migrate: (retention) => retention
+            }
+        ],
+        vault: [
+            {
+                version: 1,
+                description: 'Vault metadata (salt, iterations, passphrase check)',
+                migrate: (vault) => vault
+            }
+        ],
+        brokers: [
+            {
+                version: 1,
+                description: 'MQTT broker connection profiles',
+                migrate: (brokers) => brokers
+            },
+            {
+                version: 2,
+                description: 'Add reconnect backoff settings to broker profiles',
+                migrate: (brokers) => ({
+                    ...brokers,
+                    profiles: brokers.profiles.map(profile => ({
+                        backoffInitial: CONFIG.mqtt.backoffInitial,
+                        backoffMax: CONFIG.mqtt.backoffMax,
+                        ...profile
+                    }))
+                })
+            },
+            {
+                version: 3,
+                description: 'Add device discovery topic to broker profiles',
+                migrate: (brokers) => ({
+                    ...brokers,
+                    profiles: brokers.profiles.map(profile => ({
+                        discoveryTopic: CONFIG.mqtt.discoveryTopic,
+                        ...profile
+                    }))
+                })
+            }
+        ],
+        commands: [
+            {
+                version: 1,
+                description: 'Remote command history per device',
+                migrate: (commands) => commands
+            }
+        ],
+        quarantine: [
+            {
+                version: 1,
+                description: 'Sensor payloads rejected by validation',
+                migrate: (quarantine) => quarantine
+            }
+        ],
+        decoders: [
+            {
+                version: 1,
+                description: 'User-defined payload decoders',
+                migrate: (decoders) => decoders
+            }
+        ],
+        alertPublish: [
+            {
+                version: 1,
+                description: 'Alert publishing to MQTT',
+                migrate: (alertPublish) => alertPublish
+            }
+        ],
+        ingest: [
+            {
+                version: 1,
+                description: 'HTTP ingest server connection',
+                migrate: (ingest) => ingest
+            }
+        ]
     },
 
-    // Export to Excel (CSV format)
-    exportToExcel: () => {
-        if (state.sensorDataHistory.length === 0) {
-            utils.showToast('No data to export', 'error');
-            return;
+    // Latest schema version for a storage key
+    latestVersion: (name) => {
+        const list = schemaManager.migrations[name] || [];
+        return list.length ? list[list.length - 1].version : 0;
+    },
+
+    // Split a stored value into its version and data
+    unwrap: (value) => {
+        if (value && typeof value === 'object' && !Array.isArray(value) && 'schemaVersion' in value) {
+            return { version: value.schemaVersion, data: value.data };
         }
+        return { version: 0, data: value };
+    },
 
-        // Prepare CSV content
-        let csv = 'Timestamp,Device Name,Location,AQI,Temperature (°C),Humidity (%),MQ135 (ppm),MQ7 (ppm),MQ9 (ppm)\n';
-        
-        state.sensorDataHistory.forEach(record => {
-            csv += `${utils.formatDate(record.timestamp)},${record.deviceName},${record.location},${record.aqi},${record.temp},${record.humidity},${record.mq135},${record.mq7},${record.mq9}\n`;
-        });
+    // Upgrade data from a version to the latest one
+    migrateData: (name, data, fromVersion) => {
+        return (schemaManager.migrations[name] || [])
+            .filter(m => m.version > fromVersion)
+            .reduce((result, m) => {
+                console.log(`Migrating ${name} to v${m.version}: ${m.description}`);
+                return m.migrate(result);
+            }, data);
+    },
 
-        // Create download link
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `sensor_data_${new Date().toISOString().split('T')[0]}.csv`;
-        link.click();
-        URL.revokeObjectURL(url);
+    // Upgrade every stored key in place (runs before anything is loaded)
+    run: () => {
+        Object.keys(schemaManager.migrations).forEach(name => {
+            const key = CONFIG.storage[name];
+            const raw = localStorage.getItem(key);
+            if (!raw) return;
 
-        utils.showToast('Data exported successfully!', 'success');
+            try {
+                const { version, data } = schemaManager.unwrap(JSON.parse(raw));
+                const latest = schemaManager.latestVersion(name);
+
+                if (version > latest) {
+                    console.warn(`${key} was written by a newer version (v${version}), leaving it untouched`);
+                    return;
+                }
+                if (version === latest) return;
+
+                // Keep the pre-migration value in case an upgrade goes wrong
+                localStorage.setItem(`${key}_backup_v${version}`, raw);
+                storage.write(name, schemaManager.migrateData(name, data, version));
+            } catch (error) {
+                console.error(`Migration of ${key} failed:`, error);
+                utils.showToast(`Migrasi data ${name} gagal, data lama dipertahankan`, 'error');
+            }
+        });
     }
 };
 
 // ==================== STORAGE MANAGEMENT ====================
 const storage = {
+    // Write a value stamped with its schema version
+    write: (name, data) => {
+        localStorage.setItem(CONFIG.storage[name], JSON.stringify({
+            schemaVersion: schemaManager.latestVersion(name),
+            data
+        }));
+    },
+
+    // Read a value, unwrapping the schema envelope if present
+    read: (name) => {
+        const raw = localStorage.getItem(CONFIG.storage[name]);
+        if (!raw) return null;
+        return schemaManager.unwrap(JSON.parse(raw)).data;
+    },
+
     // Save devices
     saveDevices: () => {
-        localStorage.setItem(CONFIG.storage.devices, JSON.stringify(state.devices));
+        // A replay that is not saved keeps its device state in memory
+        if (replayManager.sandboxed()) return;
+        storage.write('devices', state.devices);
         console.log('Devices saved to localStorage:', state.devices.length);
     },
 
     // Load devices
     loadDevices: () => {
-        const data = localStorage.getItem(CONFIG.storage.devices);
+        const data = storage.read('devices');
         if (data) {
-            state.devices = JSON.parse(data);
+            state.devices = data;
             console.log('Devices loaded from localStorage:', state.devices.length);
         }
     },
 
     // Save settings (thresholds)
     saveSettings: (settings) => {
-        localStorage.setItem(CONFIG.storage.settings, JSON.stringify(settings));
+        storage.write('settings', settings);
         console.log('Settings saved:', settings);
     },
 
     // Load settings
     loadSettings: () => {
-        const data = localStorage.getItem(CONFIG.storage.settings);
+        const data = storage.read('settings');
         if (data) {
-            state.thresholds = JSON.parse(data);
+            state.thresholds = data;
         } else {
             state.thresholds = CONFIG.defaultThresholds;
         }
         return state.thresholds;
     },
 
-    // Save sensor data history
-    saveSensorData: (data) => {
-        let history = [];
-        const stored = localStorage.getItem(CONFIG.storage.sensorData);
-        if (stored) {
-            history = JSON.parse(stored);
-        }
-        
-        // Add new data
-        history.push(data);
-        
-        // Keep only last 1000 records to prevent localStorage overflow
-        if (history.length > 1000) {
-            history = history.slice(-1000);
-        }
-        
-        localStorage.setItem(CONFIG.storage.sensorData, JSON.stringify(history));
-        state.sensorDataHistory = history;
+    // Save retention policy
+    saveRetention: (retention) => {
+        storage.write('retention', retention);
+        console.log('Retention saved:', retention);
     },
 
-    // Load sensor data history
-    loadSensorData: () => {
-        const data = localStorage.getItem(CONFIG.storage.sensorData);
-        if (data) {
-            state.sensorDataHistory = JSON.parse(data);
-        }
-    }
-};
+    // Load retention policy
+    loadRetention: () => {
+        const data = storage.read('retention');
+        state.retention = data
+            ? { ...CONFIG.defaultRetention, ...data }
+            : { ...CONFIG.defaultRetention };
+        return state.retention;
+    },
 
-// ==================== MQTT MANAGEMENT ====================
-const mqttManager = {
-    // Connect to MQTT broker
-    connect: () => {
-        const clientId = 'web_' + Math.random().toString(16).substr(2, 8);
-        const url = `${CONFIG.mqtt.protocol}://${CONFIG.mqtt.broker}:${CONFIG.mqtt.port}/mqtt`;
-        
-        console.log('Connecting to MQTT:', url);
-        
-        try {
-            state.mqttClient = mqtt.connect(url, {
-                clientId: clientId,
-                clean: true,
-                reconnectPeriod: CONFIG.mqtt.reconnectPeriod,
-                username: CONFIG.mqtt.username || undefined,
-                password: CONFIG.mqtt.password || undefined
-            });
+    // Save alert publishing settings
+    saveAlertPublish: (alertPublish) => {
+        storage.write('alertPublish', alertPublish);
+        console.log('Alert publishing saved:', alertPublish);
+    },
 
-            state.mqttClient.on('connect', () => {
-                console.log('MQTT Connected');
-                mqttManager.subscribeToDevices();
-            });
+    // Load alert publishing settings
+    loadAlertPublish: () => {
+        const data = storage.read('alertPublish');
+        state.alertPublish = { ...CONFIG.defaultAlertPublish, ...(data || {}) };
+        return state.alertPublish;
+    },
 
-            state.mqttClient.on('message', (topic, message) => {
-                mqttManager.handleMessage(topic, message);
-            });
+    // Save the ingest server connection
+    saveIngest: () => {
+        storage.write('ingest', state.ingest);
+        console.log('Ingest server saved:', state.ingest.url);
+    },
 
-            state.mqttClient.on('error', (error) => {
-                console.error('MQTT Error:', error);
-            });
-        } catch (error) {
-            console.error('MQTT Connection Error:', error);
-        }
+    // Load the ingest server connection
+    loadIngest: () => {
+        const data = storage.read('ingest');
+        state.ingest = { ...CONFIG.defaultIngest, ...(data || {}) };
+        return state.ingest;
     },
 
-    // Subscribe to device topics
-    subscribeToDevices: () => {
-        state.devices.forEach(device => {
-            if (device.mqttTopic) {
-                state.mqttClient.subscribe(device.mqttTopic);
-                console.log('Subscribed to:', device.mqttTopic);
-            }
-        });
+    // Save broker profiles
+    saveBrokers: () => {
+        storage.write('brokers', state.brokers);
+        console.log('Broker profiles saved:', state.brokers.profiles.length);
     },
 
-    // Handle incoming MQTT messages
-    handleMessage: (topic, message) => {
-        try {
-            const data = JSON.parse(message.toString());
-            console.log('MQTT Message:', topic, data);
+    // Load broker profiles, starting with the default broker
+    loadBrokers: () => {
+        const data = storage.read('brokers');
+        state.brokers = data && data.profiles && data.profiles.length
+            ? data
+            : { selectedId: 'default', profiles: [brokerManager.defaultProfile()] };
+        return state.brokers;
+    },
 
-            // Find device by topic
-            const device = state.devices.find(d => d.mqttTopic === topic);
-            if (device) {
-                // Update device data
-                device.lastData = data;
-                device.lastUpdate = Date.now();
-                
-                // Save sensor data to history
-                storage.saveSensorData({
-                    timestamp: Date.now(),
-                    deviceName: device.deviceName,
-                    location: device.locationName,
-                    aqi: data.aqi || 0,
-                    temp: data.temp || 0,
-                    humidity: data.humidity || 0,
-                    mq135: data.ppm_MQ135 || 0,
-                    mq7: data.ppm_MQ7 || 0,
-                    mq9: data.ppm_MQ9 || 0
-                });
-                
-                // Add data point to chart history
-                chartManager.addDataPoint(device);
-                
-                // Update display
-                storage.saveDevices();
-                ui.updateDashboard();
-                ui.updateDevicesTable();
-                mapManager.updateMarkers();
-                
-                // Check for alerts with thresholds
-                alertManager.checkThresholds(device, data);
-            }
-        } catch (error) {
-            console.error('Error parsing MQTT message:', error);
-        }
+    // Save remote command history
+    saveCommands: () => {
+        storage.write('commands', state.commands);
     },
 
-    // Disconnect
-    disconnect: () => {
-        if (state.mqttClient) {
-            state.mqttClient.end();
-            state.mqttClient = null;
-        }
+    // Load remote command history
+    loadCommands: () => {
+        state.commands = storage.read('commands') || {};
+        return state.commands;
+    },
+
+    // Save quarantined payloads
+    saveQuarantine: () => {
+        if (replayManager.sandboxed()) return;
+        storage.write('quarantine', state.quarantine);
+    },
+
+    // Load quarantined payloads
+    loadQuarantine: () => {
+        state.quarantine = storage.read('quarantine') || [];
+        return state.quarantine;
+    },
+
+    // Save user-defined payload decoders
+    saveDecoders: () => {
+        storage.write('decoders', state.decoders);
+        console.log('Payload decoders saved:', state.decoders.length);
+    },
+
+    // Load user-defined payload decoders
+    loadDecoders: () => {
+        state.decoders = storage.read('decoders') || [];
+        return state.decoders;
+    },
+
+    // Save sensor data history
+    saveSensorData: (data) => {
+        historyStore.addReading(data).catch(error => {
+            console.error('Error saving sensor data:', error);
+        });
     }
 };
 
-// ==================== NOTIFICATION MANAGEMENT ====================
-const notificationManager = {
-    alerts: [],
+// ==================== HISTORY STORE (IndexedDB) ====================
+const historyStore = {
+    ready: null,
 
-    // Add alert
-    addAlert: (device, message) => {
-        const alert = {
-            id: utils.generateId(),
-            deviceId: device.deviceId,
-            deviceName: device.deviceName,
-            message: message,
-            aqi: device.lastData?.aqi || 0,
-            timestamp: Date.now(),
-            read: false
-        };
+    // Open database, creating object stores on first use
+    open: () => {
+        if (historyStore.ready) return historyStore.ready;
 
-        notificationManager.alerts.unshift(alert);
-        
-        // Keep only last 50 alerts
-        if (notificationManager.alerts.length > 50) {
-            notificationManager.alerts = notificationManager.alerts.slice(0, 50);
-        }
+        historyStore.ready = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.historyDb.name, CONFIG.historyDb.version);
 
-        notificationManager.updateBadge();
-        notificationManager.showToastAlert(alert);
+            request.onupgradeneeded = (e) => {
+                const db = request.result;
+
+                if (e.oldVersion < 1) {
+                    const readings = db.createObjectStore('readings', { keyPath: 'id', autoIncrement: true });
+                    readings.createIndex('deviceId_timestamp', ['deviceId', 'timestamp']);
+                    readings.createIndex('timestamp', 'timestamp');
+                }
+
+                if (e.oldVersion < 2) {
+                    const rollups = db.createObjectStore('rollups', { keyPath: ['resolution', 'deviceId', 'bucket'] });
+                    rollups.createIndex('resolution_bucket', ['resolution', 'bucket']);
+                    rollups.createIndex('bucket', 'bucket');
+
+                    // Build rollups for readings stored before this version
+                    const tx = request.transaction;
+                    const readAll = tx.objectStore('readings').getAll();
+                    readAll.onsuccess = () => historyStore.updateRollups(rollups, readAll.result);
+                }
+
+                if (e.oldVersion < 3) {
+                    const alerts = db.createObjectStore('alerts', { keyPath: 'id' });
+                    alerts.createIndex('timestamp', 'timestamp');
+                    alerts.createIndex('deviceId', 'deviceId');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        historyStore.ready.catch(() => {
+            historyStore.ready = null;
+        });
+
+        return historyStore.ready;
     },
 
-    // Update notification badge
-    updateBadge: () => {
-        const unreadCount = notificationManager.alerts.filter(a => !a.read).length;
-        const badge = document.querySelector('.notification .badge');
-        if (badge) {
-            badge.textContent = unreadCount;
-            if (unreadCount > 0) {
-                badge.style.display = 'block';
-                badge.classList.add('has-alerts');
-            } else {
-                badge.style.display = 'none';
-                badge.classList.remove('has-alerts');
-            }
-        }
+    // Run a transaction and resolve with the callback result once it completes
+    transaction: async (storeNames, mode, callback) => {
+        const db = await historyStore.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+            result = callback(tx);
+        });
     },
 
-    // Show toast alert
-    showToastAlert: (alert) => {
-        const status = utils.getAqiStatus(alert.aqi);
-        utils.showToast(`${alert.deviceName}: ${alert.message} (AQI: ${alert.aqi})`, 'warning');
+    // Store a single reading and update its rollups
+    addReading: (record) => {
+        return historyStore.addReadings([record]);
     },
 
-    // Show notification panel
-    showPanel: () => {
-        let panel = document.getElementById('notificationPanel');
-        
-        if (!panel) {
-            panel = document.createElement('div');
-            panel.id = 'notificationPanel';
-            panel.className = 'notification-panel';
-            document.body.appendChild(panel);
-        }
+    // Store many readings and their rollups in one transaction
+    addReadings: (records) => {
+        return historyStore.transaction(['readings', 'rollups'], 'readwrite', (tx) => {
+            const store = tx.objectStore('readings');
+            records.forEach(record => store.add(record));
+            historyStore.updateRollups(tx.objectStore('rollups'), records);
+        });
+    },
 
-        if (notificationManager.alerts.length === 0) {
-            panel.innerHTML = `
-                <div class="notification-header">
-                    <h3>Notifications</h3>
-                    <button onclick="notificationManager.closePanel()" class="close-panel">×</button>
-                </div>
-                <div class="notification-body">
-                    <div class="no-notifications">
-                        <i class="fas fa-bell-slash"></i>
-                        <p>No notifications</p>
-                    </div>
-                </div>
-            `;
-        } else {
-            const alertsList = notificationManager.alerts.map(alert => {
-                const status = utils.getAqiStatus(alert.aqi);
-                return `
-                    <div class="notification-item ${alert.read ? 'read' : 'unread'}" 
-                         onclick="notificationManager.markAsRead('${alert.id}')">
-                        <div class="notification-icon ${status.class}">
-                            <i class="fas fa-exclamation-circle"></i>
-                        </div>
-                        <div class="notification-content">
-                            <div class="notification-title">${alert.deviceName}</div>
-                            <div class="notification-message">${alert.message}</div>
-                            <div class="notification-meta">
-                                <span>AQI: ${alert.aqi.toFixed(1)}</span>
-                                <span>${utils.formatDate(alert.timestamp)}</span>
-                            </div>
-                        </div>
-                    </div>
-                `;
-            }).join('');
+    // Get the start of the bucket a timestamp falls into (local time)
+    bucketStart: (resolution, timestamp) => {
+        const date = new Date(timestamp);
+        if (resolution === 'day') date.setHours(0, 0, 0, 0);
+        if (resolution === 'hour') date.setMinutes(0, 0, 0);
+        if (resolution === 'minute') date.setSeconds(0, 0);
+        return date.getTime();
+    },
 
-            panel.innerHTML = `
-                <div class="notification-header">
-                    <h3>Notifications (${notificationManager.alerts.length})</h3>
-                    <div class="notification-actions">
-                        <button onclick="notificationManager.markAllAsRead()" class="btn-text">
-                            Mark all as read
-                        </button>
-                        <button onclick="notificationManager.closePanel()" class="close-panel">×</button>
-                    </div>
-                </div>
-                <div class="notification-body">
-                    ${alertsList}
-                </div>
-            `;
-        }
+    // Merge readings into min/max/sum/count aggregates for every resolution.
+    // Bucket keys listed in `skip` are left untouched.
+    updateRollups: (rollupStore, records, skip = new Set()) => {
+        // Aggregate in memory first so each bucket is read and written once
+        const buckets = new Map();
+
+        records.forEach(record => {
+            Object.keys(CONFIG.rollups.resolutions).forEach(resolution => {
+                const bucket = historyStore.bucketStart(resolution, record.timestamp);
+                const key = `${resolution}|${record.deviceId}|${bucket}`;
+                if (skip.has(key)) return;
+
+                if (!buckets.has(key)) {
+                    buckets.set(key, {
+                        resolution,
+                        deviceId: record.deviceId,
+                        bucket,
+                        metrics: {}
+                    });
+                }
 
-        panel.classList.add('active');
+                const entry = buckets.get(key);
+                entry.deviceName = record.deviceName;
+                entry.location = record.location;
+                CONFIG.rollups.metrics.forEach(metric => {
+                    const value = record[metric];
+                    if (typeof value !== 'number' || isNaN(value)) return;
+                    entry.metrics[metric] = historyStore.mergeStats(entry.metrics[metric], {
+                        min: value, max: value, sum: value, count: 1
+                    });
+                });
+            });
+        });
+
+        buckets.forEach(entry => {
+            const request = rollupStore.get([entry.resolution, entry.deviceId, entry.bucket]);
+            request.onsuccess = () => {
+                const existing = request.result;
+                if (existing) {
+                    Object.keys(entry.metrics).forEach(metric => {
+                        entry.metrics[metric] = historyStore.mergeStats(existing.metrics[metric], entry.metrics[metric]);
+                    });
+                    entry.metrics = { ...existing.metrics, ...entry.metrics };
+                }
+                rollupStore.put(entry);
+            };
+        });
     },
 
-    // Close panel
-    closePanel: () => {
-        const panel = document.getElementById('notificationPanel');
-        if (panel) {
-            panel.classList.remove('active');
-        }
+    // Combine two aggregates
+    mergeStats: (a, b) => {
+        if (!a) return { ...b };
+        if (!b) return { ...a };
+        return {
+            min: Math.min(a.min, b.min),
+            max: Math.max(a.max, b.max),
+            sum: a.sum + b.sum,
+            count: a.count + b.count
+        };
     },
 
-    // Mark as read
-    markAsRead: (alertId) => {
-        const alert = notificationManager.alerts.find(a => a.id === alertId);
-        if (alert) {
-            alert.read = true;
-            notificationManager.updateBadge();
-        }
+    // Query readings by device and time range, oldest first
+    query: ({ deviceId = null, from = 0, to = Date.now(), limit } = {}) => {
+        return historyStore.transaction('readings', 'readonly', (tx) => {
+            const store = tx.objectStore('readings');
+            const request = deviceId
+                ? store.index('deviceId_timestamp').getAll(IDBKeyRange.bound([deviceId, from], [deviceId, to]), limit)
+                : store.index('timestamp').getAll(IDBKeyRange.bound(from, to), limit);
+
+            const result = { records: [] };
+            request.onsuccess = () => {
+                result.records = request.result;
+            };
+            return result;
+        }).then(result => result.records);
     },
 
-    // Mark all as read
-    markAllAsRead: () => {
-        notificationManager.alerts.forEach(a => a.read = true);
-        notificationManager.updateBadge();
-        notificationManager.showPanel(); // Refresh panel
-    }
-};
+    // Query rollups of one resolution by device and time range, oldest first
+    queryRollups: ({ resolution, deviceId = null, from = 0, to = Date.now() }) => {
+        return historyStore.transaction('rollups', 'readonly', (tx) => {
+            const store = tx.objectStore('rollups');
+            const request = deviceId
+                ? store.getAll(IDBKeyRange.bound([resolution, deviceId, from], [resolution, deviceId, to]))
+                : store.index('resolution_bucket').getAll(IDBKeyRange.bound([resolution, from], [resolution, to]));
+
+            const result = { records: [] };
+            request.onsuccess = () => {
+                result.records = request.result;
+            };
+            return result;
+        }).then(result => result.records);
+    },
 
-// ==================== ALERT MANAGEMENT ====================
-const alertManager = {
-    // Check thresholds and trigger alerts
-    checkThresholds: (device, data) => {
-        const thresholds = state.thresholds || CONFIG.defaultThresholds;
-        const alerts = [];
+    // Pick the coarsest resolution that still gives enough points for a span
+    pickResolution: (from, to) => {
+        const span = to - from;
+        const autoSpan = CONFIG.rollups.autoSpan;
+        if (span <= autoSpan.raw) return 'raw';
+        if (span <= autoSpan.minute) return 'minute';
+        if (span <= autoSpan.hour) return 'hour';
+        return 'day';
+    },
 
-        // Check AQI
-        if (data.aqi >= thresholds.aqi.danger) {
-            alerts.push(`⚠️ BAHAYA! AQI sangat tinggi: ${data.aqi.toFixed(1)}`);
-        } else if (data.aqi >= thresholds.aqi.warning) {
-            alerts.push(`⚡ WARNING! AQI tinggi: ${data.aqi.toFixed(1)}`);
+    // Query a time series at the given (or automatically picked) resolution.
+    // Rollup points carry mean values plus the full min/max/sum/count in `stats`.
+    querySeries: async ({ deviceId = null, from = 0, to = Date.now(), resolution = 'auto' } = {}) => {
+        if (resolution === 'auto') {
+            resolution = historyStore.pickResolution(from, to);
         }
 
-        // Check Temperature
-        if (data.temp >= thresholds.temp.danger) {
-            alerts.push(`⚠️ BAHAYA! Suhu sangat tinggi: ${data.temp}°C`);
-        } else if (data.temp >= thresholds.temp.warning) {
-            alerts.push(`⚡ WARNING! Suhu tinggi: ${data.temp}°C`);
+        if (resolution === 'raw') {
+            const points = await historyStore.query({ deviceId, from, to });
+            return { resolution, points };
         }
 
-        // Check Humidity
-        if (data.humidity >= thresholds.humidity.danger) {
-            alerts.push(`⚠️ BAHAYA! Kelembaban sangat tinggi: ${data.humidity}%`);
-        } else if (data.humidity >= thresholds.humidity.warning) {
-            alerts.push(`⚡ WARNING! Kelembaban tinggi: ${data.humidity}%`);
-        }
+        const rollups = await historyStore.queryRollups({ resolution, deviceId, from, to });
+        const points = rollups
+            .map(rollup => {
+                const point = {
+                    timestamp: rollup.bucket,
+                    deviceId: rollup.deviceId,
+                    deviceName: rollup.deviceName,
+                    location: rollup.location,
+                    stats: rollup.metrics
+                };
+                CONFIG.rollups.metrics.forEach(metric => {
+                    const stats = rollup.metrics[metric];
+                    point[metric] = stats ? stats.sum / stats.count : null;
+                });
+                return point;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp);
 
-        // Check MQ135
-        if (data.ppm_MQ135 >= thresholds.mq135.danger) {
-            alerts.push(`⚠️ BAHAYA! Gas MQ135: ${data.ppm_MQ135} ppm`);
-        } else if (data.ppm_MQ135 >= thresholds.mq135.warning) {
-            alerts.push(`⚡ WARNING! Gas MQ135: ${data.ppm_MQ135} ppm`);
-        }
+        return { resolution, points };
+    },
 
-        // Show alerts
-        if (alerts.length > 0) {
-            alerts.forEach(alert => {
-                alertManager.showAlert(device.deviceName, alert);
-            });
-            
-            // Update alerts count
-            state.alerts.push({
-                id: utils.generateId(),
-                deviceName: device.deviceName,
-                messages: alerts,
-                timestamp: Date.now()
-            });
-            
-            ui.updateAlertsCount();
-        }
+    // Get the timestamp of the oldest stored data, raw or aggregated
+    oldestTimestamp: () => {
+        return historyStore.transaction(['readings', 'rollups'], 'readonly', (tx) => {
+            const result = { reading: null, bucket: null };
+            const readingCursor = tx.objectStore('readings').index('timestamp').openCursor();
+            readingCursor.onsuccess = () => {
+                if (readingCursor.result) result.reading = readingCursor.result.key;
+            };
+            const rollupCursor = tx.objectStore('rollups').index('bucket').openCursor();
+            rollupCursor.onsuccess = () => {
+                if (rollupCursor.result) result.bucket = rollupCursor.result.key;
+            };
+            return result;
+        }).then(({ reading, bucket }) => {
+            // Rollup buckets start before their first reading, so only prefer
+            // them once they cover time with no raw readings left
+            if (reading === null) return bucket;
+            if (bucket !== null && bucket + CONFIG.rollups.resolutions.day <= reading) return bucket;
+            return reading;
+        });
     },
 
-    // Show alert notification
-    showAlert: (deviceName, message) => {
-        const alertDiv = document.createElement('div');
-        alertDiv.className = 'alert-notification';
-        alertDiv.innerHTML = `
-            <div class="alert-header">
-                <strong>${deviceName}</strong>
-                <button onclick="this.parentElement.parentElement.remove()">×</button>
-            </div>
-            <div class="alert-body">${message}</div>
-        `;
-        
-        document.body.appendChild(alertDiv);
-        
-        // Auto remove after 10 seconds
-        setTimeout(() => {
-            if (alertDiv.parentElement) {
-                alertDiv.remove();
-            }
-        }, 10000);
-    }
-};
+    // Delete data older than its cutoff and report per-device usage.
+    // `cutoffFor(kind, deviceId)` returns the oldest timestamp to keep, where
+    // kind is 'raw' or a rollup resolution. Bytes are estimated from record
+    // counts and the average size of a sample, as serializing every record stalls the page.
+    prune: (cutoffFor) => {
+        return historyStore.transaction(['readings', 'rollups', 'alerts'], 'readwrite', (tx) => {
+            const result = { deleted: 0, usage: {} };
+            const usageFor = (deviceId) => {
+                if (!result.usage[deviceId]) {
+                    result.usage[deviceId] = { readings: 0, rollups: 0, bytes: 0 };
+                }
+                return result.usage[deviceId];
+            };
 
-// ==================== CHART MANAGEMENT ====================
-const chartManager = {
-    // Initialize charts
-    initCharts: () => {
-        // Destroy existing charts if any
-        if (state.charts.aqi) state.charts.aqi.destroy();
-        if (state.charts.tempHum) state.charts.tempHum.destroy();
-        if (state.charts.gas) state.charts.gas.destroy();
+            const samples = { readings: { count: 0, bytes: 0 }, rollups: { count: 0, bytes: 0 } };
+            const sample = (kind, value) => {
+                const entry = samples[kind];
+                if (entry.count >= CONFIG.retentionUsageSample) return;
+                entry.count++;
+                entry.bytes += JSON.stringify(value).length;
+            };
+            let scanning = 2;
+            const estimateBytes = () => {
+                if (--scanning > 0) return;
+                const average = (kind) => (samples[kind].count ? samples[kind].bytes / samples[kind].count : 0);
+                Object.values(result.usage).forEach(usage => {
+                    usage.bytes = Math.round(usage.readings * average('readings') + usage.rollups * average('rollups'));
+                });
+            };
 
-        // AQI Chart - Trendline
-        const aqiCtx = document.getElementById('aqiChart');
-        if (aqiCtx) {
-            state.charts.aqi = new Chart(aqiCtx, {
-                type: 'line',
-                data: {
-                    labels: [],
-                    datasets: [{
-                        label: 'AQI',
-                        data: [],
-                        borderColor: '#4F46E5',
-                        backgroundColor: 'rgba(79, 70, 229, 0.1)',
-                        borderWidth: 2,
-                        fill: true,
-                        tension: 0.4,
-                        pointRadius: 4,
-                        pointHoverRadius: 6
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: { 
-                            display: true,
-                            position: 'top'
-                        },
-                        tooltip: {
-                            mode: 'index',
-                            intersect: false
-                        }
-                    },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            title: {
-                                display: true,
-                                text: 'AQI Level'
-                            }
-                        },
-                        x: {
-                            title: {
-                                display: true,
-                                text: 'Time'
-                            }
-                        }
-                    }
+            const readingCursor = tx.objectStore('readings').openCursor();
+            readingCursor.onsuccess = () => {
+                const cursor = readingCursor.result;
+                if (!cursor) {
+                    estimateBytes();
+                    return;
                 }
-            });
-        }
+                const record = cursor.value;
+                if (record.timestamp < cutoffFor('raw', record.deviceId)) {
+                    cursor.delete();
+                    result.deleted++;
+                } else {
+                    usageFor(record.deviceId).readings++;
+                    sample('readings', record);
+                }
+                cursor.continue();
+            };
 
-        // Temp & Humidity Chart - Trendline
-        const tempHumCtx = document.getElementById('tempHumChart');
-        if (tempHumCtx) {
-            state.charts.tempHum = new Chart(tempHumCtx, {
-                type: 'line',
-                data: {
-                    labels: [],
-                    datasets: [
-                        {
-                            label: 'Temperature (°C)',
-                            data: [],
-                            borderColor: '#EF4444',
-                            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                            borderWidth: 2,
-                            fill: true,
-                            tension: 0.4,
-                            yAxisID: 'y',
-                            pointRadius: 3,
-                            pointHoverRadius: 5
-                        },
-                        {
-                            label: 'Humidity (%)',
-                            data: [],
-                            borderColor: '#3B82F6',
-                            backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                            borderWidth: 2,
-                            fill: true,
-                            tension: 0.4,
-                            yAxisID: 'y1',
-                            pointRadius: 3,
-                            pointHoverRadius: 5
-                        }
-                    ]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    interaction: {
-                        mode: 'index',
-                        intersect: false
-                    },
-                    plugins: {
-                        legend: { 
-                            display: true,
-                            position: 'top'
-                        }
-                    },
-                    scales: {
-                        y: {
-                            type: 'linear',
-                            display: true,
-                            position: 'left',
-                            title: {
-                                display: true,
-                                text: 'Temperature (°C)'
-                            }
-                        },
-                        y1: {
-                            type: 'linear',
-                            display: true,
-                            position: 'right',
-                            title: {
-                                display: true,
-                                text: 'Humidity (%)'
-                            },
-                            grid: {
-                                drawOnChartArea: false
-                            }
-                        },
-                        x: {
-                            title: {
-                                display: true,
-                                text: 'Time'
-                            }
-                        }
-                    }
+            const rollupCursor = tx.objectStore('rollups').openCursor();
+            rollupCursor.onsuccess = () => {
+                const cursor = rollupCursor.result;
+                if (!cursor) {
+                    estimateBytes();
+                    return;
                 }
-            });
-        }
+                const rollup = cursor.value;
+                if (rollup.bucket < cutoffFor(rollup.resolution, rollup.deviceId)) {
+                    cursor.delete();
+                    result.deleted++;
+                } else {
+                    usageFor(rollup.deviceId).rollups++;
+                    sample('rollups', rollup);
+                }
+                cursor.continue();
+            };
 
-        // Gas Chart
-        const gasCtx = document.getElementById('gasChart');
-        if (gasCtx) {
-            state.charts.gas = new Chart(gasCtx, {
-                type: 'bar',
-                data: {
-                    labels: ['MQ135', 'MQ7', 'MQ9'],
-                    datasets: [{
-                        label: 'Gas Level (ppm)',
-                        data: [0, 0, 0],
-                        backgroundColor: [
-                            'rgba(139, 92, 246, 0.8)',
-                            'rgba(245, 158, 11, 0.8)',
-                            'rgba(239, 68, 68, 0.8)'
-                        ],
-                        borderColor: [
-                            'rgb(139, 92, 246)',
-                            'rgb(245, 158, 11)',
-                            'rgb(239, 68, 68)'
-                        ],
-                        borderWidth: 2
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: { 
-                            display: true,
-                            position: 'top'
-                        }
-                    },
-                    scales: {
-                        y: {
-                            beginAtZero: true,
-                            title: {
-                                display: true,
-                                text: 'PPM'
-                            }
+            // Open alerts are kept whatever their age
+            const alertCursor = tx.objectStore('alerts').openCursor();
+            alertCursor.onsuccess = () => {
+                const cursor = alertCursor.result;
+                if (!cursor) return;
+                const alert = cursor.value;
+                if (alert.status === 'resolved' && alert.timestamp < cutoffFor('alerts', alert.deviceId)) {
+                    cursor.delete();
+                    result.deleted++;
+                }
+                cursor.continue();
+            };
+
+            return result;
+        });
+    },
+
+    // Read every stored reading and rollup, e.g. for a backup
+    exportAll: () => {
+        return historyStore.transaction(['readings', 'rollups'], 'readonly', (tx) => {
+            const result = { readings: [], rollups: [] };
+            const readings = tx.objectStore('readings').getAll();
+            readings.onsuccess = () => {
+                result.readings = readings.result.map(({ id, ...record }) => record);
+            };
+            const rollups = tx.objectStore('rollups').getAll();
+            rollups.onsuccess = () => {
+                result.rollups = rollups.result;
+            };
+            return result;
+        });
+    },
+
+    // Delete all readings, rollups and alerts
+    clear: () => {
+        return historyStore.transaction(['readings', 'rollups', 'alerts'], 'readwrite', (tx) => {
+            tx.objectStore('readings').clear();
+            tx.objectStore('rollups').clear();
+            tx.objectStore('alerts').clear();
+        });
+    },
+
+    // Insert or update alerts
+    putAlerts: (alerts) => {
+        return historyStore.transaction('alerts', 'readwrite', (tx) => {
+            const store = tx.objectStore('alerts');
+            alerts.forEach(alert => store.put(alert));
+        });
+    },
+
+    // Query alerts by time range, oldest first
+    queryAlerts: ({ from = 0, to = Infinity } = {}) => {
+        return historyStore.transaction('alerts', 'readonly', (tx) => {
+            const request = tx.objectStore('alerts').index('timestamp').getAll(IDBKeyRange.bound(from, to));
+            const result = { alerts: [] };
+            request.onsuccess = () => {
+                result.alerts = request.result;
+            };
+            return result;
+        }).then(result => result.alerts);
+    },
+
+    // Import readings and rollups, skipping readings already stored for the
+    // same device and timestamp. Rollups are only taken from the import for
+    // buckets not stored locally; other buckets are updated from the new readings.
+    // `tolerance` (ms) treats readings this close to a stored one as duplicates
+    importHistory: ({ readings = [], rollups = [] }, { tolerance = 0 } = {}) => {
+        return historyStore.transaction(['readings', 'rollups'], 'readwrite', (tx) => {
+            const readingStore = tx.objectStore('readings');
+            const rollupStore = tx.objectStore('rollups');
+            const result = { readings: 0, rollups: 0 };
+            const restored = new Set();
+
+            const importReadings = () => {
+                const added = [];
+                let pending = readings.length;
+                const done = () => {
+                    if (--pending === 0) {
+                        historyStore.updateRollups(rollupStore, added, restored);
+                    }
+                };
+
+                readings.forEach(({ id, ...record }) => {
+                    const existing = readingStore.index('deviceId_timestamp').count(IDBKeyRange.bound(
+                        [record.deviceId, record.timestamp - tolerance],
+                        [record.deviceId, record.timestamp + tolerance]
+                    ));
+                    existing.onsuccess = () => {
+                        if (existing.result === 0) {
+                            readingStore.add(record);
+                            added.push(record);
+                            result.readings++;
                         }
+                        done();
+                    };
+                });
+            };
+
+            let pendingRollups = rollups.length;
+            if (pendingRollups === 0 && readings.length) importReadings();
+
+            rollups.forEach(rollup => {
+                const existing = rollupStore.get([rollup.resolution, rollup.deviceId, rollup.bucket]);
+                existing.onsuccess = () => {
+                    if (!existing.result) {
+                        rollupStore.put(rollup);
+                        restored.add(`${rollup.resolution}|${rollup.deviceId}|${rollup.bucket}`);
+                        result.rollups++;
                     }
-                }
+                    if (--pendingRollups === 0 && readings.length) importReadings();
+                };
             });
-        }
 
-        // Load initial data for selected device
-        const selectElem = document.getElementById('analyticsDevice');
-        if (selectElem && selectElem.value) {
-            const device = state.devices.find(d => d.deviceId === selectElem.value);
-            if (device) {
-                chartManager.updateCharts(device);
+            return result;
+        });
+    },
+
+    // Replace all readings, rollups and alerts in one transaction, so a failed
+    // restore leaves the current history untouched
+    replaceHistory: ({ readings = [], rollups = [], alerts = [] }) => {
+        return historyStore.transaction(['readings', 'rollups', 'alerts'], 'readwrite', (tx) => {
+            try {
+                const readingStore = tx.objectStore('readings');
+                const rollupStore = tx.objectStore('rollups');
+                const alertStore = tx.objectStore('alerts');
+                readingStore.clear();
+                rollupStore.clear();
+                alertStore.clear();
+
+                // Archived rollups win; buckets without one are rebuilt from the readings
+                const restored = new Set();
+                rollups.forEach(rollup => {
+                    rollupStore.put(rollup);
+                    restored.add(`${rollup.resolution}|${rollup.deviceId}|${rollup.bucket}`);
+                });
+                const records = readings.map(({ id, ...record }) => record);
+                records.forEach(record => readingStore.add(record));
+                historyStore.updateRollups(rollupStore, records, restored);
+                alerts.forEach(alert => alertStore.put(alert));
+
+                return { readings: records.length, rollups: rollups.length };
+            } catch (error) {
+                tx.abort();
+                throw error;
             }
-        }
+        });
     },
 
-    // Update charts with device data
-    updateCharts: (device) => {
-        if (!device) return;
+    // Move the legacy localStorage history into IndexedDB (runs once)
+    migrateFromLocalStorage: async () => {
+        const stored = localStorage.getItem(CONFIG.storage.sensorData);
+        if (!stored) return 0;
 
-        // Generate mock historical data for demonstration
-        const now = new Date();
-        const timeLabels = [];
-        const aqiData = [];
-        const tempData = [];
-        const humData = [];
-
-        // Generate 24 data points (last 24 hours)
-        for (let i = 23; i >= 0; i--) {
-            const time = new Date(now - i * 3600000); // 1 hour intervals
-            timeLabels.push(time.getHours() + ':00');
-            
-            // Use current data with some variation for trend
-            const baseAqi = device.lastData?.aqi || 10;
-            const baseTemp = device.lastData?.temp || 25;
-            const baseHum = device.lastData?.humidity || 60;
-            
-            // Add random variation to create trendline
-            aqiData.push(baseAqi + (Math.random() - 0.5) * 10);
-            tempData.push(baseTemp + (Math.random() - 0.5) * 3);
-            humData.push(baseHum + (Math.random() - 0.5) * 10);
+        let legacy = [];
+        try {
+            legacy = JSON.parse(stored);
+        } catch (error) {
+            console.error('Legacy sensor data is corrupt, skipping migration:', error);
+            return 0;
         }
 
-        // Update AQI chart
-        if (state.charts.aqi) {
-            state.charts.aqi.data.labels = timeLabels;
-            state.charts.aqi.data.datasets[0].data = aqiData;
-            state.charts.aqi.update();
-        }
+        // Old records only carry the device name, so resolve the ID from known devices
+        const records = legacy.map(record => {
+            const device = state.devices.find(d => d.deviceName === record.deviceName);
+            return {
+                ...record,
+                deviceId: record.deviceId || (device ? device.deviceId : record.deviceName)
+            };
+        });
 
-        // Update Temperature & Humidity chart
-        if (state.charts.tempHum) {
-            state.charts.tempHum.data.labels = timeLabels;
-            state.charts.tempHum.data.datasets[0].data = tempData;
-            state.charts.tempHum.data.datasets[1].data = humData;
-            state.charts.tempHum.update();
-        }
+        await historyStore.addReadings(records);
+        localStorage.removeItem(CONFIG.storage.sensorData);
+        console.log('Migrated sensor data to IndexedDB:', records.length);
+        return records.length;
+    },
 
-        // Update gas chart with current data
-        if (state.charts.gas && device.lastData) {
-            state.charts.gas.data.datasets[0].data = [
-                device.lastData.ppm_MQ135 || 0,
-                device.lastData.ppm_MQ7 || 0,
-                device.lastData.ppm_MQ9 || 0
-            ];
-            state.charts.gas.update();
+    // Initialize store and ask the browser not to evict it
+    init: async () => {
+        try {
+            await historyStore.open();
+            await historyStore.migrateFromLocalStorage();
+
+            if (navigator.storage && navigator.storage.persist) {
+                navigator.storage.persist();
+            }
+        } catch (error) {
+            console.error('History store unavailable:', error);
         }
+    }
+};
+
+// ==================== MQTT MANAGEMENT ====================
+const mqttManager = {
+    subscribed: new Set(),
+    retryTimer: null,
+    generation: 0, // Bumped by every connect and disconnect; older connects are dropped
+
+    // Connection state shown in the header and diagnostics drawer
+    status: {
+        state: 'disconnected', // disconnected | connecting | connected | reconnecting | offline
+        broker: '',
+        url: '',
+        clientId: '',
+        connectedAt: null,
+        lastMessageAt: null,
+        attempts: 0,
+        nextRetryAt: null,
+        errors: []
     },
 
-    // Store real-time data for charts (called when MQTT message received)
-    addDataPoint: (device) => {
-        if (!device || !device.lastData) return;
+    // Connect to the selected broker profile
+    connect: async () => {
+        const profile = brokerManager.selected();
+        const url = brokerManager.url(profile);
+        
+        const generation = ++mqttManager.generation;
+        console.log('Connecting to MQTT:', url);
+        mqttManager.setStatus({ state: 'connecting', broker: profile.name, url, attempts: 0, nextRetryAt: null });
+        
+        try {
+            const options = await brokerManager.connectOptions(profile);
+            // A reconnect or disconnect while the vault was unlocking replaced this attempt
+            if (generation !== mqttManager.generation) return;
+            if (state.mqttClient) state.mqttClient.end();
+            const client = mqtt.connect(url, options);
+            state.mqttClient = client;
+            mqttManager.setStatus({ clientId: options.clientId });
+
+            client.on('connect', () => {
+                console.log('MQTT Connected');
+                mqttManager.setStatus({ state: 'connected', connectedAt: Date.now(), attempts: 0, nextRetryAt: null });
+                // Clean session: the broker forgot our subscriptions
+                mqttManager.subscribeToDevices();
+            });
 
-        // Initialize history if not exists
-        if (!device.dataHistory) {
-            device.dataHistory = {
-                timestamps: [],
-                aqi: [],
-                temp: [],
-                humidity: []
-            };
+            client.on('message', (topic, message, packet) => {
+                if (state.mqttClient !== client) return;
+                const meta = { retain: packet.retain, qos: packet.qos };
+
+                // Mirror live data to follower tabs before handling it here
+                tabManager.broadcast('mqtt-message', { topic, payload: message.toString(), ...meta });
+                inspector.capture(topic, message.toString(), meta, 'app');
+                replayManager.record(topic, message.toString(), meta);
+                mqttManager.handleMessage(topic, message, meta);
+            });
+
+            client.on('error', (error) => {
+                console.error('MQTT Error:', error);
+                mqttManager.recordError(error.message || String(error));
+            });
+
+            client.on('close', () => {
+                // Ignore clients replaced by disconnect() or a profile switch
+                if (state.mqttClient !== client) return;
+                mqttManager.scheduleReconnect(client);
+            });
+        } catch (error) {
+            if (generation !== mqttManager.generation) return;
+            console.error('MQTT Connection Error:', error);
+            mqttManager.recordError(error.message || String(error));
+            mqttManager.setStatus({ state: 'disconnected' });
         }
+    },
 
-        // Add new data point
-        const now = new Date();
-        device.dataHistory.timestamps.push(now.toLocaleTimeString());
-        device.dataHistory.aqi.push(device.lastData.aqi || 0);
-        device.dataHistory.temp.push(device.lastData.temp || 0);
-        device.dataHistory.humidity.push(device.lastData.humidity || 0);
+    // Retry after an exponentially growing, jittered delay
+    scheduleReconnect: (client) => {
+        clearTimeout(mqttManager.retryTimer);
+        const profile = brokerManager.selected();
+        const attempts = mqttManager.status.attempts + 1;
+        const base = Math.min(profile.backoffMax, profile.backoffInitial * Math.pow(2, attempts - 1)) * 1000;
+        const delay = Math.round(base * (0.8 + Math.random() * 0.4));
+
+        mqttManager.setStatus({
+            state: navigator.onLine === false ? 'offline' : 'reconnecting',
+            attempts,
+            nextRetryAt: Date.now() + delay
+        });
 
-        // Keep only last 24 points
-        if (device.dataHistory.timestamps.length > 24) {
-            device.dataHistory.timestamps.shift();
-            device.dataHistory.aqi.shift();
-            device.dataHistory.temp.shift();
-            device.dataHistory.humidity.shift();
+        mqttManager.retryTimer = setTimeout(() => {
+            if (state.mqttClient !== client) return;
+            mqttManager.setStatus({ state: 'connecting', nextRetryAt: null });
+            client.reconnect();
+        }, delay);
+    },
+
+    // Retry immediately, e.g. when the browser comes back online
+    retryNow: () => {
+        if (!tabManager.isLeader || !state.mqttClient || state.mqttClient.connected) return;
+        clearTimeout(mqttManager.retryTimer);
+        mqttManager.setStatus({ state: 'connecting', nextRetryAt: null });
+        state.mqttClient.reconnect();
+    },
+
+    // Keep the latest connection errors for diagnostics
+    recordError: (message) => {
+        const errors = [{ timestamp: Date.now(), message }].concat(mqttManager.status.errors);
+        mqttManager.setStatus({ errors: errors.slice(0, CONFIG.mqtt.maxErrors) });
+    },
+
+    // Update connection status, show it and share it with follower tabs
+    setStatus: (changes) => {
+        Object.assign(mqttManager.status, changes);
+        mqttManager.renderStatus();
+        if (tabManager.isLeader) tabManager.broadcast('mqtt-status', { status: mqttManager.status });
+    },
+
+    // Render the header indicator (and the drawer when open)
+    renderStatus: () => {
+        mqttManager.renderIndicator();
+
+        if (document.getElementById('diagnosticsPanel')?.classList.contains('active')) {
+            mqttManager.showDiagnostics();
         }
+    },
 
-        // Update charts if this device is currently selected
-        const selectElem = document.getElementById('analyticsDevice');
-        if (selectElem && selectElem.value === device.deviceId) {
-            chartManager.updateChartsRealtime(device);
+    // Refresh the relative times and counts each second without rebuilding the drawer,
+    // which would reset its scrolling and text selection
+    refreshTimes: () => {
+        mqttManager.renderIndicator();
+        const lastMessage = document.getElementById('diagnosticsLastMessage');
+        if (lastMessage) {
+            const { lastMessageAt } = mqttManager.status;
+            lastMessage.textContent = lastMessageAt ? utils.formatAgo(lastMessageAt) : '--';
+            document.getElementById('diagnosticsQuarantined').textContent = state.quarantine.length;
         }
     },
 
-    // Update charts with real historical data
-    updateChartsRealtime: (device) => {
-        if (!device || !device.dataHistory) return;
+    // Render the header indicator
+    renderIndicator: () => {
+        const indicator = document.getElementById('mqttStatus');
+        if (!indicator) return;
+
+        const { state: connection, broker, lastMessageAt, attempts, nextRetryAt } = mqttManager.status;
+        const labels = {
+            disconnected: 'Disconnected',
+            connecting: 'Connecting',
+            connected: 'Connected',
+            reconnecting: 'Reconnecting',
+            offline: 'Offline'
+        };
 
-        // Update AQI chart
-        if (state.charts.aqi) {
-            state.charts.aqi.data.labels = device.dataHistory.timestamps;
-            state.charts.aqi.data.datasets[0].data = device.dataHistory.aqi;
-            state.charts.aqi.update();
+        let detail = broker;
+        if (connection === 'connected') {
+            detail += lastMessageAt ? ` · last msg ${utils.formatAgo(lastMessageAt)}` : ' · no messages yet';
+        } else if (nextRetryAt) {
+            detail += ` · retry #${attempts} in ${Math.max(0, Math.ceil((nextRetryAt - Date.now()) / 1000))}s`;
         }
 
-        // Update Temperature & Humidity chart
-        if (state.charts.tempHum) {
-            state.charts.tempHum.data.labels = device.dataHistory.timestamps;
-            state.charts.tempHum.data.datasets[0].data = device.dataHistory.temp;
-            state.charts.tempHum.data.datasets[1].data = device.dataHistory.humidity;
-            state.charts.tempHum.update();
+        indicator.className = `mqtt-status mqtt-${connection}`;
+        indicator.innerHTML = `<span class="mqtt-dot"></span> ${labels[connection]} <small>${utils.escapeHtml(detail)}</small>`;
+    },
+
+    // Show the diagnostics drawer
+    showDiagnostics: () => {
+        let panel = document.getElementById('diagnosticsPanel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'diagnosticsPanel';
+            panel.className = 'notification-panel';
+            document.body.appendChild(panel);
         }
 
-        // Update gas chart
-        if (state.charts.gas && device.lastData) {
-            state.charts.gas.data.datasets[0].data = [
-                device.lastData.ppm_MQ135 || 0,
-                device.lastData.ppm_MQ7 || 0,
-                device.lastData.ppm_MQ9 || 0
-            ];
-            state.charts.gas.update();
+        const status = mqttManager.status;
+        const errors = status.errors.map(error => `
+            <div class="diagnostics-error">
+                <span>${utils.formatDate(error.timestamp)}</span>
+                <div>${utils.escapeHtml(error.message)}</div>
+            </div>
+        `).join('') || '<p style="color: var(--text-light);">Tidak ada error</p>';
+
+        panel.innerHTML = `
+            <div class="notification-header">
+                <h3>MQTT Diagnostics</h3>
+                <div class="notification-actions">
+                    ${tabManager.isLeader ? '<button onclick="mqttManager.retryNow()" class="btn-text">Reconnect now</button>' : ''}
+                    <button onclick="mqttManager.closeDiagnostics()" class="close-panel">×</button>
+                </div>
+            </div>
+            <div class="notification-body">
+                <div class="info-list">
+                    <div class="info-item"><span>State:</span><strong>${status.state}</strong></div>
+                    <div class="info-item"><span>Broker:</span><strong>${utils.escapeHtml(status.broker)}</strong></div>
+                    <div class="info-item"><span>URL:</span><strong>${utils.escapeHtml(status.url)}</strong></div>
+                    <div class="info-item"><span>Client ID:</span><strong>${utils.escapeHtml(status.clientId || '--')}</strong></div>
+                    <div class="info-item"><span>Connected since:</span><strong>${status.state === 'connected' ? utils.formatDate(status.connectedAt) : '--'}</strong></div>
+                    <div class="info-item"><span>Last message:</span><strong id="diagnosticsLastMessage">${status.lastMessageAt ? utils.formatAgo(status.lastMessageAt) : '--'}</strong></div>
+                    <div class="info-item"><span>Reconnect attempts:</span><strong>${status.attempts}</strong></div>
+                    <div class="info-item"><span>Quarantined payloads:</span><strong id="diagnosticsQuarantined">${state.quarantine.length}</strong></div>
+                    <div class="info-item"><span>Subscriptions:</span><strong>${tabManager.isLeader ? mqttManager.subscribed.size : '--'}</strong></div>
+                    <div class="info-item"><span>This tab:</span><strong>${tabManager.isLeader ? 'Live (owns connection)' : 'Mirror'}</strong></div>
+                </div>
+                <h4 style="margin: 1rem 0 0.5rem;">Recent Errors</h4>
+                ${errors}
+            </div>
+        `;
+        panel.classList.add('active');
+    },
+
+    // Close the diagnostics drawer
+    closeDiagnostics: () => {
+        document.getElementById('diagnosticsPanel')?.classList.remove('active');
+    },
+
+    // Subscribe to device topics (after a clean-session connect)
+    subscribeToDevices: () => {
+        mqttManager.subscribed.clear();
+        mqttManager.syncSubscriptions();
+    },
+
+    // Subscribe to data and /status topics of current devices and drop ones no longer used
+    syncSubscriptions: () => {
+        if (!state.mqttClient) return;
+
+        const topics = new Set(state.devices
+            .filter(d => d.mqttTopic)
+            .flatMap(d => [d.mqttTopic, presenceManager.statusTopic(d)]));
+
+        mqttManager.subscribed.forEach(topic => {
+            if (!topics.has(topic)) {
+                state.mqttClient.unsubscribe(topic);
+                mqttManager.subscribed.delete(topic);
+                console.log('Unsubscribed from:', topic);
+            }
+        });
+
+        topics.forEach(topic => {
+            if (!mqttManager.subscribed.has(topic)) {
+                state.mqttClient.subscribe(topic);
+                mqttManager.subscribed.add(topic);
+                console.log('Subscribed to:', topic);
+            }
+        });
+    },
+
+    // Check whether a topic matches a subscription filter (+ and # wildcards)
+    topicMatches: (filter, topic) => {
+        const filterLevels = filter.split('/');
+        const topicLevels = topic.split('/');
+        for (let i = 0; i < filterLevels.length; i++) {
+            if (filterLevels[i] === '#') return true;
+            if (i >= topicLevels.length) return false;
+            if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+        }
+        return filterLevels.length === topicLevels.length;
+    },
+
+    // Handle incoming MQTT messages ({ retain } marks messages the broker kept from earlier)
+    handleMessage: (topic, message, { retain = false } = {}) => {
+        try {
+            // A replay is not traffic on the live connection
+            if (!replayManager.active) mqttManager.status.lastMessageAt = Date.now();
+
+            // Presence ("online", LWT "offline" and heartbeats) is not sensor data
+            const statusDevice = state.devices.find(d => d.mqttTopic && presenceManager.statusTopic(d) === topic);
+            if (statusDevice) {
+                presenceManager.handleStatus(statusDevice, message.toString(), retain);
+                return;
+            }
+
+            // Find device by topic
+            const device = state.devices.find(d => d.mqttTopic === topic);
+            if (!device) return;
+
+            mqttManager.handleReading(device, topic, message.toString(), { retain });
+        } catch (error) {
+            console.error('Error parsing MQTT message:', error);
+        }
+    },
+
+    // Handle a sensor reading, from MQTT or relayed by the HTTP ingest server (source is the topic or request path)
+    handleReading: (device, source, raw, { retain = false, relayedAt = null } = {}) => {
+        // Malformed payloads go to quarantine instead of history and charts
+        const { data, errors } = decoderManager.decode(device, raw);
+        if (errors.length > 0) {
+            presenceManager.touch(device);
+            quarantineManager.add(device, source, raw, errors);
+            return;
+        }
+        console.log('Reading:', source, data);
+
+        // Retained readings can be hours old; only ones taken recently count as new data
+        const timing = readingClock.assess(device, data, retain, relayedAt);
+        if (timing.stale) {
+            readingClock.flag(device, data, timing);
+            return;
+        }
+
+        // Update device data
+        delete device.staleReading;
+        device.lastData = data;
+        device.lastUpdate = timing.readingAt;
+        presenceManager.touch(device);
+        
+        // Save sensor data to history (only the leader tab persists, replays only when asked)
+        if (tabManager.persistsData()) storage.saveSensorData({
+            timestamp: timing.readingAt,
+            deviceId: device.deviceId,
+            deviceName: device.deviceName,
+            location: device.locationName,
+            aqi: data.aqi,
+            temp: data.temp,
+            humidity: data.humidity,
+            mq135: data.ppm_MQ135,
+            mq7: data.ppm_MQ7,
+            mq9: data.ppm_MQ9,
+            adc_MQ135: data.adc_MQ135,
+            adc_MQ7: data.adc_MQ7,
+            adc_MQ9: data.adc_MQ9,
+            ro_MQ135: data.ro_MQ135,
+            ro_MQ7: data.ro_MQ7,
+            ro_MQ9: data.ro_MQ9
+        });
+        
+        // Add data point to chart history
+        chartManager.addDataPoint(device);
+        
+        // Update display
+        if (tabManager.persistsData()) storage.saveDevices();
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        mapManager.updateMarkers();
+        
+        // Check for alerts with thresholds
+        alertManager.checkThresholds(device, data);
+    },
+
+    // Disconnect
+    disconnect: () => {
+        mqttManager.generation++;
+        clearTimeout(mqttManager.retryTimer);
+        if (state.mqttClient) {
+            const client = state.mqttClient;
+            state.mqttClient = null;
+            client.end();
+        }
+        mqttManager.setStatus({ state: 'disconnected', nextRetryAt: null });
+    },
+
+    // Reconnect after the broker profile changed (leader tab only)
+    reconnect: () => {
+        if (!tabManager.isLeader) return;
+        mqttManager.disconnect();
+        mqttManager.connect();
+    }
+};
+
+// ==================== DEVICE PRESENCE ====================
+const presenceManager = {
+    checkTimer: null,
+
+    // Badge text and class per presence state
+    badges: {
+        online: { text: 'Online', class: 'status-online' },
+        stale: { text: 'Stale', class: 'status-warning' },
+        offline: { text: 'Offline', class: 'status-offline' }
+    },
+
+    // Topic the firmware publishes "online", its last will and heartbeats on
+    statusTopic: (device) => `${device.mqttTopic}/status`,
+
+    // Silence allowed before a device turns stale (heartbeat or reading interval, whichever is longer)
+    staleAfter: (device) => {
+        const interval = Math.max(CONFIG.presence.heartbeatInterval, (parseInt(device.interval) || 0) * 1000);
+        return interval * CONFIG.presence.staleFactor;
+    },
+
+    // Get the badge for a presence state
+    badge: (presence) => presenceManager.badges[presence] || presenceManager.badges.offline,
+
+    // Work out the presence state of a device
+    getState: (device) => {
+        const presence = device.presence;
+
+        // Only the broker's last will (or a clean "offline") marks a tracked device offline
+        if (presence?.state === 'offline') return 'offline';
+
+        const lastSeen = Math.max(presence?.lastSeen || 0, device.lastUpdate || 0);
+        if (!lastSeen) return 'offline';
+
+        const age = utils.now() - lastSeen;
+        if (age <= presenceManager.staleAfter(device)) return 'online';
+        if (!presence && age > CONFIG.presence.offlineAfter) return 'offline';
+        return 'stale';
+    },
+
+    // Handle a payload from <topic>/status ("online", "offline", heartbeat or command ack)
+    handleStatus: (device, payload, retain = false) => {
+        const text = payload.trim();
+
+        if (text === 'offline') {
+            presenceManager.transition(device, 'offline', 'lwt');
+            return;
+        }
+
+        if (text !== 'online') {
+            let status;
+            try {
+                status = JSON.parse(text);
+            } catch (error) {
+                console.warn('Unknown status payload:', presenceManager.statusTopic(device), text);
+                return;
+            }
+            if (status?.type === 'ack') {
+                // Replayed acks belong to commands sent during the recording
+                if (!replayManager.active) commandManager.handleAck(device, status);
+            } else if (status?.type === 'heartbeat') {
+                device.heartbeat = {
+                    uptime: status.uptime,
+                    rssi: status.rssi,
+                    ip: status.ip,
+                    freeHeap: status.free_heap,
+                    configSource: status.config_source,
+                    receivedAt: utils.now()
+                };
+                if (!retain) readingClock.observe(device, status.uptime, utils.now());
+            } else {
+                return;
+            }
+        }
+
+        presenceManager.touch(device);
+    },
+
+    // Record that a device was heard from
+    touch: (device) => {
+        device.presence = { ...device.presence, lastSeen: utils.now() };
+        presenceManager.transition(device, 'online', 'seen');
+    },
+
+    // Move a device to a new presence state and raise or resolve its presence alert
+    transition: (device, next, reason) => {
+        const previous = device.presence?.state;
+        device.presence = { ...device.presence, state: next };
+        if (previous === next) return;
+
+        device.presence.since = utils.now();
+        device.presence.reason = reason;
+        console.log('Presence:', device.deviceName, previous || 'unknown', '->', next, `(${reason})`);
+
+        if (tabManager.persistsData()) storage.saveDevices();
+        if (tabManager.handlesData()) presenceManager.updateAlerts(device, previous, next);
+
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        mapManager.updateMarkers();
+    },
+
+    // Raise stale/offline alerts and resolve them once the device is back
+    updateAlerts: (device, previous, next) => {
+        const lastSeen = device.presence.lastSeen;
+        const silent = lastSeen ? Math.round((utils.now() - lastSeen) / 1000) : null;
+        const threshold = Math.round(presenceManager.staleAfter(device) / 1000);
+
+        if (next === 'online') {
+            // A device seen for the first time has nothing to resolve
+            if (previous) alertManager.resolveMetric(device.deviceId, 'presence', 'Device kembali online');
+            return;
+        }
+
+        if (next === 'stale') {
+            alertManager.raise(device, {
+                metric: 'presence',
+                severity: 'warning',
+                value: silent,
+                threshold,
+                message: `⚡ WARNING! Tidak ada data/heartbeat sejak ${utils.formatAgo(lastSeen)}`
+            });
+            return;
+        }
+
+        alertManager.resolveMetric(device.deviceId, 'presence', 'Device offline', 'warning');
+        alertManager.raise(device, {
+            metric: 'presence',
+            severity: 'danger',
+            value: silent,
+            threshold,
+            message: device.presence.reason === 'lwt'
+                ? '⚠️ BAHAYA! Device offline (koneksi MQTT terputus)'
+                : '⚠️ BAHAYA! Device offline'
+        });
+    },
+
+    // Periodically move silent devices from online to stale
+    evaluate: () => {
+        state.devices.forEach(device => {
+            if (!device.presence?.state) return;
+            const next = presenceManager.getState(device);
+            if (next !== device.presence.state) {
+                presenceManager.transition(device, next, 'timeout');
+            }
+        });
+    },
+
+    // Start the periodic presence check
+    startChecks: () => {
+        clearInterval(presenceManager.checkTimer);
+        presenceManager.checkTimer = setInterval(presenceManager.evaluate, CONFIG.presence.checkInterval);
+    }
+};
+
+// ==================== READING TIME ====================
+const readingClock = {
+    // Update the device's boot time estimate from an uptime (seconds) received live
+    observe: (device, uptime, receivedAt) => {
+        if (typeof uptime !== 'number' || uptime < 0) return;
+
+        // Delivery delay only ever makes the estimate later, so the earliest one is best
+        const bootAt = receivedAt - uptime * 1000;
+        const boot = device.boot;
+        const sameBoot = boot && Math.abs(bootAt - boot.at) <= CONFIG.readingClock.bootTolerance;
+        device.boot = {
+            at: sameBoot ? Math.min(boot.at, bootAt) : bootAt,
+            uptime: sameBoot ? Math.max(boot.uptime, uptime) : uptime
+        };
+    },
+
+    // A timestamp field holding wall-clock time (epoch seconds or ms), or null for uptime-style values
+    absoluteTime: (timestamp) => {
+        if (typeof timestamp !== 'number') return null;
+        if (timestamp > 1e12) return timestamp;
+        if (timestamp > 1e9) return timestamp * 1000;
+        return null;
+    },
+
+    // Work out when a reading was taken and whether it is too old to count as new data
+    assess: (device, data, retained, relayedAt = null) => {
+        const receivedAt = utils.now();
+        const uptime = typeof data.uptime === 'number' ? data.uptime : null;
+
+        // HTTP readings relayed after a reconnect may be late (relayedAt is already in this browser's clock)
+        if (relayedAt) {
+            readingClock.observe(device, uptime, relayedAt);
+            const stale = receivedAt - relayedAt > presenceManager.staleAfter(device);
+            return { readingAt: Math.min(relayedAt, receivedAt), stale, reason: stale ? 'old' : null };
+        }
+
+        if (!retained) {
+            readingClock.observe(device, uptime, receivedAt);
+            return { readingAt: receivedAt, stale: false };
+        }
+
+        // The retained copy of the reading we already have, e.g. after a page reload
+        if (uptime !== null && device.lastData?.uptime === uptime) {
+            return { readingAt: device.lastUpdate, stale: true, reason: 'duplicate' };
+        }
+
+        let readingAt = readingClock.absoluteTime(data.timestamp);
+        const boot = device.boot;
+        // A lower uptime than already seen means the device restarted since, at an unknown time
+        if (readingAt === null && uptime !== null && boot && uptime >= boot.uptime) {
+            readingAt = boot.at + uptime * 1000;
+        }
+        if (readingAt === null || readingAt > receivedAt + CONFIG.readingClock.bootTolerance) {
+            return { readingAt: null, stale: true, reason: 'unknown' };
+        }
+
+        const stale = receivedAt - readingAt > presenceManager.staleAfter(device);
+        return { readingAt: Math.min(readingAt, receivedAt), stale, reason: stale ? 'old' : null };
+    },
+
+    // Remember the ignored reading so the dashboard can show it was stale
+    flag: (device, data, { readingAt, reason }) => {
+        console.log('Stale reading ignored:', device.deviceName, reason, readingAt ? utils.formatDate(readingAt) : '');
+        if (reason === 'duplicate') return;
+
+        device.staleReading = {
+            receivedAt: utils.now(),
+            readingAt,
+            reason,
+            uptime: data.uptime ?? null,
+            aqi: data.aqi ?? null
+        };
+        if (tabManager.persistsData()) storage.saveDevices();
+        ui.updateDevicesTable();
+    },
+
+    // Describe an ignored reading for tables and the detail view
+    describe: (stale) => {
+        if (!stale) return '--';
+        return stale.readingAt
+            ? `Diabaikan, diambil ${utils.formatAgo(stale.readingAt)}`
+            : 'Diabaikan, waktu pengambilan tidak diketahui';
+    }
+};
+
+// ==================== REMOTE COMMANDS ====================
+const commandManager = {
+    deviceId: null, // Device open in the detail modal
+    timers: {},
+
+    // Commands the firmware handles in handleRemoteCommand()
+    definitions: {
+        recalibrate: { label: 'Recalibrate', confirm: 'Kalibrasi ulang sensor? Pastikan device berada di udara bersih.' },
+        set_interval: { label: 'Set Interval' },
+        reboot: { label: 'Reboot', confirm: 'Reboot device ini?' },
+        clear_config: { label: 'Clear Config', confirm: 'Hapus konfigurasi di EEPROM device? Device harus di-scan ulang dengan tag NFC.' },
+        debug: { label: 'Toggle Debug' }
+    },
+
+    // Badge class per lifecycle status
+    badges: {
+        sent: 'status-warning',
+        acknowledged: 'status-online',
+        failed: 'status-offline',
+        timeout: 'status-offline'
+    },
+
+    // Topic the firmware listens on for commands
+    commandTopic: (device) => `${device.mqttTopic}/cmd`,
+
+    // Get command history of a device, newest first
+    historyFor: (deviceId) => state.commands[deviceId] || [],
+
+    // Send a command to the device open in the detail modal
+    send: (cmd, params = {}) => {
+        const device = state.devices.find(d => d.deviceId === commandManager.deviceId);
+        if (!device) return;
+
+        const definition = commandManager.definitions[cmd];
+        if (definition.confirm && !confirm(definition.confirm)) return;
+
+        const command = {
+            id: utils.generateId(),
+            deviceId: device.deviceId,
+            cmd,
+            params,
+            status: 'sent',
+            createdAt: Date.now()
+        };
+
+        // The leader owns the MQTT connection, so other tabs hand commands to it
+        if (tabManager.isLeader) {
+            commandManager.dispatch(command);
+        } else {
+            tabManager.broadcast('command', { command });
+        }
+    },
+
+    // Send the interval from the detail modal (entered in seconds)
+    sendInterval: () => {
+        const seconds = parseInt(document.getElementById('commandInterval').value);
+        if (!seconds || seconds < 1 || seconds > 3600) {
+            utils.showToast('Interval harus 1 - 3600 detik', 'error');
+            return;
+        }
+        commandManager.send('set_interval', { interval_ms: seconds * 1000 });
+    },
+
+    // Publish a command and wait for its ack (leader tab only)
+    dispatch: (command) => {
+        const device = state.devices.find(d => d.deviceId === command.deviceId);
+        if (!device) return;
+
+        commandManager.record(command);
+
+        if (!state.mqttClient?.connected) {
+            commandManager.update(command.id, { status: 'failed', response: 'MQTT tidak terhubung' });
+            return;
+        }
+
+        const payload = JSON.stringify({ id: command.id, cmd: command.cmd, ...command.params });
+        commandManager.update(command.id, { sentAt: Date.now() });
+        commandManager.timers[command.id] = setTimeout(
+            () => commandManager.expire(command.id),
+            CONFIG.commands.timeouts[command.cmd] || CONFIG.commands.timeout
+        );
+
+        state.mqttClient.publish(commandManager.commandTopic(device), payload, { qos: 1 }, (error) => {
+            if (!error) return;
+            console.error('Error publishing command:', error);
+            clearTimeout(commandManager.timers[command.id]);
+            commandManager.update(command.id, { status: 'failed', response: error.message });
+        });
+    },
+
+    // Add a command to its device history
+    record: (command) => {
+        const history = [command, ...commandManager.historyFor(command.deviceId)];
+        state.commands[command.deviceId] = history.slice(0, CONFIG.commands.historyLimit);
+        if (tabManager.isLeader) storage.saveCommands();
+        commandManager.render();
+    },
+
+    // Change a command in the history
+    update: (commandId, changes) => {
+        const command = Object.values(state.commands).flat().find(c => c.id === commandId);
+        if (!command) return null;
+
+        Object.assign(command, changes);
+        if (tabManager.isLeader) storage.saveCommands();
+        commandManager.render();
+        return command;
+    },
+
+    // Handle an ack published by the firmware on <topic>/status
+    handleAck: (device, ack) => {
+        const command = commandManager.historyFor(device.deviceId).find(c => c.id === ack.id);
+        if (!command || !['sent', 'timeout'].includes(command.status)) return;
+
+        clearTimeout(commandManager.timers[command.id]);
+        delete commandManager.timers[command.id];
+
+        const ok = ack.ok !== false;
+        commandManager.update(command.id, {
+            status: ok ? 'acknowledged' : 'failed',
+            ackAt: Date.now(),
+            response: ack.message || ''
+        });
+
+        // Keep the stored interval in step with the device (firmware reports milliseconds)
+        if (ok && ack.cmd === 'set_interval' && ack.interval) {
+            device.interval = Math.round(ack.interval / 1000);
+            if (tabManager.isLeader) storage.saveDevices();
+        }
+
+        const label = commandManager.definitions[command.cmd]?.label || command.cmd;
+        utils.showToast(`${device.deviceName}: ${label} ${ok ? 'berhasil' : 'gagal'}${ack.message ? ` (${ack.message})` : ''}`, ok ? 'success' : 'error');
+    },
+
+    // Mark a command without ack as timed out
+    expire: (commandId) => {
+        delete commandManager.timers[commandId];
+        const command = Object.values(state.commands).flat().find(c => c.id === commandId);
+        if (!command || command.status !== 'sent') return;
+
+        commandManager.update(commandId, { status: 'timeout' });
+        const device = state.devices.find(d => d.deviceId === command.deviceId);
+        utils.showToast(`${device?.deviceName || command.deviceId}: tidak ada respons untuk ${commandManager.definitions[command.cmd]?.label || command.cmd}`, 'error');
+    },
+
+    // Time out commands left waiting by a tab that closed
+    expireStale: () => {
+        const now = Date.now();
+        let changed = false;
+        Object.values(state.commands).flat().forEach(command => {
+            const timeout = CONFIG.commands.timeouts[command.cmd] || CONFIG.commands.timeout;
+            if (command.status === 'sent' && !commandManager.timers[command.id] && now - command.createdAt > timeout) {
+                command.status = 'timeout';
+                changed = true;
+            }
+        });
+        if (changed) storage.saveCommands();
+    },
+
+    // Describe a command's parameters
+    describeParams: (command) => {
+        if (command.cmd === 'set_interval') return `${command.params.interval_ms / 1000} s`;
+        if (command.cmd === 'debug' && typeof command.params.enabled === 'boolean') return command.params.enabled ? 'on' : 'off';
+        return '';
+    },
+
+    // Render the command panel of the detail modal
+    render: () => {
+        const tbody = document.getElementById('commandHistoryBody');
+        const device = state.devices.find(d => d.deviceId === commandManager.deviceId);
+        if (!tbody || !device) return;
+
+        const supported = ['MQTT', 'MQTTS'].includes(device.protocol);
+        document.getElementById('commandNote').textContent = supported
+            ? `Dikirim ke ${commandManager.commandTopic(device)}, ack lewat ${presenceManager.statusTopic(device)}`
+            : 'Perintah remote hanya tersedia untuk device dengan protokol MQTT';
+        document.querySelectorAll('#commandPanel button').forEach(button => {
+            button.disabled = !supported;
+        });
+
+        const history = commandManager.historyFor(device.deviceId);
+        if (history.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" style="text-align: center; color: var(--text-light);">Belum ada perintah</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = history.map(command => {
+            const label = commandManager.definitions[command.cmd]?.label || command.cmd;
+            const params = commandManager.describeParams(command);
+            const took = command.ackAt && command.sentAt ? `${((command.ackAt - command.sentAt) / 1000).toFixed(1)} s` : '--';
+            return `
+                <tr>
+                    <td>${utils.formatDate(command.createdAt)}</td>
+                    <td><strong>${label}</strong>${params ? ` <small>${params}</small>` : ''}</td>
+                    <td><span class="device-status ${commandManager.badges[command.status] || 'status-warning'}">${command.status}</span></td>
+                    <td>${command.response ? utils.escapeHtml(command.response) : '--'}</td>
+                    <td>${took}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+};
+
+// ==================== PAYLOAD VALIDATION ====================
+const payloadValidator = {
+    // Sensor payload as built by createSensorJSON() in the firmware.
+    // Unknown fields are allowed; listed ones must match when present.
+    schema: {
+        temp: { type: 'number', required: true, min: -40, max: 80 }, // DHT22 range
+        humidity: { type: 'number', required: true, min: 0, max: 100 },
+        aqi: { type: 'number', required: true, min: 0, max: 500 }, // hitungAQI caps at 500, -1 means bad ADC
+        status: { type: 'string', enum: ['Baik', 'Sedang', 'Tidak Sehat', 'Sangat Tidak Sehat', 'Berbahaya'] },
+        ppm_MQ135: { type: 'number', required: true, min: 0, max: 10000 },
+        ppm_MQ7: { type: 'number', required: true, min: 0, max: 10000 },
+        ppm_MQ9: { type: 'number', required: true, min: 0, max: 10000 },
+        adc_MQ135: { type: 'integer', min: 0, max: 4095 },
+        adc_MQ7: { type: 'integer', min: 0, max: 4095 },
+        adc_MQ9: { type: 'integer', min: 0, max: 4095 },
+        ro_MQ135: { type: 'number', min: 0, exclusiveMin: true },
+        ro_MQ7: { type: 'number', min: 0, exclusiveMin: true },
+        ro_MQ9: { type: 'number', min: 0, exclusiveMin: true },
+        deviceId: { type: 'string' },
+        deviceName: { type: 'string' },
+        sensorType: { type: 'string' },
+        interval: { type: 'integer', min: 0 },
+        protocol: { type: 'string' },
+        timestamp: { type: 'integer', min: 0 },
+        uptime: { type: 'integer', min: 0 }
+    },
+
+    // Parse a raw payload as JSON without checking its fields
+    parseJson: (raw) => {
+        try {
+            return { data: JSON.parse(raw), errors: [] };
+        } catch (error) {
+            return { data: null, errors: [`payload: invalid JSON (${error.message})`] };
+        }
+    },
+
+    // Parse a raw payload and validate it; returns the data and failing rules
+    parse: (raw) => {
+        const { data, errors } = payloadValidator.parseJson(raw);
+        if (errors.length > 0) return { data, errors };
+        return { data, errors: payloadValidator.validate(data) };
+    },
+
+    // Check data against the schema; returns a message per failing rule.
+    // Partial checks skip required fields (decoded third-party payloads).
+    validate: (data, { partial = false } = {}) => {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['payload: not a JSON object'];
+        }
+
+        const errors = [];
+        Object.entries(payloadValidator.schema).forEach(([field, rule]) => {
+            const value = data[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required && !partial) errors.push(`${field}: missing`);
+                return;
+            }
+
+            if (rule.type === 'string' && typeof value !== 'string') {
+                errors.push(`${field}: expected string, got ${typeof value}`);
+                return;
+            }
+            if ((rule.type === 'number' || rule.type === 'integer') && (typeof value !== 'number' || !isFinite(value))) {
+                errors.push(`${field}: expected number, got ${JSON.stringify(value)}`);
+                return;
+            }
+            if (rule.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`${field}: ${value} is not an integer`);
+            }
+
+            if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+                errors.push(`${field}: ${value} below ${rule.exclusiveMin ? 'or equal to ' : ''}min ${rule.min}`);
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                errors.push(`${field}: ${value} above max ${rule.max}`);
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                errors.push(`${field}: "${value}" not one of ${rule.enum.join(', ')}`);
+            }
+        });
+        return errors;
+    }
+};
+
+// ==================== PAYLOAD DECODERS ====================
+const decoderManager = {
+    editingId: null,
+    draft: [], // Mappings being edited in the decoder modal
+
+    // Fields a mapping can fill and the units their values convert from
+    targets: {
+        aqi: { label: 'AQI', units: { index: v => v, 'PM2.5 µg/m³': v => decoderManager.pm25ToAqi(v) } },
+        temp: { label: 'Suhu', units: { '°C': v => v, '°F': v => (v - 32) * 5 / 9, K: v => v - 273.15 } },
+        humidity: { label: 'Kelembaban', units: { '%': v => v, fraction: v => v * 100 } },
+        ppm_MQ135: { label: 'MQ135', units: { ppm: v => v, ppb: v => v / 1000 } },
+        ppm_MQ7: { label: 'MQ7 (CO)', units: { ppm: v => v, ppb: v => v / 1000 } },
+        ppm_MQ9: { label: 'MQ9', units: { ppm: v => v, ppb: v => v / 1000 } },
+        uptime: { label: 'Uptime', units: { s: v => Math.round(v), ms: v => Math.round(v / 1000) } }
+    },
+
+    // Built-in decoders, picked by the device's sensor type
+    builtins: [
+        {
+            id: 'econfc',
+            name: 'EcoNFC (MQ135/MQ7/MQ9)',
+            sensorTypes: ['DHT22', 'DHT11', 'BME280'],
+            decode: (raw) => payloadValidator.parse(raw)
+        }
+    ],
+
+    // Starting points for the mapping editor
+    templates: {
+        tasmota: {
+            name: 'Tasmota (AM2301 + PMS5003)',
+            mappings: [
+                { path: 'AM2301.Temperature', metric: 'temp', unit: '°C', scale: 1 },
+                { path: 'AM2301.Humidity', metric: 'humidity', unit: '%', scale: 1 },
+                { path: 'PMS5003["PM2.5"]', metric: 'aqi', unit: 'PM2.5 µg/m³', scale: 1 }
+            ]
+        },
+        esphome: {
+            name: 'ESPHome (publish_json)',
+            mappings: [
+                { path: 'temperature', metric: 'temp', unit: '°C', scale: 1 },
+                { path: 'humidity', metric: 'humidity', unit: '%', scale: 1 },
+                { path: 'pm_2_5', metric: 'aqi', unit: 'PM2.5 µg/m³', scale: 1 }
+            ]
+        }
+    },
+
+    // US EPA breakpoints for PM2.5 (µg/m³, 24h) to AQI
+    pm25Breakpoints: [
+        [0, 12, 0, 50],
+        [12.1, 35.4, 51, 100],
+        [35.5, 55.4, 101, 150],
+        [55.5, 150.4, 151, 200],
+        [150.5, 250.4, 201, 300],
+        [250.5, 350.4, 301, 400],
+        [350.5, 500.4, 401, 500]
+    ],
+
+    // Convert a PM2.5 concentration to an AQI value
+    pm25ToAqi: (concentration) => {
+        const c = Math.floor(Math.max(concentration, 0) * 10) / 10;
+        const band = decoderManager.pm25Breakpoints.find(([low, high]) => c <= high);
+        if (!band) return 500;
+        const [cLow, cHigh, iLow, iHigh] = band;
+        return (iHigh - iLow) / (cHigh - cLow) * (c - cLow) + iLow;
+    },
+
+    // Split a JSON path like `a.b[0]["PM2.5"]` into keys
+    parsePath: (path) => {
+        const keys = [];
+        const pattern = /\["([^"]+)"\]|\[(\d+)\]|([^.[\]]+)/g;
+        const text = path.trim().replace(/^\$\.?/, '');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            keys.push(match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[3]));
+        }
+        return keys;
+    },
+
+    // Read the value at a JSON path
+    readPath: (data, path) => decoderManager.parsePath(path)
+        .reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), data),
+
+    // Decoders to choose from: built-in ones first
+    all: () => decoderManager.builtins.concat(state.decoders),
+
+    // Find the decoder for a device by its sensor type (EcoNFC if none matches)
+    forDevice: (device) => {
+        return state.decoders.find(d => d.sensorType === device.sensorType)
+            || decoderManager.builtins.find(d => d.sensorTypes.includes(device.sensorType))
+            || decoderManager.builtins[0];
+    },
+
+    // Decode a raw payload from a device into dashboard fields
+    decode: (device, raw) => {
+        const decoder = decoderManager.forDevice(device);
+        return decoder.decode ? decoder.decode(raw) : decoderManager.applyMappings(decoder.mappings, raw);
+    },
+
+    // Decode a payload with user-defined mappings
+    applyMappings: (mappings, raw) => {
+        const parsed = payloadValidator.parseJson(raw);
+        if (parsed.errors.length > 0) return parsed;
+
+        const data = {};
+        const errors = [];
+        mappings.forEach(mapping => {
+            let value = decoderManager.readPath(parsed.data, mapping.path);
+            if (value === undefined || value === null) {
+                errors.push(`${mapping.path}: missing`);
+                return;
+            }
+
+            // ESPHome and friends sometimes publish numbers as strings
+            if (typeof value === 'string' && value.trim() !== '' && isFinite(value)) value = Number(value);
+            if (typeof value !== 'number' || !isFinite(value)) {
+                errors.push(`${mapping.path}: expected number, got ${JSON.stringify(value)}`);
+                return;
+            }
+
+            const convert = decoderManager.targets[mapping.metric]?.units[mapping.unit];
+            if (!convert) {
+                errors.push(`${mapping.path}: unknown unit ${mapping.unit} for ${mapping.metric}`);
+                return;
+            }
+            data[mapping.metric] = Math.round(convert(value * (mapping.scale ?? 1)) * 100) / 100;
+        });
+
+        if (errors.length > 0) return { data, errors };
+        return { data, errors: payloadValidator.validate(data, { partial: true }) };
+    },
+
+    // Render decoders in Settings
+    renderList: () => {
+        const tbody = document.getElementById('decoderTableBody');
+        if (!tbody) return;
+
+        const usage = (sensorTypes) => state.devices.filter(d => sensorTypes.includes(d.sensorType)).length;
+
+        tbody.innerHTML = decoderManager.all().map(decoder => {
+            const builtin = !!decoder.decode;
+            const sensorTypes = builtin ? decoder.sensorTypes : [decoder.sensorType];
+            return `
+                <tr>
+                    <td><strong>${utils.escapeHtml(decoder.name)}</strong>${builtin ? ' <small>(built-in)</small>' : ''}</td>
+                    <td>${sensorTypes.map(utils.escapeHtml).join(', ')}</td>
+                    <td>${builtin ? 'EcoNFC schema' : `${decoder.mappings.length} field`}</td>
+                    <td>${usage(sensorTypes)}</td>
+                    <td>
+                        ${builtin ? '--' : `
+                        <div class="action-buttons">
+                            <button class="action-btn action-btn-edit" onclick="decoderManager.openModal('${decoder.id}')" title="Edit">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="action-btn action-btn-delete" onclick="decoderManager.remove('${decoder.id}')" title="Delete">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    // Add custom decoders to the sensor type list of the device form
+    populateSensorTypes: () => {
+        const select = document.getElementById('sensorType');
+        if (!select) return;
+
+        const current = select.value;
+        select.querySelectorAll('[data-decoder]').forEach(option => option.remove());
+        state.decoders.forEach(decoder => {
+            const option = document.createElement('option');
+            option.value = decoder.sensorType;
+            option.textContent = `${decoder.name} (decoder)`;
+            option.dataset.decoder = decoder.id;
+            select.appendChild(option);
+        });
+        if (current) select.value = current;
+    },
+
+    // Open the decoder editor, empty or for an existing decoder
+    openModal: (decoderId = null) => {
+        const decoder = state.decoders.find(d => d.id === decoderId);
+        decoderManager.editingId = decoder ? decoder.id : null;
+        decoderManager.draft = decoder
+            ? decoder.mappings.map(m => ({ ...m }))
+            : [{ path: '', metric: 'temp', unit: '°C', scale: 1 }];
+
+        document.getElementById('decoderModalTitle').textContent = decoder ? 'Edit Decoder' : 'Add Decoder';
+        document.getElementById('decoderName').value = decoder?.name || '';
+        document.getElementById('decoderSensorType').value = decoder?.sensorType || '';
+        document.getElementById('decoderTemplate').value = '';
+        document.getElementById('decoderTestResult').innerHTML = '';
+
+        decoderManager.renderMappings();
+        ui.showModal('decoderModal');
+    },
+
+    // Replace the draft mappings with a template
+    applyTemplate: (key) => {
+        const template = decoderManager.templates[key];
+        if (!template) return;
+        decoderManager.draft = template.mappings.map(m => ({ ...m }));
+        if (!document.getElementById('decoderName').value) {
+            document.getElementById('decoderName').value = template.name;
+        }
+        decoderManager.renderMappings();
+    },
+
+    // Render the mapping rows of the editor
+    renderMappings: () => {
+        const container = document.getElementById('decoderMappings');
+        if (!container) return;
+
+        const metricOptions = (selected) => Object.entries(decoderManager.targets).map(([metric, target]) =>
+            `<option value="${metric}" ${metric === selected ? 'selected' : ''}>${target.label}</option>`
+        ).join('');
+        const unitOptions = (metric, selected) => Object.keys(decoderManager.targets[metric].units).map(unit =>
+            `<option value="${unit}" ${unit === selected ? 'selected' : ''}>${unit}</option>`
+        ).join('');
+
+        container.innerHTML = decoderManager.draft.map((mapping, index) => `
+            <div class="decoder-mapping">
+                <input type="text" class="form-input" placeholder="JSON path, e.g. AM2301.Temperature" value="${utils.escapeHtml(mapping.path)}"
+                       onchange="decoderManager.updateMapping(${index}, 'path', this.value)">
+                <select class="form-input" onchange="decoderManager.updateMapping(${index}, 'metric', this.value)">
+                    ${metricOptions(mapping.metric)}
+                </select>
+                <select class="form-input" onchange="decoderManager.updateMapping(${index}, 'unit', this.value)">
+                    ${unitOptions(mapping.metric, mapping.unit)}
+                </select>
+                <input type="number" class="form-input" step="any" title="Scale" value="${mapping.scale ?? 1}"
+                       onchange="decoderManager.updateMapping(${index}, 'scale', parseFloat(this.value))">
+                <button type="button" class="action-btn action-btn-delete" onclick="decoderManager.removeMapping(${index})" title="Remove">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+    },
+
+    // Add an empty mapping row
+    addMapping: () => {
+        decoderManager.draft.push({ path: '', metric: 'temp', unit: '°C', scale: 1 });
+        decoderManager.renderMappings();
+    },
+
+    // Change one field of a draft mapping
+    updateMapping: (index, field, value) => {
+        const mapping = decoderManager.draft[index];
+        mapping[field] = value;
+
+        // A new target has its own units
+        if (field === 'metric') {
+            mapping.unit = Object.keys(decoderManager.targets[value].units)[0];
+            decoderManager.renderMappings();
+        }
+    },
+
+    // Remove a mapping row
+    removeMapping: (index) => {
+        decoderManager.draft.splice(index, 1);
+        decoderManager.renderMappings();
+    },
+
+    // Read the editor into a decoder, returning null (with a toast) if invalid
+    readForm: () => {
+        const name = document.getElementById('decoderName').value.trim();
+        const sensorType = document.getElementById('decoderSensorType').value.trim();
+        const mappings = decoderManager.draft
+            .filter(m => m.path.trim())
+            .map(m => ({ ...m, path: m.path.trim(), scale: isFinite(m.scale) ? m.scale : 1 }));
+
+        if (!name || !sensorType) {
+            utils.showToast('Nama dan sensor type wajib diisi', 'error');
+            return null;
+        }
+        if (decoderManager.builtins.some(d => d.sensorTypes.includes(sensorType)) ||
+            state.decoders.some(d => d.sensorType === sensorType && d.id !== decoderManager.editingId)) {
+            utils.showToast(`Sensor type "${sensorType}" sudah dipakai decoder lain`, 'error');
+            return null;
+        }
+        if (mappings.length === 0) {
+            utils.showToast('Tambahkan minimal satu mapping', 'error');
+            return null;
+        }
+        const targets = mappings.map(m => m.metric);
+        if (new Set(targets).size !== targets.length) {
+            utils.showToast('Setiap metric hanya boleh dipetakan sekali', 'error');
+            return null;
+        }
+
+        return { id: decoderManager.editingId || utils.generateId(), name, sensorType, mappings };
+    },
+
+    // Decode the sample payload with the draft mappings
+    test: () => {
+        const result = document.getElementById('decoderTestResult');
+        const sample = document.getElementById('decoderSample').value.trim();
+        if (!sample) {
+            result.innerHTML = '<span class="quarantine-error">Tempel contoh payload terlebih dahulu</span>';
+            return;
+        }
+
+        const mappings = decoderManager.draft.filter(m => m.path.trim());
+        const { data, errors } = decoderManager.applyMappings(mappings, sample);
+        result.innerHTML = errors.length > 0
+            ? errors.map(e => `<div class="quarantine-error">${utils.escapeHtml(e)}</div>`).join('')
+            : `<pre class="quarantine-payload">${utils.escapeHtml(JSON.stringify(data, null, 2))}</pre>`;
+    },
+
+    // Save the decoder being edited
+    save: () => {
+        const decoder = decoderManager.readForm();
+        if (!decoder) return;
+
+        const previous = state.decoders.find(d => d.id === decoder.id);
+        if (previous) {
+            // Devices follow a renamed sensor type
+            state.devices.forEach(device => {
+                if (device.sensorType === previous.sensorType) device.sensorType = decoder.sensorType;
+            });
+            storage.saveDevices();
+            state.decoders = state.decoders.map(d => d.id === decoder.id ? decoder : d);
+        } else {
+            state.decoders.push(decoder);
+        }
+
+        storage.saveDecoders();
+        decoderManager.renderList();
+        decoderManager.populateSensorTypes();
+        ui.closeModal('decoderModal');
+        utils.showToast('Decoder disimpan', 'success');
+    },
+
+    // Delete a decoder; its devices fall back to the EcoNFC format
+    remove: (decoderId) => {
+        const decoder = state.decoders.find(d => d.id === decoderId);
+        if (!decoder) return;
+
+        const used = state.devices.filter(d => d.sensorType === decoder.sensorType).length;
+        const message = used > 0
+            ? `Hapus decoder "${decoder.name}"? ${used} device akan kembali memakai format EcoNFC.`
+            : `Hapus decoder "${decoder.name}"?`;
+        if (!confirm(message)) return;
+
+        state.decoders = state.decoders.filter(d => d.id !== decoderId);
+        storage.saveDecoders();
+        decoderManager.renderList();
+        decoderManager.populateSensorTypes();
+        utils.showToast('Decoder dihapus', 'success');
+    }
+};
+
+// ==================== QUARANTINE ====================
+const quarantineManager = {
+    // Maximum rows rendered at once
+    renderLimit: 100,
+
+    // Record a rejected payload (only the leader tab persists, replays only when asked)
+    add: (device, topic, raw, errors) => {
+        console.warn('Quarantined payload:', topic, errors);
+
+        const entry = {
+            id: utils.generateId(),
+            timestamp: utils.now(),
+            deviceId: device.deviceId,
+            deviceName: device.deviceName,
+            topic,
+            payload: raw.length > CONFIG.quarantine.maxPayload
+                ? `${raw.slice(0, CONFIG.quarantine.maxPayload)}…`
+                : raw,
+            errors
+        };
+
+        state.quarantine = [entry, ...state.quarantine].slice(0, CONFIG.quarantine.limit);
+        if (tabManager.persistsData()) storage.saveQuarantine();
+        quarantineManager.render();
+    },
+
+    // Fill the device filter with devices that have quarantined payloads
+    populateFilter: () => {
+        const select = document.getElementById('quarantineDevice');
+        if (!select) return;
+
+        const current = select.value;
+        const devices = new Map(state.quarantine.map(e => [e.deviceId, e.deviceName]));
+        select.innerHTML = '<option value="">All devices</option>' +
+            [...devices].map(([id, name]) => `<option value="${utils.escapeHtml(id)}">${utils.escapeHtml(name)}</option>`).join('');
+        select.value = devices.has(current) ? current : '';
+    },
+
+    // Render the quarantine table in Settings
+    render: () => {
+        const tbody = document.getElementById('quarantineTableBody');
+        if (!tbody) return;
+
+        quarantineManager.populateFilter();
+        const deviceId = document.getElementById('quarantineDevice')?.value || '';
+        const entries = state.quarantine.filter(e => !deviceId || e.deviceId === deviceId);
+
+        document.getElementById('quarantineSummary').textContent = state.quarantine.length > 0
+            ? `${entries.length} payload ditolak${entries.length > quarantineManager.renderLimit ? `, menampilkan ${quarantineManager.renderLimit} terbaru` : ''}`
+            : 'Tidak ada payload yang ditolak';
+
+        if (entries.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" style="text-align: center; color: var(--text-light);">Semua payload valid</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = entries.slice(0, quarantineManager.renderLimit).map(entry => `
+            <tr>
+                <td>${utils.formatDate(entry.timestamp)}</td>
+                <td><strong>${utils.escapeHtml(entry.deviceName)}</strong><br><small>${utils.escapeHtml(entry.topic)}</small></td>
+                <td>${entry.errors.map(e => `<div class="quarantine-error">${utils.escapeHtml(e)}</div>`).join('')}</td>
+                <td><pre class="quarantine-payload">${utils.escapeHtml(entry.payload)}</pre></td>
+            </tr>
+        `).join('');
+    },
+
+    // Clear the quarantine log
+    clear: () => {
+        if (!confirm('Hapus semua payload di karantina?')) return;
+        state.quarantine = [];
+        storage.saveQuarantine();
+        quarantineManager.render();
+        utils.showToast('Karantina dikosongkan');
+    }
+};
+
+// ==================== MQTT INSPECTOR ====================
+const inspector = {
+    messages: [], // Captured messages, oldest first
+    seq: 0,
+    paused: false,
+    pausedAt: 0, // Last message shown before pausing
+    renderTimer: null,
+    watchClient: null, // Separate client for topics no device subscribes to
+    watchTopic: null,
+    watchStarting: false, // Set while connectOptions is awaited, so a double click starts one client
+
+    // Record a received message
+    capture: (topic, payload, { retain = false, qos = 0 } = {}, source = 'app') => {
+        // The watch client already captures what its filter covers
+        if (source === 'app' && inspector.watchTopic && mqttManager.topicMatches(inspector.watchTopic, topic)) return;
+
+        inspector.messages.push({
+            seq: ++inspector.seq,
+            receivedAt: utils.now(),
+            topic,
+            payload,
+            retain: !!retain,
+            qos: qos || 0,
+            size: new TextEncoder().encode(payload).length,
+            source
+        });
+        if (inspector.messages.length > CONFIG.inspector.bufferSize) {
+            inspector.messages.splice(0, inspector.messages.length - CONFIG.inspector.bufferSize);
+        }
+        inspector.scheduleRender();
+    },
+
+    // Name the device (and topic kind) a topic belongs to
+    describeTopic: (topic) => {
+        for (const device of state.devices) {
+            if (!device.mqttTopic) continue;
+            if (topic === device.mqttTopic) return { device, kind: 'data' };
+            const suffix = topic.startsWith(`${device.mqttTopic}/`) ? topic.slice(device.mqttTopic.length + 1) : null;
+            if (['status', 'info', 'cmd'].includes(suffix)) return { device, kind: suffix };
+        }
+        return null;
+    },
+
+    // Read the page filters
+    getFilters: () => {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        return {
+            topic: value('inspectorTopic'),
+            match: value('inspectorMatch'),
+            search: value('inspectorSearch').toLowerCase()
+        };
+    },
+
+    // Apply filters; newest first
+    filter: (filters) => {
+        return inspector.messages.filter(message => {
+            if (filters.topic) {
+                const wildcard = /[+#]/.test(filters.topic);
+                if (wildcard ? !mqttManager.topicMatches(filters.topic, message.topic) : !message.topic.includes(filters.topic)) {
+                    return false;
+                }
+            }
+            if (filters.match) {
+                const matched = !!inspector.describeTopic(message.topic);
+                if (filters.match === 'device' && !matched) return false;
+                if (filters.match === 'unmatched' && matched) return false;
+            }
+            if (filters.search) {
+                const haystack = `${message.topic} ${message.payload}`.toLowerCase();
+                if (!haystack.includes(filters.search)) return false;
+            }
+            return true;
+        }).reverse();
+    },
+
+    // Pretty-print JSON payloads, leave anything else as is
+    formatPayload: (payload) => {
+        try {
+            return JSON.stringify(JSON.parse(payload), null, 2);
+        } catch (error) {
+            return payload;
+        }
+    },
+
+    // Re-render soon, batching bursts of messages
+    scheduleRender: () => {
+        if (inspector.renderTimer) return;
+        inspector.renderTimer = setTimeout(() => {
+            inspector.renderTimer = null;
+            inspector.render();
+        }, CONFIG.inspector.renderDelay);
+    },
+
+    // Render the message list (only while the page is open and not paused)
+    render: () => {
+        const list = document.getElementById('inspectorMessages');
+        if (!list || !document.getElementById('inspector-page')?.classList.contains('active')) return;
+
+        const summary = document.getElementById('inspectorSummary');
+        if (inspector.paused) {
+            const shownUpTo = inspector.pausedAt || 0;
+            const waiting = inspector.messages.filter(m => m.seq > shownUpTo).length;
+            summary.textContent = `Paused, ${waiting} pesan baru menunggu`;
+            return;
+        }
+
+        const messages = inspector.filter(inspector.getFilters());
+        summary.textContent = `${inspector.messages.length} captured, ${messages.length} shown` +
+            (inspector.watchTopic ? `, watching ${inspector.watchTopic}` : '');
+
+        if (messages.length === 0) {
+            list.innerHTML = `
+                <p style="text-align: center; padding: 3rem; color: var(--text-light);">
+                    Belum ada pesan MQTT${inspector.messages.length > 0 ? ' yang cocok dengan filter' : ''}
+                </p>
+            `;
+            return;
+        }
+
+        list.innerHTML = messages.slice(0, CONFIG.inspector.renderLimit).map(message => {
+            const match = inspector.describeTopic(message.topic);
+            const time = new Date(message.receivedAt);
+            return `
+                <div class="inspector-message">
+                    <div class="inspector-meta">
+                        <span class="inspector-time">${time.toLocaleTimeString()}.${String(time.getMilliseconds()).padStart(3, '0')}</span>
+                        <strong class="inspector-topic">${utils.escapeHtml(message.topic)}</strong>
+                        ${match
+                            ? `<span class="device-status status-online">${utils.escapeHtml(match.device.deviceName)} · ${match.kind}</span>`
+                            : '<span class="device-status status-warning">unmatched</span>'}
+                        ${message.retain ? '<span class="device-status status-offline">retained</span>' : ''}
+                        <span>QoS ${message.qos}</span>
+                        <span>${utils.formatBytes(message.size)}</span>
+                    </div>
+                    <pre class="inspector-payload">${utils.escapeHtml(inspector.formatPayload(message.payload))}</pre>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Freeze or resume the list; capture keeps running underneath
+    togglePause: () => {
+        inspector.paused = !inspector.paused;
+        inspector.pausedAt = inspector.seq;
+
+        const button = document.getElementById('inspectorPauseBtn');
+        if (button) {
+            button.innerHTML = inspector.paused
+                ? '<i class="fas fa-play"></i> Resume'
+                : '<i class="fas fa-pause"></i> Pause';
+        }
+        inspector.render();
+    },
+
+    // Drop captured messages
+    clear: () => {
+        inspector.messages = [];
+        inspector.pausedAt = inspector.seq;
+        inspector.render();
+    },
+
+    // Subscribe to an extra filter with a separate client, or stop doing so
+    toggleWatch: async () => {
+        if (inspector.watchStarting) return;
+        if (inspector.watchClient) {
+            inspector.stopWatch();
+            return;
+        }
+
+        const pattern = document.getElementById('inspectorWatchTopic').value.trim() || CONFIG.inspector.watchTopic;
+        const profile = brokerManager.selected();
+
+        inspector.watchStarting = true;
+        try {
+            const options = await brokerManager.connectOptions(profile);
+            const client = mqtt.connect(brokerManager.url(profile), options);
+            inspector.watchClient = client;
+            inspector.watchTopic = pattern;
+
+            client.on('connect', () => {
+                client.subscribe(pattern, (error) => {
+                    if (error) utils.showToast(`Subscribe ${pattern} gagal: ${error.message}`, 'error');
+                });
+            });
+            client.on('message', (topic, message, packet) => {
+                inspector.capture(topic, message.toString(), { retain: packet.retain, qos: packet.qos }, 'watch');
+            });
+            client.on('error', (error) => utils.showToast(`Inspector: ${error.message}`, 'error'));
+            // The watch client does not reconnect; once it drops, app messages must show again
+            client.on('close', () => {
+                if (inspector.watchClient !== client) return;
+                inspector.stopWatch();
+                utils.showToast('Inspector: koneksi watch terputus', 'warning');
+            });
+        } catch (error) {
+            console.error('Inspector watch failed:', error);
+            utils.showToast(`Inspector: ${error.message}`, 'error');
+            inspector.stopWatch();
+            return;
+        } finally {
+            inspector.watchStarting = false;
+        }
+
+        inspector.updateWatchButton();
+        inspector.render();
+    },
+
+    // Disconnect the watch client
+    stopWatch: () => {
+        // Cleared first so the client's own close event is ignored
+        const client = inspector.watchClient;
+        inspector.watchClient = null;
+        inspector.watchTopic = null;
+        if (client) client.end(true);
+        inspector.updateWatchButton();
+        inspector.render();
+    },
+
+    // Show whether the watch client is running
+    updateWatchButton: () => {
+        const button = document.getElementById('inspectorWatchBtn');
+        if (!button) return;
+        button.innerHTML = inspector.watchClient
+            ? '<i class="fas fa-stop"></i> Stop'
+            : '<i class="fas fa-eye"></i> Watch';
+        document.getElementById('inspectorWatchTopic').disabled = !!inspector.watchClient;
+    },
+
+    // Build a capture file from captured or recorded messages
+    buildSession: (messages, extra = {}) => ({
+        format: CONFIG.inspector.format,
+        version: CONFIG.inspector.version,
+        exportedAt: new Date().toISOString(),
+        broker: brokerManager.url(brokerManager.selected()),
+        ...extra,
+        messages: messages.map(message => ({
+            receivedAt: new Date(message.receivedAt).toISOString(),
+            topic: message.topic,
+            retain: message.retain,
+            qos: message.qos,
+            size: message.size,
+            payload: message.payload
+        }))
+    }),
+
+    // Download the captured session as JSON
+    exportSession: () => {
+        if (inspector.messages.length === 0) {
+            utils.showToast('Belum ada pesan untuk diekspor', 'warning');
+            return;
+        }
+
+        exportManager.download(
+            JSON.stringify(inspector.buildSession(inspector.messages), null, 2),
+            'application/json',
+            `mqtt_capture_${new Date().toISOString().replace(/[:.]/g, '-')}.json`
+        );
+    }
+};
+
+// ==================== SESSION REPLAY ====================
+const replayManager = {
+    recording: null, // { startedAt, devices, messages } while recording
+    session: null, // Loaded capture, messages sorted by time
+    active: false,
+    finished: false,
+    persist: false, // Save replayed readings, device state and alerts like live data
+    speed: 1,
+    position: 0, // Messages dispatched so far
+    base: { recorded: 0, real: 0 }, // Recorded time at a real moment; the clock runs from there
+    timer: null,
+    checkTimer: null,
+
+    // Replaying without saving: nothing reaches storage or other tabs
+    sandboxed: () => replayManager.active && !replayManager.persist,
+
+    // Recorded time matching the current moment at the replay speed
+    clock: () => {
+        const { recorded, real } = replayManager.base;
+        return replayManager.finished ? recorded : recorded + (Date.now() - real) * replayManager.speed;
+    },
+
+    // Format an offset into the recording as m:ss or h:mm:ss
+    formatOffset: (ms) => {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    },
+
+    // Device setup and live state when a recording starts (no credentials)
+    snapshotDevices: () => JSON.parse(JSON.stringify(state.devices.filter(d => d.mqttTopic).map(device => ({
+        deviceId: device.deviceId,
+        deviceName: device.deviceName,
+        locationName: device.locationName,
+        location: device.location,
+        mqttTopic: device.mqttTopic,
+        sensorType: device.sensorType,
+        interval: device.interval,
+        protocol: device.protocol,
+        lastData: device.lastData || null,
+        lastUpdate: device.lastUpdate || null,
+        presence: device.presence || null,
+        heartbeat: device.heartbeat || null,
+        dataHistory: device.dataHistory || null
+    })))),
+
+    // Start recording incoming messages, or stop and download the recording
+    toggleRecording: () => {
+        if (replayManager.recording) {
+            replayManager.stopRecording();
+            return;
+        }
+        if (replayManager.active) {
+            utils.showToast('Tidak bisa merekam selama replay', 'warning');
+            return;
+        }
+
+        replayManager.recording = {
+            startedAt: Date.now(),
+            devices: replayManager.snapshotDevices(),
+            messages: []
+        };
+        replayManager.renderStatus();
+        utils.showToast('Merekam pesan MQTT...', 'info');
+    },
+
+    // Add a received message to the running recording
+    record: (topic, payload, { retain = false, qos = 0 } = {}) => {
+        const recording = replayManager.recording;
+        if (!recording) return;
+
+        recording.messages.push({
+            receivedAt: Date.now(),
+            topic,
+            payload,
+            retain: !!retain,
+            qos: qos || 0,
+            size: new TextEncoder().encode(payload).length
+        });
+        replayManager.renderStatus();
+
+        if (recording.messages.length >= CONFIG.replay.maxMessages) {
+            utils.showToast(`Batas ${CONFIG.replay.maxMessages} pesan tercapai, rekaman dihentikan`, 'warning');
+            replayManager.stopRecording();
+        }
+    },
+
+    // Stop recording and download the capture file
+    stopRecording: () => {
+        const recording = replayManager.recording;
+        replayManager.recording = null;
+        replayManager.renderStatus();
+        if (!recording) return;
+
+        if (recording.messages.length === 0) {
+            utils.showToast('Tidak ada pesan yang terekam', 'warning');
+            return;
+        }
+
+        const session = inspector.buildSession(recording.messages, {
+            startedAt: new Date(recording.startedAt).toISOString(),
+            endedAt: new Date().toISOString(),
+            devices: recording.devices
+        });
+        exportManager.download(
+            JSON.stringify(session, null, 2),
+            'application/json',
+            `mqtt_recording_${new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-')}.json`
+        );
+        utils.showToast(`Rekaman ${recording.messages.length} pesan diunduh`, 'success');
+    },
+
+    // Check that a file is a capture this version can replay
+    validate: (session) => {
+        const errors = [];
+        if (session?.format !== CONFIG.inspector.format) {
+            errors.push('Not an MQTT capture file');
+            return errors;
+        }
+        if (session.version > CONFIG.inspector.version) {
+            errors.push(`Capture version ${session.version} is not supported`);
+        }
+        if (!Array.isArray(session.messages) || session.messages.length === 0) {
+            errors.push('Capture contains no messages');
+        } else if (session.messages.some(m => typeof m.topic !== 'string' || typeof m.payload !== 'string' || isNaN(Date.parse(m.receivedAt)))) {
+            errors.push('Capture contains messages without topic, payload or time');
+        }
+        if (session.devices !== undefined && !Array.isArray(session.devices)) {
+            errors.push('Capture device list is invalid');
+        }
+        return errors;
+    },
+
+    // Read and validate a selected file, then ask how to replay it
+    open: (file) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let session;
+            try {
+                session = JSON.parse(reader.result);
+            } catch (error) {
+                utils.showToast('File rekaman tidak valid (bukan JSON)', 'error');
+                return;
+            }
+
+            const errors = replayManager.validate(session);
+            if (errors.length > 0) {
+                utils.showToast(errors.join('; '), 'error');
+                return;
+            }
+
+            const messages = session.messages
+                .map(message => ({ ...message, receivedAt: Date.parse(message.receivedAt) }))
+                .sort((a, b) => a.receivedAt - b.receivedAt);
+            const startedAt = Date.parse(session.startedAt);
+            const endedAt = Date.parse(session.endedAt);
+
+            replayManager.session = {
+                name: file.name,
+                devices: session.devices || [],
+                messages,
+                // Inspector exports have no recording window, so it spans the messages
+                startedAt: Math.min(isNaN(startedAt) ? Infinity : startedAt, messages[0].receivedAt),
+                endedAt: Math.max(isNaN(endedAt) ? 0 : endedAt, messages[messages.length - 1].receivedAt)
+            };
+            replayManager.renderSummary();
+            ui.showModal('replayModal');
+        };
+        reader.readAsText(file);
+    },
+
+    // Recorded devices whose topic no local device uses
+    missingDevices: (session) => session.devices.filter(recorded =>
+        !state.devices.some(d => d.mqttTopic === recorded.mqttTopic)
+    ),
+
+    // Show what the loaded capture contains
+    renderSummary: () => {
+        const session = replayManager.session;
+        const topics = new Set(session.messages.map(m => m.topic));
+        const matched = [...topics].filter(topic => inspector.describeTopic(topic)).length;
+        const missing = replayManager.missingDevices(session);
+
+        document.getElementById('replaySummary').innerHTML = `
+            <div class="info-item"><span>File:</span><strong>${utils.escapeHtml(session.name)}</strong></div>
+            <div class="info-item"><span>Recorded:</span><strong>${utils.formatDate(session.startedAt)}</strong></div>
+            <div class="info-item"><span>Duration:</span><strong>${replayManager.formatOffset(session.endedAt - session.startedAt)}</strong></div>
+            <div class="info-item"><span>Messages:</span><strong>${session.messages.length.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Topics matching devices:</span><strong>${matched} / ${topics.size}</strong></div>
+        `;
+
+        document.getElementById('replayMissing').textContent = missing.length > 0
+            ? `Device di rekaman yang tidak ada di sini: ${missing.map(d => d.deviceName || d.deviceId).join(', ')}. ` +
+              'Device ini ditambahkan sementara bila hasil replay tidak disimpan.'
+            : 'Semua device di rekaman tersedia.';
+    },
+
+    // Put devices in the state they had when the recording started
+    prepareDevices: (session, persist) => {
+        // Devices not in the recording start without data, as if never heard from
+        state.devices.forEach(device => {
+            device.lastData = null;
+            device.lastUpdate = null;
+            delete device.presence;
+            delete device.heartbeat;
+            device.dataHistory = { timestamps: [], aqi: [], temp: [], humidity: [] };
+        });
+
+        session.devices.forEach(recorded => {
+            let device = state.devices.find(d => d.mqttTopic === recorded.mqttTopic);
+            if (!device) {
+                // Saved replays only write history for devices that exist here
+                if (persist) return;
+                device = { ...recorded };
+                state.devices.push(device);
+            }
+
+            device.lastData = recorded.lastData;
+            device.lastUpdate = recorded.lastUpdate;
+            if (recorded.presence) device.presence = { ...recorded.presence };
+            if (recorded.heartbeat) device.heartbeat = { ...recorded.heartbeat };
+            if (recorded.dataHistory) device.dataHistory = JSON.parse(JSON.stringify(recorded.dataHistory));
+        });
+    },
+
+    // Start replaying the loaded capture at the chosen speed
+    start: () => {
+        const session = replayManager.session;
+        if (!session) return;
+
+        const speed = parseInt(document.getElementById('replaySpeed').value) || 1;
+        const persist = document.getElementById('replayHistory').value === 'save';
+
+        const warnings = [];
+        if (tabManager.isLeader) {
+            warnings.push('Koneksi MQTT live diputus selama replay, tab lain juga berhenti menerima data.');
+        }
+        if (persist) {
+            warnings.push('Data replay disimpan ke history dan bisa menduplikasi data yang sudah ada.');
+        }
+        if (warnings.length > 0 && !confirm(`${warnings.join('\n')}\n\nLanjutkan replay?`)) return;
+
+        ui.closeModal('replayModal');
+        if (replayManager.recording) replayManager.stopRecording();
+        if (simulator.running) simulator.stop();
+        if (tabManager.isLeader) mqttManager.disconnect();
+
+        Object.assign(replayManager, {
+            active: true,
+            finished: false,
+            persist,
+            speed,
+            position: 0,
+            base: { recorded: session.startedAt, real: Date.now() }
+        });
+
+        replayManager.prepareDevices(session, persist);
+        // A sandbox starts without alerts so the replay raises them as it did live
+        if (!persist) {
+            state.alerts = [];
+            notificationManager.updateBadge();
+            alertsPage.render();
+        }
+
+        // Presence checks run as often in recorded time as they did live
+        replayManager.checkTimer = setInterval(() => {
+            presenceManager.evaluate();
+            replayManager.renderStatus();
+        }, CONFIG.presence.checkInterval / speed);
+        replayManager.scheduleNext();
+
+        replayManager.refresh();
+        utils.showToast(`Replay ${session.messages.length} pesan dimulai (${speed}x)`, 'info');
+    },
+
+    // Wait until the next message is due in recorded time, then dispatch it
+    scheduleNext: () => {
+        const message = replayManager.session.messages[replayManager.position];
+        if (!message) {
+            replayManager.finish();
+            return;
+        }
+
+        const delay = Math.max(0, (message.receivedAt - replayManager.clock()) / replayManager.speed);
+        replayManager.timer = setTimeout(() => {
+            replayManager.position++;
+            replayManager.dispatch(message);
+            replayManager.scheduleNext();
+        }, delay);
+    },
+
+    // Feed one recorded message through the live message path
+    dispatch: (message) => {
+        // Handlers see the recorded receive time, however late the timer fired
+        replayManager.base = { recorded: message.receivedAt, real: Date.now() };
+        presenceManager.evaluate();
+
+        inspector.capture(message.topic, message.payload, message, 'replay');
+        mqttManager.handleMessage(message.topic, message.payload, message);
+        replayManager.renderStatus();
+    },
+
+    // Hold the clock at the end of the recording until the user exits
+    finish: () => {
+        clearInterval(replayManager.checkTimer);
+        replayManager.base = { recorded: replayManager.session.endedAt, real: Date.now() };
+        presenceManager.evaluate();
+        replayManager.finished = true;
+
+        replayManager.refresh();
+        utils.showToast('Replay selesai', 'success');
+    },
+
+    // Leave the replay and go back to live data
+    stop: () => {
+        clearTimeout(replayManager.timer);
+        clearInterval(replayManager.checkTimer);
+        Object.assign(replayManager, { active: false, finished: false, persist: false, session: null });
+
+        // Live state comes back from storage; a saved replay already wrote its data there
+        storage.loadDevices();
+        storage.loadQuarantine();
+        alertManager.loadAlerts();
+        if (state.selectedDevice) {
+            state.selectedDevice = state.devices.find(d => d.deviceId === state.selectedDevice.deviceId) || null;
+        }
+        if (tabManager.isLeader) mqttManager.connect();
+
+        quarantineManager.render();
+        replayManager.refresh();
+        utils.showToast('Kembali ke data live', 'info');
+    },
+
+    // Re-render everything the replay state affects
+    refresh: () => {
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        mapManager.updateMarkers();
+        replayManager.renderStatus();
+    },
+
+    // Show recording or replay progress in the header
+    renderStatus: () => {
+        const indicator = document.getElementById('replayStatus');
+        if (!indicator) return;
+
+        const recordButton = document.getElementById('recordSessionBtn');
+        if (recordButton) {
+            recordButton.innerHTML = replayManager.recording
+                ? '<i class="fas fa-stop"></i> Stop Recording'
+                : '<i class="fas fa-circle"></i> Record';
+        }
+
+        if (replayManager.recording) {
+            indicator.className = 'replay-status replay-recording';
+            indicator.innerHTML = `<i class="fas fa-circle"></i> REC ${replayManager.recording.messages.length}` +
+                ' <button type="button" class="btn-text" onclick="replayManager.stopRecording()">Stop</button>';
+            return;
+        }
+
+        if (!replayManager.active) {
+            indicator.className = 'replay-status';
+            indicator.innerHTML = '';
+            return;
+        }
+
+        const session = replayManager.session;
+        const elapsed = replayManager.formatOffset(replayManager.clock() - session.startedAt);
+        const total = replayManager.formatOffset(session.endedAt - session.startedAt);
+        indicator.className = `replay-status replay-active${replayManager.persist ? ' replay-persist' : ''}`;
+        indicator.title = replayManager.persist ? 'Replayed data is saved to history' : 'Replayed data is not saved';
+        indicator.innerHTML = `<i class="fas fa-${replayManager.finished ? 'flag-checkered' : 'play'}"></i> ` +
+            `Replay ${replayManager.speed}x · ${replayManager.position}/${session.messages.length} · ${elapsed} / ${total}` +
+            ` <button type="button" class="btn-text" onclick="replayManager.stop()">${replayManager.finished ? 'Exit' : 'Stop'}</button>`;
+    }
+};
+
+// ==================== DEVICE SIMULATOR ====================
+const simulator = {
+    running: false,
+    starting: false, // Set while start() waits for connectOptions
+    client: null, // Separate MQTT client for broker mode
+    timer: null,
+    settings: null,
+    devices: [], // Virtual device state: { device, ro, nextAt, heartbeatAt, spikeLeft, dropoutLeft, sent, lastAqi }
+    startedAt: 0,
+    startHour: 0,
+    sent: 0,
+
+    // Gas curve coefficients and load resistor from the firmware (MQ135_A/B, MQ7_A/B, MQ9_A/B, RL_VALUE)
+    gases: {
+        MQ135: { a: 116.6020682, b: -2.769034857 },
+        MQ7: { a: 99.0418, b: -1.518 },
+        MQ9: { a: 1000.5, b: -2.186 }
+    },
+    rl: 10.0,
+
+    // Read the settings form, falling back to defaults for empty fields
+    readSettings: () => {
+        const defaults = CONFIG.simulator.defaults;
+        const settings = {};
+        Object.keys(defaults).forEach(key => {
+            const input = document.getElementById(`sim${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+            const value = input ? input.value : '';
+            if (typeof defaults[key] === 'number') {
+                const number = parseFloat(value);
+                settings[key] = isNaN(number) ? defaults[key] : number;
+            } else {
+                settings[key] = value || defaults[key];
+            }
+        });
+        settings.count = Math.min(CONFIG.simulator.maxDevices, Math.max(1, Math.round(settings.count)));
+        settings.interval = Math.max(1, settings.interval);
+        settings.dayLength = Math.max(1, settings.dayLength);
+        simulator.settings = settings;
+        return settings;
+    },
+
+    // Apply form changes to the next readings; mode, count and interval wait for a restart
+    applySettings: () => {
+        if (!simulator.running) return;
+        const { mode, count, interval } = simulator.settings;
+        Object.assign(simulator.readSettings(), { mode, count, interval });
+    },
+
+    // Fill the settings form with defaults
+    fillForm: () => {
+        Object.entries(CONFIG.simulator.defaults).forEach(([key, value]) => {
+            const input = document.getElementById(`sim${key.charAt(0).toUpperCase()}${key.slice(1)}`);
+            if (input) input.value = value;
+        });
+    },
+
+    // Virtual device records, created (and saved) on first use
+    ensureDevices: (count) => {
+        const [lat, lng] = CONFIG.map.defaultCenter;
+        const spread = CONFIG.simulator.spread;
+        const devices = [];
+        let changed = false;
+
+        for (let i = 1; i <= count; i++) {
+            const deviceId = `${CONFIG.simulator.idPrefix}-${String(i).padStart(3, '0')}`;
+            let device = state.devices.find(d => d.deviceId === deviceId);
+            if (!device) {
+                device = {
+                    deviceId,
+                    deviceName: `Simulator ${i}`,
+                    sensorType: 'DHT22',
+                    interval: simulator.settings.interval,
+                    locationName: 'Virtual',
+                    location: {
+                        lat: lat + (Math.random() - 0.5) * 2 * spread,
+                        lng: lng + (Math.random() - 0.5) * 2 * spread
+                    },
+                    wifi: '',
+                    protocol: 'MQTT',
+                    serverUrl: brokerManager.selected().host,
+                    serverPort: 1883,
+                    mqttTopic: `${CONFIG.simulator.topicPrefix}/${deviceId}`,
+                    mqttUsername: '',
+                    endpoint: '',
+                    timestamp: Date.now(),
+                    lastUpdate: null,
+                    lastData: null,
+                    simulated: true
+                };
+                state.devices.push(device);
+                changed = true;
+            } else if (device.interval !== simulator.settings.interval) {
+                // Presence expects readings at the interval actually used
+                device.interval = simulator.settings.interval;
+                changed = true;
+            }
+            devices.push(device);
+        }
+
+        if (changed) {
+            storage.saveDevices();
+            mqttManager.syncSubscriptions();
+            ui.populateAnalyticsDeviceSelector();
+        }
+        return devices;
+    },
+
+    // Start publishing with the current settings
+    start: async () => {
+        if (simulator.running || simulator.starting) return;
+        if (replayManager.active) {
+            utils.showToast('Simulator tidak bisa berjalan selama replay', 'warning');
+            return;
+        }
+
+        const settings = simulator.readSettings();
+        if (settings.mode === 'local' && !tabManager.isLeader) {
+            utils.showToast('Tab mirror: data lokal tidak disimpan dan tidak membuat alert', 'warning');
+        }
+
+        if (settings.mode === 'broker') {
+            const profile = brokerManager.selected();
+            simulator.starting = true;
+            try {
+                simulator.client = mqtt.connect(brokerManager.url(profile), await brokerManager.connectOptions(profile));
+                simulator.client.on('error', (error) => utils.showToast(`Simulator: ${error.message}`, 'error'));
+            } catch (error) {
+                console.error('Simulator connection failed:', error);
+                utils.showToast(`Simulator: ${error.message}`, 'error');
+                simulator.client = null;
+                return;
+            } finally {
+                simulator.starting = false;
+            }
+        }
+
+        const now = Date.now();
+        const spreadMs = settings.interval * 1000;
+        simulator.devices = simulator.ensureDevices(settings.count).map(device => ({
+            device,
+            // Each sensor gets its own calibration, as after recalibrating in clean air
+            ro: { MQ135: simulator.around(10, 0.1), MQ7: simulator.around(10, 0.1), MQ9: simulator.around(10, 0.1) },
+            // Stagger first readings so devices do not all publish at once
+            nextAt: now + Math.random() * spreadMs,
+            heartbeatAt: now,
+            spikeLeft: 0,
+            dropoutLeft: 0,
+            sent: 0,
+            lastAqi: null
+        }));
+
+        const today = new Date(now);
+        simulator.startedAt = now;
+        simulator.startHour = today.getHours() + today.getMinutes() / 60;
+        simulator.sent = 0;
+        simulator.running = true;
+
+        simulator.devices.forEach(sim => simulator.publishStatus(sim, 'online'));
+        simulator.timer = setInterval(simulator.tick, CONFIG.simulator.tick);
+        simulator.render();
+        utils.showToast(`Simulator berjalan: ${settings.count} device (${settings.mode})`, 'success');
+    },
+
+    // Stop publishing; virtual devices stay until removed.
+    // `announce: false` skips the "offline" statuses (devices about to be deleted)
+    stop: ({ announce = true } = {}) => {
+        clearInterval(simulator.timer);
+        simulator.timer = null;
+        if (simulator.running && announce) {
+            simulator.devices.forEach(sim => simulator.publishStatus(sim, 'offline'));
+        }
+        if (simulator.client) {
+            simulator.client.end();
+            simulator.client = null;
+        }
+        simulator.running = false;
+        simulator.render();
+    },
+
+    // Start or stop from the page button
+    toggle: () => (simulator.running ? simulator.stop() : simulator.start()),
+
+    // Delete all virtual devices
+    removeDevices: () => {
+        const count = state.devices.filter(d => d.simulated).length;
+        if (count === 0) {
+            utils.showToast('Tidak ada device simulator', 'info');
+            return;
+        }
+        if (!confirm(`Hapus ${count} device simulator?`)) return;
+
+        // Keep the broker client for clearing the statuses; announcing "offline"
+        // would raise presence alerts for devices deleted below
+        const client = simulator.client;
+        simulator.client = null;
+        simulator.stop({ announce: false });
+        simulator.clearRetained(state.devices.filter(d => d.simulated), client);
+        state.devices.filter(d => d.simulated).forEach(d => alertPublisher.clearState(d.deviceId));
+
+        simulator.devices = [];
+        state.devices = state.devices.filter(d => !d.simulated);
+        storage.saveDevices();
+        mqttManager.syncSubscriptions();
+
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        ui.populateAnalyticsDeviceSelector();
+        mapManager.updateMarkers();
+        simulator.render();
+        utils.showToast(`${count} device simulator dihapus`, 'success');
+    },
+
+    // Publish readings and heartbeats for devices that are due
+    tick: () => {
+        const now = Date.now();
+        const settings = simulator.settings;
+
+        simulator.devices.forEach(sim => {
+            if (sim.dropoutLeft === 0 && now - sim.heartbeatAt >= CONFIG.presence.heartbeatInterval) {
+                sim.heartbeatAt = now;
+                simulator.publishHeartbeat(sim);
+            }
+
+            if (now < sim.nextAt) return;
+            sim.nextAt = now + settings.interval * 1000;
+
+            // A dropped-out device stays silent, then comes back online
+            if (sim.dropoutLeft > 0) {
+                sim.dropoutLeft--;
+                if (sim.dropoutLeft === 0) {
+                    sim.heartbeatAt = now;
+                    simulator.publishStatus(sim, 'online');
+                }
+                return;
+            }
+            if (Math.random() * 100 < settings.dropoutChance) {
+                simulator.dropout(sim);
+                return;
+            }
+
+            if (sim.spikeLeft > 0) {
+                sim.spikeLeft--;
+            } else if (Math.random() * 100 < settings.spikeChance) {
+                sim.spikeLeft = Math.max(0, Math.round(settings.spikeLength) - 1);
+                sim.spiking = true;
+            } else {
+                sim.spiking = false;
+            }
+
+            simulator.publishReading(sim, now);
+        });
+
+        simulator.render();
+    },
+
+    // Value with Gaussian noise (standard deviation as a fraction of the value)
+    around: (value, fraction) => {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        const gaussian = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        return value * (1 + gaussian * fraction);
+    },
+
+    // Hour of the simulated day (0-24)
+    hourOfDay: (now) => {
+        const elapsedHours = (now - simulator.startedAt) / (simulator.settings.dayLength * 60000) * 24;
+        return (simulator.startHour + elapsedHours) % 24;
+    },
+
+    // Format an hour of the day as HH:MM
+    formatHour: (hour) => {
+        const minutes = Math.floor(hour * 60) % 1440;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    },
+
+    // ADC count the firmware would read for a concentration (inverse of hitungRs/hitungKonsentrasi)
+    toAdc: (ppm, ro, { a, b }) => {
+        const rs = Math.pow(ppm / a, 1 / b) * ro;
+        const voltage = (3.3 * simulator.rl) / (rs + simulator.rl);
+        return Math.min(4095, Math.max(0, Math.round(voltage / 3.3 * 4095)));
+    },
+
+    // Build a reading the way createSensorJSON does
+    createReading: (sim, now) => {
+        const settings = simulator.settings;
+        const noise = settings.noise / 100;
+        const swing = settings.diurnal / 100;
+        const hour = simulator.hourOfDay(now);
+
+        // Warmest (and driest) at 14:00; gases peak in the 08:00 and 20:00 rush hours
+        const daily = Math.cos(2 * Math.PI * (hour - 14) / 24);
+        const traffic = 1 + swing * Math.cos(2 * Math.PI * (hour - 8) / 12);
+        const spike = sim.spiking ? settings.spikeFactor : 1;
+
+        const temp = simulator.around(settings.temp * (1 + 0.25 * swing * daily), noise / 4);
+        const humidity = Math.min(100, Math.max(0, simulator.around(settings.humidity * (1 - 0.25 * swing * daily), noise / 2)));
+        const ppm = {};
+        Object.keys(simulator.gases).forEach(gas => {
+            const baseline = settings[gas.toLowerCase()] * traffic * spike;
+            // Same floor and cap as hitungKonsentrasi
+            ppm[gas] = Math.min(10000, Math.max(0.1, simulator.around(baseline, noise)));
+        });
+
+        // hitungAQI
+        const aqi = Math.min(500, ppm.MQ135 * 0.4 + ppm.MQ7 * 2.0 * 0.3 + ppm.MQ9 * 1.5 * 0.3);
+        const round1 = (value) => Math.round(value * 10) / 10;
+        const uptime = Math.floor((now - simulator.startedAt) / 1000);
+
+        return {
+            temp: round1(temp),
+            humidity: round1(humidity),
+            aqi: round1(aqi),
+            status: utils.getAqiStatus(aqi).text,
+            ppm_MQ135: round1(ppm.MQ135),
+            ppm_MQ7: round1(ppm.MQ7),
+            ppm_MQ9: round1(ppm.MQ9),
+            adc_MQ135: simulator.toAdc(ppm.MQ135, sim.ro.MQ135, simulator.gases.MQ135),
+            adc_MQ7: simulator.toAdc(ppm.MQ7, sim.ro.MQ7, simulator.gases.MQ7),
+            adc_MQ9: simulator.toAdc(ppm.MQ9, sim.ro.MQ9, simulator.gases.MQ9),
+            ro_MQ135: Math.round(sim.ro.MQ135 * 1000) / 1000,
+            ro_MQ7: Math.round(sim.ro.MQ7 * 1000) / 1000,
+            ro_MQ9: Math.round(sim.ro.MQ9 * 1000) / 1000,
+            deviceId: sim.device.deviceId,
+            deviceName: sim.device.deviceName,
+            sensorType: sim.device.sensorType,
+            interval: settings.interval * 1000,
+            protocol: 'MQTT',
+            timestamp: uptime,
+            uptime
+        };
+    },
+
+    // Publish one sensor reading
+    publishReading: (sim, now) => {
+        const reading = simulator.createReading(sim, now);
+        sim.lastAqi = reading.aqi;
+        sim.sent++;
+        simulator.sent++;
+        simulator.publish(sim.device.mqttTopic, JSON.stringify(reading));
+    },
+
+    // Publish a firmware-style heartbeat on /status
+    publishHeartbeat: (sim) => {
+        const index = simulator.devices.indexOf(sim);
+        simulator.publish(presenceManager.statusTopic(sim.device), JSON.stringify({
+            type: 'heartbeat',
+            uptime: Math.floor((Date.now() - simulator.startedAt) / 1000),
+            rssi: Math.round(simulator.around(-60, 0.1)),
+            ip: `10.0.${Math.floor(index / 250)}.${(index % 250) + 2}`,
+            free_heap: Math.round(simulator.around(180000, 0.02)),
+            sensor_type: 'AQI Monitor',
+            config_source: 'SIMULATOR'
+        }));
+    },
+
+    // Publish "online" or "offline" on /status, retained like the firmware and its last will
+    publishStatus: (sim, status) => {
+        if (status === 'offline' && simulator.settings.lwt !== 'yes') return;
+        simulator.publish(presenceManager.statusTopic(sim.device), status, true);
+    },
+
+    // Remove the retained /status messages of deleted devices from the shared broker,
+    // reusing the simulator's client or connecting once for it in broker mode
+    clearRetained: async (devices, client = null) => {
+        const topics = devices.map(device => presenceManager.statusTopic(device));
+        const clear = (target) => topics.forEach(topic => target.publish(topic, '', { qos: 0, retain: true }));
+
+        if (client) {
+            clear(client);
+            client.end();
+            return;
+        }
+        if (simulator.readSettings().mode !== 'broker') return;
+
+        try {
+            const profile = brokerManager.selected();
+            const temporary = mqtt.connect(brokerManager.url(profile), await brokerManager.connectOptions(profile));
+            temporary.on('connect', () => {
+                clear(temporary);
+                temporary.end();
+            });
+            temporary.on('error', (error) => {
+                console.error('Clearing simulator statuses failed:', error);
+                temporary.end(true);
+            });
+        } catch (error) {
+            console.error('Clearing simulator statuses failed:', error);
+        }
+    },
+
+    // Send a message to the broker, or straight into this tab's message handler
+    publish: (topic, payload, retain = false) => {
+        if (simulator.settings.mode === 'broker') {
+            if (simulator.client) simulator.client.publish(topic, payload, { qos: 0, retain });
+            return;
+        }
+        inspector.capture(topic, payload, { retain, qos: 0 }, 'simulator');
+        mqttManager.handleMessage(topic, payload, { retain, qos: 0 });
+    },
+
+    // Start a pollution spike on one device now
+    triggerSpike: (deviceId) => {
+        const sim = simulator.devices.find(s => s.device.deviceId === deviceId);
+        if (!sim || !simulator.running) return;
+        sim.spiking = true;
+        sim.spikeLeft = Math.max(0, Math.round(simulator.settings.spikeLength) - 1);
+        sim.nextAt = Date.now();
+        simulator.tick();
+    },
+
+    // Take one device offline for the configured number of readings
+    dropout: (sim) => {
+        sim.dropoutLeft = Math.max(1, Math.round(simulator.settings.dropoutLength));
+        sim.spiking = false;
+        sim.spikeLeft = 0;
+        simulator.publishStatus(sim, 'offline');
+    },
+
+    // Drop a device out from the table
+    triggerDropout: (deviceId) => {
+        const sim = simulator.devices.find(s => s.device.deviceId === deviceId);
+        if (!sim || !simulator.running || sim.dropoutLeft > 0) return;
+        simulator.dropout(sim);
+        simulator.render();
+    },
+
+    // Render the virtual device table (only while the page is open)
+    render: () => {
+        const button = document.getElementById('simulatorToggleBtn');
+        if (button) {
+            button.innerHTML = simulator.running
+                ? '<i class="fas fa-stop"></i> Stop'
+                : '<i class="fas fa-play"></i> Start';
+        }
+
+        const tbody = document.getElementById('simulatorTableBody');
+        if (!tbody || !document.getElementById('simulator-page')?.classList.contains('active')) return;
+
+        const summary = document.getElementById('simulatorSummary');
+        summary.textContent = simulator.running
+            ? `${simulator.devices.length} device, ${simulator.sent} pesan terkirim (${simulator.settings.mode}), ` +
+              `jam simulasi ${simulator.formatHour(simulator.hourOfDay(Date.now()))}`
+            : `Berhenti, ${state.devices.filter(d => d.simulated).length} device simulator terdaftar`;
+
+        if (simulator.devices.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 3rem; color: var(--text-light);">
+                        Simulator belum dijalankan
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = simulator.devices.map(sim => {
+            const badge = !simulator.running ? { text: 'Stopped', class: 'status-offline' }
+                : sim.dropoutLeft > 0 ? { text: `Dropout (${sim.dropoutLeft})`, class: 'status-offline' }
+                : sim.spiking ? { text: 'Spike', class: 'status-warning' }
+                : { text: 'Sending', class: 'status-online' };
+            const aqiStatus = sim.lastAqi === null ? null : utils.getAqiStatus(sim.lastAqi);
+            const disabled = simulator.running ? '' : 'disabled';
+            return `
+                <tr>
+                    <td><strong>${sim.device.deviceName}</strong><br><small style="color: var(--text-light);">${sim.device.deviceId}</small></td>
+                    <td><code>${sim.device.mqttTopic}</code></td>
+                    <td><span class="device-status ${badge.class}">${badge.text}</span></td>
+                    <td>${aqiStatus ? `<span class="${aqiStatus.class}">${sim.lastAqi.toFixed(1)}</span>` : '--'}</td>
+                    <td>${sim.sent}</td>
+                    <td>
+                        <button class="action-btn action-btn-edit" onclick="simulator.triggerSpike('${sim.device.deviceId}')" title="Pollution spike" ${disabled}>
+                            <i class="fas fa-bolt"></i>
+                        </button>
+                        <button class="action-btn action-btn-delete" onclick="simulator.triggerDropout('${sim.device.deviceId}')" title="Dropout" ${disabled}>
+                            <i class="fas fa-plug"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+};
+
+// ==================== NOTIFICATION MANAGEMENT ====================
+const notificationManager = {
+    // Number of recent alerts shown in the panel
+    panelLimit: 50,
+
+    // Update notification badge with open (unacknowledged) alerts
+    updateBadge: () => {
+        const unreadCount = state.alerts.filter(a => a.status === 'active').length;
+        const badge = document.querySelector('.notification .badge');
+        if (badge) {
+            badge.textContent = unreadCount;
+            if (unreadCount > 0) {
+                badge.style.display = 'block';
+                badge.classList.add('has-alerts');
+            } else {
+                badge.style.display = 'none';
+                badge.classList.remove('has-alerts');
+            }
+        }
+
+        const count = document.getElementById('alertsCount');
+        if (count) {
+            count.textContent = unreadCount;
+        }
+    },
+
+    // Show notification panel
+    showPanel: () => {
+        let panel = document.getElementById('notificationPanel');
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'notificationPanel';
+            panel.className = 'notification-panel';
+            document.body.appendChild(panel);
+        }
+
+        const recent = state.alerts
+            .slice()
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, notificationManager.panelLimit);
+
+        if (recent.length === 0) {
+            panel.innerHTML = `
+                <div class="notification-header">
+                    <h3>Notifications</h3>
+                    <button onclick="notificationManager.closePanel()" class="close-panel">×</button>
+                </div>
+                <div class="notification-body">
+                    <div class="no-notifications">
+                        <i class="fas fa-bell-slash"></i>
+                        <p>No notifications</p>
+                    </div>
+                </div>
+            `;
+        } else {
+            const alertsList = recent.map(alert => {
+                const status = utils.getAqiStatus(alert.metric === 'aqi' ? alert.value : 0);
+                const read = alert.status !== 'active';
+                return `
+                    <div class="notification-item ${read ? 'read' : 'unread'}" 
+                         onclick="notificationManager.markAsRead('${alert.id}')">
+                        <div class="notification-icon ${alert.severity === 'danger' ? 'aqi-very-unhealthy' : status.class}">
+                            <i class="fas fa-exclamation-circle"></i>
+                        </div>
+                        <div class="notification-content">
+                            <div class="notification-title">${utils.escapeHtml(alert.deviceName)}</div>
+                            <div class="notification-message">${utils.escapeHtml(alert.message)}</div>
+                            <div class="notification-meta">
+                                <span>${alertManager.metricLabel(alert.metric)}: ${alert.value}</span>
+                                <span>${utils.formatDate(alert.timestamp)}</span>
+                            </div>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            panel.innerHTML = `
+                <div class="notification-header">
+                    <h3>Notifications (${recent.length})</h3>
+                    <div class="notification-actions">
+                        <button onclick="notificationManager.markAllAsRead()" class="btn-text">
+                            Mark all as read
+                        </button>
+                        <button onclick="notificationManager.closePanel()" class="close-panel">×</button>
+                    </div>
+                </div>
+                <div class="notification-body">
+                    ${alertsList}
+                    <button onclick="notificationManager.closePanel(); ui.navigateTo('alerts')" class="btn-text">
+                        View all alerts
+                    </button>
+                </div>
+            `;
+        }
+
+        panel.classList.add('active');
+    },
+
+    // Close panel
+    closePanel: () => {
+        const panel = document.getElementById('notificationPanel');
+        if (panel) {
+            panel.classList.remove('active');
+        }
+    },
+
+    // Mark as read (acknowledges the alert)
+    markAsRead: async (alertId) => {
+        const alert = state.alerts.find(a => a.id === alertId);
+        if (alert && alert.status === 'active') {
+            await alertManager.acknowledge(alertId);
+            notificationManager.showPanel(); // Refresh panel
+        }
+    },
+
+    // Mark all as read
+    markAllAsRead: async () => {
+        const open = state.alerts.filter(a => a.status === 'active');
+        for (const alert of open) {
+            await alertManager.acknowledge(alert.id);
+        }
+        notificationManager.showPanel(); // Refresh panel
+    }
+};
+
+// ==================== ALERT MANAGEMENT ====================
+const alertManager = {
+    // Metrics checked against thresholds: payload field, label, unit and message text
+    checks: [
+        { metric: 'aqi', field: 'aqi', label: 'AQI', unit: '', danger: 'AQI sangat tinggi', warning: 'AQI tinggi' },
+        { metric: 'temp', field: 'temp', label: 'Suhu', unit: '°C', danger: 'Suhu sangat tinggi', warning: 'Suhu tinggi' },
+        { metric: 'humidity', field: 'humidity', label: 'Kelembaban', unit: '%', danger: 'Kelembaban sangat tinggi', warning: 'Kelembaban tinggi' },
+        { metric: 'mq135', field: 'ppm_MQ135', label: 'MQ135', unit: ' ppm', danger: 'Gas MQ135', warning: 'Gas MQ135' },
+        { metric: 'mq7', field: 'ppm_MQ7', label: 'MQ7', unit: ' ppm', danger: 'Gas MQ7', warning: 'Gas MQ7' },
+        { metric: 'mq9', field: 'ppm_MQ9', label: 'MQ9', unit: ' ppm', danger: 'Gas MQ9', warning: 'Gas MQ9' }
+    ],
+
+    // Get display label for a metric
+    metricLabel: (metric) => {
+        if (metric === 'presence') return 'Presence';
+        const check = alertManager.checks.find(c => c.metric === metric);
+        return check ? check.label : metric;
+    },
+
+    // Load stored alerts into state
+    loadAlerts: async () => {
+        try {
+            state.alerts = await historyStore.queryAlerts();
+            notificationManager.updateBadge();
+            alertsPage.render();
+        } catch (error) {
+            console.error('Error loading alerts:', error);
+        }
+    },
+
+    // Check thresholds and trigger alerts
+    checkThresholds: (device, data) => {
+        // Only the leader (or replaying) tab records alerts; followers receive them via broadcast
+        if (!tabManager.handlesData()) return;
+
+        const thresholds = state.thresholds || CONFIG.defaultThresholds;
+
+        alertManager.checks.forEach(check => {
+            const value = data[check.field];
+            const limits = thresholds[check.metric];
+            if (typeof value !== 'number' || !limits) return;
+
+            let severity = null;
+            if (value >= limits.danger) severity = 'danger';
+            else if (value >= limits.warning) severity = 'warning';
+            if (!severity) return;
+
+            const shown = check.metric === 'aqi' ? value.toFixed(1) : value;
+            alertManager.raise(device, {
+                metric: check.metric,
+                severity,
+                value,
+                threshold: limits[severity],
+                message: severity === 'danger'
+                    ? `⚠️ BAHAYA! ${check.danger}: ${shown}${check.unit}`
+                    : `⚡ WARNING! ${check.warning}: ${shown}${check.unit}`
+            });
+        });
+    },
+
+    // Record an alert, or update the open one for the same device, metric and severity
+    raise: (device, { metric, severity, value, threshold, message }) => {
+        if (!tabManager.handlesData()) return;
+
+        // Repeat readings update the open alert instead of creating a new one
+        let alert = state.alerts.find(a =>
+            a.deviceId === device.deviceId && a.metric === metric &&
+            a.severity === severity && a.status !== 'resolved'
+        );
+
+        if (alert) {
+            alert.lastValue = value;
+            alert.lastSeen = utils.now();
+            alert.occurrences = (alert.occurrences || 1) + 1;
+        } else {
+            alert = {
+                id: utils.generateId(),
+                deviceId: device.deviceId,
+                deviceName: device.deviceName,
+                metric,
+                severity,
+                value,
+                threshold,
+                message,
+                timestamp: utils.now(),
+                lastValue: value,
+                lastSeen: utils.now(),
+                occurrences: 1,
+                status: 'active',
+                notes: []
+            };
+            state.alerts.push(alert);
+            alertManager.showAlert(device.deviceName, message);
+            if (tabManager.persistsData()) {
+                tabManager.broadcast('alert', { alert, isNew: true });
+                alertPublisher.publish(alert, 'raised');
+            }
+        }
+
+        if (tabManager.persistsData()) {
+            historyStore.putAlerts([alert]).catch(error => {
+                console.error('Error saving alerts:', error);
+            });
+        }
+        notificationManager.updateBadge();
+        alertsPage.render();
+    },
+
+    // Resolve open alerts of a device for one metric (optionally one severity)
+    resolveMetric: (deviceId, metric, note, severity = null) => {
+        state.alerts
+            .filter(a => a.deviceId === deviceId && a.metric === metric && a.status !== 'resolved' &&
+                (!severity || a.severity === severity))
+            .forEach(a => alertManager.resolve(a.id, note));
+    },
+
+    // Apply an alert created or changed in another tab
+    receiveAlert: (alert, isNew) => {
+        const index = state.alerts.findIndex(a => a.id === alert.id);
+        const previous = index === -1 ? null : state.alerts[index].status;
+        if (index === -1) {
+            state.alerts.push(alert);
+        } else {
+            state.alerts[index] = alert;
+        }
+
+        // Alerts resolved in a follower tab go out over the leader's connection
+        if (alert.status === 'resolved' && previous && previous !== 'resolved') {
+            alertPublisher.publish(alert, 'resolved');
+        }
+        if (isNew) {
+            alertManager.showAlert(alert.deviceName, alert.message);
+        }
+        notificationManager.updateBadge();
+        alertsPage.render();
+    },
+
+    // Change an alert's status, optionally with a note
+    updateStatus: async (alertId, status, note = '') => {
+        const alert = state.alerts.find(a => a.id === alertId);
+        if (!alert) return;
+
+        alert.status = status;
+        alert[`${status}At`] = utils.now();
+        if (note) {
+            alert.notes = (alert.notes || []).concat({ text: note, action: status, timestamp: utils.now() });
+        }
+
+        // Alerts raised by a replay that is not saved stay in memory
+        if (!replayManager.sandboxed()) {
+            try {
+                await historyStore.putAlerts([alert]);
+            } catch (error) {
+                console.error('Error saving alert:', error);
+            }
+            tabManager.broadcast('alert', { alert, isNew: false });
+            if (status === 'resolved') alertPublisher.publish(alert, 'resolved');
+        }
+        notificationManager.updateBadge();
+        alertsPage.render();
+    },
+
+    acknowledge: (alertId, note) => alertManager.updateStatus(alertId, 'acknowledged', note),
+
+    resolve: (alertId, note) => alertManager.updateStatus(alertId, 'resolved', note),
+
+    // Bring alerts from older backups ({ deviceName, messages[] }) into the current shape
+    normalize: (alert) => {
+        if (alert.metric) return alert;
+        return {
+            id: alert.id || utils.generateId(),
+            deviceId: alert.deviceId || alert.deviceName,
+            deviceName: alert.deviceName,
+            metric: 'unknown',
+            severity: (alert.messages || []).some(m => m.includes('BAHAYA')) ? 'danger' : 'warning',
+            value: null,
+            threshold: null,
+            message: (alert.messages || [alert.message]).join('; '),
+            timestamp: alert.timestamp,
+            status: 'resolved',
+            notes: []
+        };
+    },
+
+    // Show alert notification
+    showAlert: (deviceName, message) => {
+        const alertDiv = document.createElement('div');
+        alertDiv.className = 'alert-notification';
+        alertDiv.innerHTML = `
+            <div class="alert-header">
+                <strong>${utils.escapeHtml(deviceName)}</strong>
+                <button onclick="this.parentElement.parentElement.remove()">×</button>
+            </div>
+            <div class="alert-body">${utils.escapeHtml(message)}</div>
+        `;
+        
+        document.body.appendChild(alertDiv);
+        
+        // Auto remove after 10 seconds
+        setTimeout(() => {
+            if (alertDiv.parentElement) {
+                alertDiv.remove();
+            }
+        }, 10000);
+    }
+};
+
+// ==================== HTTP INGEST ====================
+// HTTP/HTTPS devices POST to server/server.js, which relays each reading over Server-Sent Events
+const ingestManager = {
+    source: null, // EventSource, leader tab only
+    status: 'disabled',
+
+    // Load settings into the form
+    loadSettings: () => {
+        const settings = storage.loadIngest();
+        document.getElementById('ingestEnabled').value = settings.enabled ? 'yes' : 'no';
+        document.getElementById('ingestUrl').value = settings.url;
+
+        const token = document.getElementById('ingestToken');
+        token.value = vaultManager.isEncrypted(settings.token) ? '' : settings.token;
+        token.placeholder = vaultManager.isEncrypted(settings.token) ? '•••••••• (encrypted, leave blank to keep)' : '';
+        ingestManager.renderStatus();
+    },
+
+    // Read the form, keeping an encrypted token left blank
+    readForm: () => {
+        const token = document.getElementById('ingestToken').value.trim();
+        return {
+            enabled: document.getElementById('ingestEnabled').value === 'yes',
+            url: document.getElementById('ingestUrl').value.trim().replace(/\/+$/, ''),
+            token: token || (vaultManager.isEncrypted(state.ingest.token) ? state.ingest.token : '')
+        };
+    },
+
+    // Save settings from the form and reconnect
+    saveSettings: async () => {
+        const settings = ingestManager.readForm();
+        if (settings.enabled && !/^https?:\/\/[^/]+/.test(settings.url)) {
+            utils.showToast('URL server harus diawali http:// atau https://', 'error');
+            return;
+        }
+        if (settings.enabled && ingestManager.isMixedContent(settings.url)) {
+            utils.showToast('Dashboard dibuka lewat HTTPS, jadi server ingest harus memakai https:// (isi tls di config.json server)', 'error');
+            return;
+        }
+        if (settings.enabled && !settings.token) {
+            utils.showToast('Dashboard token wajib diisi', 'error');
+            return;
+        }
+
+        try {
+            Object.assign(settings, await vaultManager.sealSecrets(settings, ['token']));
+        } catch (error) {
+            utils.showToast('Vault terkunci, pengaturan tidak disimpan', 'error');
+            return;
+        }
+
+        state.ingest = settings;
+        storage.saveIngest();
+        ingestManager.loadSettings();
+        ingestManager.reconnect();
+        utils.showToast('Ingest server berhasil disimpan!', 'success');
+    },
+
+    // Browsers block http:// streams from a page served over https:// (e.g. GitHub Pages)
+    isMixedContent: (url) => window.location?.protocol === 'https:' && /^http:\/\//i.test(url),
+
+    // Open the event stream (leader tab only, followers get readings mirrored)
+    connect: async () => {
+        const settings = state.ingest;
+        if (ingestManager.source) return;
+        if (!tabManager.isLeader || !settings?.enabled || !settings.url) {
+            ingestManager.setStatus(settings?.enabled ? 'mirror' : 'disabled');
+            return;
+        }
+
+        let token;
+        try {
+            token = await vaultManager.reveal(settings.token);
+        } catch (error) {
+            ingestManager.setStatus('error');
+            return;
+        }
+        // Settings may have changed while the vault was unlocking
+        if (ingestManager.source || state.ingest !== settings) return;
+        if (ingestManager.isMixedContent(settings.url)) {
+            ingestManager.setStatus('insecure');
+            return;
+        }
+
+        ingestManager.setStatus('connecting');
+        const source = new EventSource(`${settings.url}/events?token=${encodeURIComponent(token)}`);
+        source.addEventListener('open', () => ingestManager.setStatus('connected'));
+        // EventSource retries by itself and resends the last event id; a closed stream means a refused token
+        source.addEventListener('error', () => {
+            ingestManager.setStatus(source.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+        });
+        source.addEventListener('reading', ingestManager.handleEvent);
+        ingestManager.source = source;
+    },
+
+    disconnect: () => {
+        if (ingestManager.source) {
+            ingestManager.source.close();
+            ingestManager.source = null;
+        }
+        ingestManager.setStatus(state.ingest?.enabled ? 'mirror' : 'disabled');
+    },
+
+    // Reconnect after the settings changed (leader tab only)
+    reconnect: () => {
+        ingestManager.disconnect();
+        ingestManager.connect();
+    },
+
+    // A reading relayed by the server
+    handleEvent: (event) => {
+        // A replaying tab shows the recording instead of live data
+        if (replayManager.active) return;
+
+        try {
+            const record = JSON.parse(event.data);
+            tabManager.broadcast('http-reading', { record });
+            ingestManager.receive(record);
+        } catch (error) {
+            console.error('Error parsing relayed reading:', error);
+        }
+    },
+
+    // Handle a relayed reading like one received over MQTT
+    receive: (record) => {
+        const device = state.devices.find(d => d.deviceId === record.deviceId);
+        if (!device) {
+            console.warn('Relayed reading for unknown device:', record.deviceId);
+            return;
+        }
+        // The server's clock may differ from ours, so only the delay it measured itself is used
+        const delay = Math.max(0, (record.sentAt ?? record.receivedAt) - record.receivedAt);
+        mqttManager.handleReading(device, `HTTP ${record.path}`, JSON.stringify(record.data), { relayedAt: utils.now() - delay });
+    },
+
+    setStatus: (status) => {
+        ingestManager.status = status;
+        ingestManager.renderStatus();
+    },
+
+    // Show the connection state in Settings
+    renderStatus: () => {
+        const indicator = document.getElementById('ingestStatus');
+        if (!indicator) return;
+
+        const labels = {
+            disabled: '<i class="fas fa-power-off"></i> Tidak aktif',
+            mirror: '<i class="fas fa-clone"></i> Tab lain menerima data dari server',
+            connecting: '<i class="fas fa-spinner fa-spin"></i> Menghubungkan...',
+            connected: '<i class="fas fa-check-circle"></i> Terhubung',
+            error: '<i class="fas fa-exclamation-triangle"></i> Gagal terhubung, periksa URL dan token',
+            insecure: '<i class="fas fa-exclamation-triangle"></i> Diblokir browser: halaman HTTPS butuh server ingest https://'
+        };
+        indicator.innerHTML = labels[ingestManager.status];
+    }
+};
+
+// ==================== ALERT PUBLISHING ====================
+const alertPublisher = {
+    // Load settings into the form
+    loadSettings: () => {
+        const settings = storage.loadAlertPublish();
+        document.getElementById('alertPublishEnabled').value = settings.enabled ? 'yes' : 'no';
+        document.getElementById('alertPublishTopic').value = settings.topic;
+        document.getElementById('alertPublishQos').value = settings.qos;
+        document.getElementById('alertPublishRetainState').value = settings.retainState ? 'yes' : 'no';
+        document.getElementById('alertPublishStateTopic').value = settings.stateTopic;
+    },
+
+    // Read the form
+    readForm: () => ({
+        enabled: document.getElementById('alertPublishEnabled').value === 'yes',
+        topic: document.getElementById('alertPublishTopic').value.trim(),
+        qos: parseInt(document.getElementById('alertPublishQos').value) || 0,
+        retainState: document.getElementById('alertPublishRetainState').value === 'yes',
+        stateTopic: document.getElementById('alertPublishStateTopic').value.trim()
+    }),
+
+    // Check a topic template can be published to
+    validateTopic: (template) => {
+        if (!template) return 'Topic wajib diisi';
+        if (/[+#]/.test(template)) return 'Topic publish tidak boleh berisi wildcard + atau #';
+        return null;
+    },
+
+    // Save settings from the form
+    saveSettings: () => {
+        const settings = alertPublisher.readForm();
+        const error = alertPublisher.validateTopic(settings.topic) ||
+            (settings.retainState ? alertPublisher.validateTopic(settings.stateTopic) : null);
+        if (error) {
+            utils.showToast(error, 'error');
+            return;
+        }
+
+        storage.saveAlertPublish(settings);
+        state.alertPublish = settings;
+        utils.showToast('Alert publishing berhasil disimpan!', 'success');
+    },
+
+    // Fill a topic template; values cannot add levels or wildcards
+    topicFor: (template, values) => template.replace(/\{(\w+)\}/g, (match, key) => (
+        values[key] === undefined ? match : String(values[key]).replace(/[+#/]/g, '_')
+    )),
+
+    // Only the tab holding the connection publishes, and only when enabled
+    canPublish: () => !!(state.alertPublish?.enabled && tabManager.isLeader && state.mqttClient),
+
+    // Structured alert event for other systems
+    createEvent: (alert, event) => ({
+        event,
+        id: alert.id,
+        deviceId: alert.deviceId,
+        deviceName: alert.deviceName,
+        location: state.devices.find(d => d.deviceId === alert.deviceId)?.locationName || null,
+        metric: alert.metric,
+        severity: alert.severity,
+        value: alert.lastValue ?? alert.value,
+        threshold: alert.threshold,
+        message: alert.message,
+        status: alert.status,
+        raisedAt: new Date(alert.timestamp).toISOString(),
+        timestamp: new Date(event === 'resolved' ? alert.resolvedAt : alert.timestamp).toISOString()
+    }),
+
+    // Publish an alert being raised or resolved
+    publish: (alert, event) => {
+        if (!alertPublisher.canPublish()) return;
+
+        const settings = state.alertPublish;
+        const topic = alertPublisher.topicFor(settings.topic, {
+            deviceId: alert.deviceId,
+            metric: alert.metric,
+            severity: alert.severity,
+            event
+        });
+        state.mqttClient.publish(topic, JSON.stringify(alertPublisher.createEvent(alert, event)), { qos: settings.qos }, (error) => {
+            if (error) console.error('Error publishing alert:', error);
+        });
+
+        if (settings.retainState) alertPublisher.publishState(alert.deviceId);
+    },
+
+    // Publish the device's open alerts as its retained current state
+    publishState: (deviceId) => {
+        if (!alertPublisher.canPublish()) return;
+
+        const settings = state.alertPublish;
+        const open = state.alerts.filter(a => a.deviceId === deviceId && a.status !== 'resolved');
+        const severity = open.some(a => a.severity === 'danger') ? 'danger'
+            : open.length > 0 ? 'warning' : 'ok';
+        const payload = {
+            deviceId,
+            deviceName: state.devices.find(d => d.deviceId === deviceId)?.deviceName || deviceId,
+            severity,
+            updatedAt: new Date(utils.now()).toISOString(),
+            alerts: open.map(a => ({
+                id: a.id,
+                metric: a.metric,
+                severity: a.severity,
+                value: a.lastValue ?? a.value,
+                threshold: a.threshold,
+                status: a.status,
+                since: new Date(a.timestamp).toISOString()
+            }))
+        };
+
+        const topic = alertPublisher.topicFor(settings.stateTopic, { deviceId });
+        state.mqttClient.publish(topic, JSON.stringify(payload), { qos: settings.qos, retain: true }, (error) => {
+            if (error) console.error('Error publishing alert state:', error);
+        });
+    },
+
+    // Remove a device's retained state (device deleted or its alerts pruned)
+    clearState: (deviceId) => {
+        if (!alertPublisher.canPublish() || !state.alertPublish.retainState) return;
+
+        const settings = state.alertPublish;
+        const topic = alertPublisher.topicFor(settings.stateTopic, { deviceId });
+        state.mqttClient.publish(topic, '', { qos: settings.qos, retain: true }, (error) => {
+            if (error) console.error('Error clearing alert state:', error);
+        });
+    },
+
+    // Publish a sample alert with the form's settings
+    test: () => {
+        const settings = alertPublisher.readForm();
+        const error = alertPublisher.validateTopic(settings.topic);
+        if (error) {
+            utils.showToast(error, 'error');
+            return;
+        }
+        if (!tabManager.isLeader || !state.mqttClient?.connected) {
+            utils.showToast('MQTT belum terhubung di tab ini', 'error');
+            return;
+        }
+
+        const alert = {
+            id: 'test',
+            deviceId: state.devices[0]?.deviceId || 'test-device',
+            deviceName: state.devices[0]?.deviceName || 'Test Device',
+            metric: 'aqi',
+            severity: 'warning',
+            value: 0,
+            threshold: (state.thresholds || CONFIG.defaultThresholds).aqi.warning,
+            message: 'Test alert dari dashboard',
+            status: 'active',
+            timestamp: Date.now()
+        };
+        const topic = alertPublisher.topicFor(settings.topic, { deviceId: alert.deviceId, metric: alert.metric, severity: alert.severity, event: 'test' });
+        state.mqttClient.publish(topic, JSON.stringify(alertPublisher.createEvent(alert, 'test')), { qos: settings.qos }, (error) => {
+            utils.showToast(error ? `Publish gagal: ${error.message}` : `Test alert dikirim ke ${topic}`, error ? 'error' : 'success');
+        });
+    }
+};
+
+// ==================== ALERTS PAGE ====================
+const alertsPage = {
+    // Maximum rows rendered at once
+    rowLimit: 500,
+
+    // Read the current filter values
+    getFilters: () => {
+        const value = (id) => document.getElementById(id)?.value || '';
+        const from = value('alertFilterFrom');
+        const to = value('alertFilterTo');
+        return {
+            deviceId: value('alertFilterDevice'),
+            severity: value('alertFilterSeverity'),
+            status: value('alertFilterStatus'),
+            from: from ? new Date(from).getTime() : null,
+            to: to ? new Date(to).getTime() : null,
+            search: value('alertFilterSearch').trim().toLowerCase()
+        };
+    },
+
+    // Apply filters to the loaded alerts, newest first
+    filter: (filters) => {
+        return state.alerts
+            .filter(a => !filters.deviceId || a.deviceId === filters.deviceId)
+            .filter(a => !filters.severity || a.severity === filters.severity)
+            .filter(a => !filters.status || a.status === filters.status)
+            .filter(a => filters.from === null || a.timestamp >= filters.from)
+            .filter(a => filters.to === null || a.timestamp <= filters.to)
+            .filter(a => {
+                if (!filters.search) return true;
+                const text = [a.deviceName, a.deviceId, a.metric, a.message]
+                    .concat((a.notes || []).map(n => n.text))
+                    .join(' ')
+                    .toLowerCase();
+                return text.includes(filters.search);
+            })
+            .sort((a, b) => b.timestamp - a.timestamp);
+    },
+
+    // Fill the device filter
+    populateDeviceFilter: () => {
+        const select = document.getElementById('alertFilterDevice');
+        if (!select) return;
+
+        const current = select.value;
+        select.innerHTML = '<option value="">All Devices</option>' +
+            state.devices.map(device => `
+                <option value="${device.deviceId}">${device.deviceName}</option>
+            `).join('');
+        select.value = current;
+    },
+
+    // Render the alerts table
+    render: () => {
+        const tbody = document.getElementById('alertTableBody');
+        if (!tbody) return;
+
+        const alerts = alertsPage.filter(alertsPage.getFilters());
+        const summary = document.getElementById('alertSummary');
+        if (summary) {
+            summary.textContent = alerts.length > alertsPage.rowLimit
+                ? `Showing ${alertsPage.rowLimit} of ${alerts.length} alerts`
+                : `${alerts.length} alerts`;
+        }
+
+        if (alerts.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" style="text-align: center; padding: 3rem; color: var(--text-light);">
+                        Tidak ada alert.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = alerts.slice(0, alertsPage.rowLimit).map(alert => {
+            const notes = (alert.notes || []).map(n => `
+                <div class="alert-note">${utils.formatDate(n.timestamp)} (${n.action}): ${utils.escapeHtml(n.text)}</div>
+            `).join('');
+
+            return `
+                <tr>
+                    <td>${utils.formatDate(alert.timestamp)}</td>
+                    <td><strong>${utils.escapeHtml(alert.deviceName)}</strong></td>
+                    <td>${alertManager.metricLabel(alert.metric)}</td>
+                    <td><span class="alert-severity severity-${alert.severity}">${alert.severity}</span></td>
+                    <td>${alert.value ?? '--'}${alert.occurrences > 1 ? ` <small>(last ${alert.lastValue}, ${alert.occurrences}×)</small>` : ''}</td>
+                    <td>${alert.threshold ?? '--'}</td>
+                    <td>
+                        <span class="alert-status status-${alert.status}">${alert.status}</span>
+                        <div class="alert-message">${utils.escapeHtml(alert.message)}</div>
+                        ${notes}
+                    </td>
+                    <td>
+                        <div class="action-buttons">
+                            ${alert.status === 'active' ? `
+                                <button class="action-btn action-btn-view" onclick="alertsPage.act('${alert.id}', 'acknowledge')" title="Acknowledge">
+                                    <i class="fas fa-check"></i>
+                                </button>` : ''}
+                            ${alert.status !== 'resolved' ? `
+                                <button class="action-btn action-btn-edit" onclick="alertsPage.act('${alert.id}', 'resolve')" title="Resolve">
+                                    <i class="fas fa-check-double"></i>
+                                </button>` : ''}
+                            <button class="action-btn action-btn-view" onclick="alertsPage.act('${alert.id}', 'note')" title="Add Note">
+                                <i class="fas fa-sticky-note"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    // Acknowledge, resolve or annotate an alert, asking for a note
+    act: (alertId, action) => {
+        const alert = state.alerts.find(a => a.id === alertId);
+        if (!alert) return;
+
+        const note = prompt(action === 'note' ? 'Catatan:' : 'Catatan (opsional):');
+        if (note === null) return;
+
+        if (action === 'acknowledge') alertManager.acknowledge(alertId, note.trim());
+        if (action === 'resolve') alertManager.resolve(alertId, note.trim());
+        if (action === 'note' && note.trim()) alertManager.updateStatus(alertId, alert.status, note.trim());
+    }
+};
+
+// ==================== CHART MANAGEMENT ====================
+const chartManager = {
+    // Chart configurations, shared by the Analytics page and reports
+    configs: {
+        aqi: () => ({
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [{
+                    label: 'AQI',
+                    data: [],
+                    borderColor: '#4F46E5',
+                    backgroundColor: 'rgba(79, 70, 229, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointRadius: 4,
+                    pointHoverRadius: 6
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { 
+                        display: true,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'AQI Level'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Time'
+                        }
+                    }
+                }
+            }
+        }),
+
+        tempHum: () => ({
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Temperature (°C)',
+                        data: [],
+                        borderColor: '#EF4444',
+                        backgroundColor: 'rgba(239, 68, 68, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.4,
+                        yAxisID: 'y',
+                        pointRadius: 3,
+                        pointHoverRadius: 5
+                    },
+                    {
+                        label: 'Humidity (%)',
+                        data: [],
+                        borderColor: '#3B82F6',
+                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        tension: 0.4,
+                        yAxisID: 'y1',
+                        pointRadius: 3,
+                        pointHoverRadius: 5
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    legend: { 
+                        display: true,
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        type: 'linear',
+                        display: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Temperature (°C)'
+                        }
+                    },
+                    y1: {
+                        type: 'linear',
+                        display: true,
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Humidity (%)'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Time'
+                        }
+                    }
+                }
+            }
+        }),
+
+        gas: () => ({
+            type: 'bar',
+            data: {
+                labels: ['MQ135', 'MQ7', 'MQ9'],
+                datasets: [{
+                    label: 'Gas Level (ppm)',
+                    data: [0, 0, 0],
+                    backgroundColor: [
+                        'rgba(139, 92, 246, 0.8)',
+                        'rgba(245, 158, 11, 0.8)',
+                        'rgba(239, 68, 68, 0.8)'
+                    ],
+                    borderColor: [
+                        'rgb(139, 92, 246)',
+                        'rgb(245, 158, 11)',
+                        'rgb(239, 68, 68)'
+                    ],
+                    borderWidth: 2
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { 
+                        display: true,
+                        position: 'top'
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'PPM'
+                        }
+                    }
+                }
+            }
+        })
+    },
+
+    // Render a chart offscreen and return it as a PNG data URL
+    renderImage: (kind, labels, series, width = 900, height = 360) => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const config = chartManager.configs[kind]();
+        config.options.responsive = false;
+        config.options.animation = false;
+        config.data.labels = labels;
+        series.forEach((data, i) => {
+            config.data.datasets[i].data = data;
+            config.data.datasets[i].pointRadius = 0;
+        });
+
+        const chart = new Chart(canvas, config);
+        const image = chart.toBase64Image();
+        chart.destroy();
+        return image;
+    },
+
+    // Initialize charts
+    initCharts: () => {
+        // Destroy existing charts if any
+        if (state.charts.aqi) state.charts.aqi.destroy();
+        if (state.charts.tempHum) state.charts.tempHum.destroy();
+        if (state.charts.gas) state.charts.gas.destroy();
+
+        // AQI Chart - Trendline
+        const aqiCtx = document.getElementById('aqiChart');
+        if (aqiCtx) {
+            state.charts.aqi = new Chart(aqiCtx, chartManager.configs.aqi());
+        }
+
+        // Temp & Humidity Chart - Trendline
+        const tempHumCtx = document.getElementById('tempHumChart');
+        if (tempHumCtx) {
+            state.charts.tempHum = new Chart(tempHumCtx, chartManager.configs.tempHum());
+        }
+
+        // Gas Chart
+        const gasCtx = document.getElementById('gasChart');
+        if (gasCtx) {
+            state.charts.gas = new Chart(gasCtx, chartManager.configs.gas());
+        }
+
+        // Load initial data for selected device
+        const selectElem = document.getElementById('analyticsDevice');
+        if (selectElem && selectElem.value) {
+            const device = state.devices.find(d => d.deviceId === selectElem.value);
+            if (device) {
+                chartManager.updateCharts(device);
+            }
+        }
+    },
+
+    // Update charts with device data
+    updateCharts: async (device) => {
+        if (!device) return;
+
+        // Live view shows the in-memory points received this session
+        const range = document.getElementById('analyticsRange')?.value || '24';
+        if (range === 'live') {
+            chartManager.updateChartsRealtime(device);
+            return;
+        }
+
+        // Load stored history for the selected range at a suitable resolution
+        const hours = parseInt(range) || 24;
+        const now = Date.now();
+        let records = [];
+        let resolution = 'raw';
+        try {
+            const series = await historyStore.querySeries({
+                deviceId: device.deviceId,
+                from: now - hours * 3600000,
+                to: now
+            });
+            records = series.points;
+            resolution = series.resolution;
+        } catch (error) {
+            console.error('Error loading chart history:', error);
+        }
+
+        const timeLabels = records.map(r => resolution === 'day'
+            ? new Date(r.timestamp).toLocaleDateString()
+            : new Date(r.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+        const aqiData = records.map(r => r.aqi);
+        const tempData = records.map(r => r.temp);
+        const humData = records.map(r => r.humidity);
+
+        // Update AQI chart
+        if (state.charts.aqi) {
+            state.charts.aqi.data.labels = timeLabels;
+            state.charts.aqi.data.datasets[0].data = aqiData;
+            state.charts.aqi.update();
+        }
+
+        // Update Temperature & Humidity chart
+        if (state.charts.tempHum) {
+            state.charts.tempHum.data.labels = timeLabels;
+            state.charts.tempHum.data.datasets[0].data = tempData;
+            state.charts.tempHum.data.datasets[1].data = humData;
+            state.charts.tempHum.update();
+        }
+
+        // Update gas chart with current data
+        if (state.charts.gas && device.lastData) {
+            state.charts.gas.data.datasets[0].data = [
+                device.lastData.ppm_MQ135 || 0,
+                device.lastData.ppm_MQ7 || 0,
+                device.lastData.ppm_MQ9 || 0
+            ];
+            state.charts.gas.update();
+        }
+    },
+
+    // Store real-time data for charts (called when MQTT message received)
+    addDataPoint: (device) => {
+        if (!device || !device.lastData) return;
+
+        // Initialize history if not exists
+        if (!device.dataHistory) {
+            device.dataHistory = {
+                timestamps: [],
+                aqi: [],
+                temp: [],
+                humidity: []
+            };
+        }
+
+        // Add new data point at the time the reading was taken
+        const now = new Date(device.lastUpdate || utils.now());
+        device.dataHistory.timestamps.push(now.toLocaleTimeString());
+        device.dataHistory.aqi.push(device.lastData.aqi ?? null);
+        device.dataHistory.temp.push(device.lastData.temp ?? null);
+        device.dataHistory.humidity.push(device.lastData.humidity ?? null);
+
+        // Keep only the configured number of live points
+        const livePoints = (state.retention || CONFIG.defaultRetention).livePoints;
+        while (device.dataHistory.timestamps.length > livePoints) {
+            device.dataHistory.timestamps.shift();
+            device.dataHistory.aqi.shift();
+            device.dataHistory.temp.shift();
+            device.dataHistory.humidity.shift();
+        }
+
+        // Update charts if this device is currently selected in live view
+        const selectElem = document.getElementById('analyticsDevice');
+        const rangeElem = document.getElementById('analyticsRange');
+        if (selectElem && selectElem.value === device.deviceId && rangeElem?.value === 'live') {
+            chartManager.updateChartsRealtime(device);
+        }
+    },
+
+    // Update charts with real historical data
+    updateChartsRealtime: (device) => {
+        if (!device || !device.dataHistory) return;
+
+        // Update AQI chart
+        if (state.charts.aqi) {
+            state.charts.aqi.data.labels = device.dataHistory.timestamps;
+            state.charts.aqi.data.datasets[0].data = device.dataHistory.aqi;
+            state.charts.aqi.update();
+        }
+
+        // Update Temperature & Humidity chart
+        if (state.charts.tempHum) {
+            state.charts.tempHum.data.labels = device.dataHistory.timestamps;
+            state.charts.tempHum.data.datasets[0].data = device.dataHistory.temp;
+            state.charts.tempHum.data.datasets[1].data = device.dataHistory.humidity;
+            state.charts.tempHum.update();
+        }
+
+        // Update gas chart
+        if (state.charts.gas && device.lastData) {
+            state.charts.gas.data.datasets[0].data = [
+                device.lastData.ppm_MQ135 || 0,
+                device.lastData.ppm_MQ7 || 0,
+                device.lastData.ppm_MQ9 || 0
+            ];
+            state.charts.gas.update();
+        }
+    }
+};
+
+// ==================== MAP MANAGEMENT ====================
+const mapManager = {
+    // Initialize main map
+    initMainMap: () => {
+        if (state.maps.main) return;
+
+        const mapElement = document.getElementById('map');
+        if (!mapElement) return;
+
+        state.maps.main = L.map('map').setView(CONFIG.map.defaultCenter, CONFIG.map.defaultZoom);
+        
+        L.tileLayer(CONFIG.map.tileLayer, {
+            attribution: CONFIG.map.attribution
+        }).addTo(state.maps.main);
+
+        mapManager.updateMarkers();
+    },
+
+    // Initialize location picker map in modal
+    initPickerMap: () => {
+        // Wait for modal to be visible
+        setTimeout(() => {
+            const pickerElement = document.getElementById('locationPickerMap');
+            if (!pickerElement) return;
+
+            // Remove old map if exists
+            if (state.maps.picker) {
+                state.maps.picker.remove();
+            }
+
+            // Create new map
+            state.maps.picker = L.map('locationPickerMap').setView(
+                [state.selectedLocation.lat, state.selectedLocation.lng], 
+                13
+            );
+            
+            L.tileLayer(CONFIG.map.tileLayer, {
+                attribution: CONFIG.map.attribution
+            }).addTo(state.maps.picker);
+
+            // Add marker
+            const marker = L.marker([state.selectedLocation.lat, state.selectedLocation.lng], {
+                draggable: true
+            }).addTo(state.maps.picker);
+
+            // Update location when marker is dragged
+            marker.on('dragend', (e) => {
+                const pos = e.target.getLatLng();
+                state.selectedLocation = { lat: pos.lat, lng: pos.lng };
+                document.getElementById('selectedCoords').textContent = 
+                    `Lat: ${pos.lat.toFixed(6)}, Lng: ${pos.lng.toFixed(6)}`;
+            });
+
+            // Update location on map click
+            state.maps.picker.on('click', (e) => {
+                state.selectedLocation = { lat: e.latlng.lat, lng: e.latlng.lng };
+                marker.setLatLng(e.latlng);
+                document.getElementById('selectedCoords').textContent = 
+                    `Lat: ${e.latlng.lat.toFixed(6)}, Lng: ${e.latlng.lng.toFixed(6)}`;
+            });
+
+            document.getElementById('selectedCoords').textContent = 
+                `Lat: ${state.selectedLocation.lat.toFixed(6)}, Lng: ${state.selectedLocation.lng.toFixed(6)}`;
+        }, 100);
+    },
+
+    // Update markers on main map
+    updateMarkers: () => {
+        if (!state.maps.main) return;
+
+        // Clear existing markers
+        state.maps.main.eachLayer((layer) => {
+            if (layer instanceof L.Marker) {
+                state.maps.main.removeLayer(layer);
+            }
+        });
+
+        // Add markers for each device
+        state.devices.forEach(device => {
+            if (device.location) {
+                const presence = presenceManager.getState(device);
+                const status = presenceManager.badge(presence);
+                const aqi = device.lastData?.aqi || 0;
+                const aqiStatus = utils.getAqiStatus(aqi);
+                const lastSeen = Math.max(device.presence?.lastSeen || 0, device.lastUpdate || 0);
+
+                const icon = L.divIcon({
+                    className: 'custom-marker',
+                    html: `
+                        <div class="marker-pin ${aqiStatus.class} presence-${presence}">
+                            <i class="fas fa-map-marker-alt"></i>
+                        </div>
+                        <div class="marker-label">${device.deviceName}</div>
+                    `,
+                    iconSize: [30, 42],
+                    iconAnchor: [15, 42]
+                });
+
+                const marker = L.marker([device.location.lat, device.location.lng], { icon })
+                    .addTo(state.maps.main);
+
+                marker.bindPopup(`
+                    <div class="map-popup">
+                        <h4>${device.deviceName}</h4>
+                        <p><strong>Lokasi:</strong> ${device.locationName}</p>
+                        <p><strong>Status:</strong> <span class="device-status ${status.class}">${status.text}</span></p>
+                        <p><strong>Terakhir terlihat:</strong> ${lastSeen ? utils.formatAgo(lastSeen) : '--'}</p>
+                        <p><strong>AQI:</strong> <span class="${aqiStatus.class}">${aqi.toFixed(1)}</span></p>
+                        <p><strong>Suhu:</strong> ${device.lastData?.temp || '--'}°C</p>
+                        <p><strong>Kelembaban:</strong> ${device.lastData?.humidity || '--'}%</p>
+                    </div>
+                `);
+            }
+        });
+    }
+};
+
+// ==================== UI MANAGEMENT ====================
+const ui = {
+    // Initialize UI
+    init: () => {
+        // Navigation
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                const page = item.getAttribute('data-page');
+                ui.navigateTo(page);
+            });
+        });
+
+        // Add device buttons
+        document.getElementById('addDeviceBtn')?.addEventListener('click', () => {
+            state.editingDevice = null; // Clear edit mode
+            ui.openAddDeviceModal();
+        });
+        document.getElementById('addDeviceBtn2')?.addEventListener('click', () => {
+            state.editingDevice = null;
+            ui.openAddDeviceModal();
+        });
+
+        // Device discovery
+        document.getElementById('discoverBtn')?.addEventListener('click', () => discoveryManager.open());
+        document.getElementById('discoveryTableBody')?.addEventListener('click', discoveryManager.handleTableClick);
+        document.getElementById('discoveryForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            discoveryManager.start();
+        });
+
+        // Add device form
+        document.getElementById('addDeviceForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (state.editingDevice) {
+                deviceManager.updateDevice();
+            } else {
+                deviceManager.addDevice();
+            }
+        });
+
+        // Cancel add device
+        document.getElementById('cancelAddDevice')?.addEventListener('click', () => {
+            ui.closeModal('addDeviceModal');
+        });
+
+        // Generate NFC config
+        document.getElementById('generateNfcBtn')?.addEventListener('click', () => {
+            deviceManager.generateNfcConfig();
+        });
+
+        // NFC modal
+        document.getElementById('closeNfcModal')?.addEventListener('click', () => {
+            ui.closeModal('nfcConfigModal');
+        });
+        document.getElementById('copyNfcConfig')?.addEventListener('click', () => {
+            const textarea = document.getElementById('nfcConfigJson');
+            textarea.select();
+            document.execCommand('copy');
+            utils.showToast('Configuration copied!', 'success');
+        });
+        document.getElementById('downloadNfcConfig')?.addEventListener('click', () => {
+            deviceManager.downloadNfcConfig();
+        });
+
+        // Device detail modal
+        document.getElementById('closeDetailModal')?.addEventListener('click', () => {
+            ui.closeModal('deviceDetailModal');
+        });
+        document.getElementById('editDeviceBtn')?.addEventListener('click', () => {
+            ui.editCurrentDevice();
+        });
+        document.getElementById('deleteDeviceBtn')?.addEventListener('click', () => {
+            if (state.selectedDevice) {
+                deviceManager.deleteDevice(state.selectedDevice.deviceId);
+                ui.closeModal('deviceDetailModal');
+            }
+        });
+
+        // Settings form
+        document.getElementById('settingsForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            settingsManager.saveSettings();
+        });
+
+        // Export button
+        document.getElementById('exportDataBtn')?.addEventListener('click', () => {
+            exportManager.openDialog();
+        });
+
+        // Refresh data
+        document.getElementById('refreshData')?.addEventListener('click', () => {
+            ui.updateDashboard();
+            ui.updateDevicesTable();
+            mapManager.updateMarkers();
+            utils.showToast('Data refreshed', 'success');
+        });
+
+        // Menu toggle
+        document.getElementById('menuToggle')?.addEventListener('click', () => {
+            document.getElementById('sidebar').classList.toggle('active');
+        });
+
+        // Notification bell
+        document.querySelector('.notification')?.addEventListener('click', () => {
+            notificationManager.showPanel();
+        });
+
+        // MQTT status indicator and diagnostics
+        document.getElementById('mqttStatus')?.addEventListener('click', () => {
+            mqttManager.showDiagnostics();
+        });
+        window.addEventListener('online', () => mqttManager.retryNow());
+        window.addEventListener('offline', () => {
+            if (mqttManager.status.state !== 'connected') mqttManager.setStatus({ state: 'offline' });
+        });
+        setInterval(mqttManager.refreshTimes, 1000);
+
+        // Analytics device selector
+        document.getElementById('analyticsDevice')?.addEventListener('change', (e) => {
+            const deviceId = e.target.value;
+            if (deviceId) {
+                const device = state.devices.find(d => d.deviceId === deviceId);
+                if (device) {
+                    chartManager.updateCharts(device);
+                }
+            }
+        });
+
+        // Analytics time range selector
+        document.getElementById('analyticsRange')?.addEventListener('change', () => {
+            const deviceId = document.getElementById('analyticsDevice')?.value;
+            const device = state.devices.find(d => d.deviceId === deviceId);
+            if (device) {
+                chartManager.updateCharts(device);
+            }
+        });
+
+        // Retention form
+        document.getElementById('retentionForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            retentionManager.saveSettings();
+        });
+        document.getElementById('pruneNowBtn')?.addEventListener('click', async () => {
+            const result = await retentionManager.prune();
+            if (result) {
+                utils.showToast(`Pruned ${result.deleted} records`, 'success');
+            }
+        });
+
+        // Backup & restore
+        document.getElementById('backupBtn')?.addEventListener('click', () => {
+            backupManager.createBackup();
+        });
+        document.getElementById('restoreBtn')?.addEventListener('click', () => {
+            document.getElementById('restoreFile').click();
+        });
+        document.getElementById('restoreFile')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) backupManager.openRestore(file);
+            e.target.value = '';
+        });
+        document.getElementById('restoreMode')?.addEventListener('change', (e) => {
+            document.getElementById('restoreConflict').disabled = e.target.value === 'replace';
+        });
+        document.getElementById('importCsvBtn')?.addEventListener('click', () => {
+            document.getElementById('importCsvFile').click();
+        });
+        document.getElementById('importCsvFile')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) importManager.openImport(file);
+            e.target.value = '';
+        });
+        document.getElementById('importDateFormat')?.addEventListener('change', () => importManager.renderPreview());
+        document.getElementById('importFallbackDevice')?.addEventListener('change', () => importManager.renderPreview());
+        document.getElementById('confirmImportBtn')?.addEventListener('click', () => importManager.confirmImport());
+
+        // Export dialog
+        document.getElementById('confirmExportBtn')?.addEventListener('click', () => exportManager.run());
+
+        // PDF report
+        document.getElementById('reportBtn')?.addEventListener('click', () => reportManager.openDialog());
+        document.getElementById('reportScope')?.addEventListener('change', () => reportManager.updateTargets());
+        document.getElementById('generateReportBtn')?.addEventListener('click', () => reportManager.generate());
+        document.getElementById('confirmRestoreBtn')?.addEventListener('click', () => {
+            const mode = document.getElementById('restoreMode').value;
+            if (mode === 'replace' && !confirm('Semua data yang ada akan diganti. Lanjutkan?')) return;
+            backupManager.restore(mode, document.getElementById('restoreConflict').value);
+        });
+
+        // Credential vault
+        document.querySelectorAll('.reveal-secret').forEach(button => {
+            button.addEventListener('click', () => {
+                vaultManager.toggleReveal(button.getAttribute('data-field'));
+            });
+        });
+        document.getElementById('vaultEnableBtn')?.addEventListener('click', () => {
+            vaultManager.openModal('enable');
+        });
+        document.getElementById('vaultUnlockBtn')?.addEventListener('click', () => {
+            vaultManager.openModal('unlock');
+        });
+        document.getElementById('vaultLockBtn')?.addEventListener('click', () => {
+            vaultManager.lock();
+            vaultManager.updateStatus();
+            utils.showToast('Vault dikunci', 'success');
+        });
+        document.getElementById('vaultDisableBtn')?.addEventListener('click', async () => {
+            if (!confirm('Credentials akan disimpan tanpa enkripsi. Lanjutkan?')) return;
+            try {
+                await vaultManager.disable();
+                vaultManager.updateStatus();
+                ingestManager.loadSettings();
+                utils.showToast('Vault dinonaktifkan', 'success');
+            } catch (error) {
+                utils.showToast('Vault terkunci', 'error');
+            }
+        });
+        document.getElementById('vaultForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            vaultManager.submitModal();
+        });
+        document.getElementById('closeVaultModal')?.addEventListener('click', vaultManager.cancelModal);
+        document.getElementById('cancelVaultModal')?.addEventListener('click', vaultManager.cancelModal);
+
+        // Alerts page filters
+        ['alertFilterDevice', 'alertFilterSeverity', 'alertFilterStatus', 'alertFilterFrom', 'alertFilterTo'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', alertsPage.render);
+        });
+        document.getElementById('alertFilterSearch')?.addEventListener('input', alertsPage.render);
+
+        // Broker profiles
+        document.getElementById('addBrokerBtn')?.addEventListener('click', () => brokerManager.openModal());
+        document.getElementById('testBrokerBtn')?.addEventListener('click', () => brokerManager.testForm());
+        document.getElementById('brokerTableBody')?.addEventListener('click', brokerManager.handleTableClick);
+        document.getElementById('brokerForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            brokerManager.save();
+        });
+
+        // MQTT inspector
+        ['inspectorTopic', 'inspectorSearch'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', inspector.render);
+        });
+        document.getElementById('inspectorMatch')?.addEventListener('change', inspector.render);
+        document.getElementById('inspectorPauseBtn')?.addEventListener('click', inspector.togglePause);
+        document.getElementById('inspectorClearBtn')?.addEventListener('click', inspector.clear);
+        document.getElementById('inspectorExportBtn')?.addEventListener('click', inspector.exportSession);
+        document.getElementById('inspectorWatchBtn')?.addEventListener('click', inspector.toggleWatch);
+
+        // Session recording and replay
+        document.getElementById('recordSessionBtn')?.addEventListener('click', replayManager.toggleRecording);
+        document.getElementById('replaySessionBtn')?.addEventListener('click', () => {
+            document.getElementById('replayFile').click();
+        });
+        document.getElementById('replayFile')?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) replayManager.open(file);
+            e.target.value = '';
+        });
+        document.getElementById('startReplayBtn')?.addEventListener('click', replayManager.start);
+
+        // Device simulator
+        simulator.fillForm();
+        document.getElementById('simulatorToggleBtn')?.addEventListener('click', simulator.toggle);
+        document.getElementById('simulatorRemoveBtn')?.addEventListener('click', simulator.removeDevices);
+        document.getElementById('simulatorForm')?.addEventListener('change', simulator.applySettings);
+
+        // Payload decoders
+        document.getElementById('addDecoderBtn')?.addEventListener('click', () => decoderManager.openModal());
+        document.getElementById('addMappingBtn')?.addEventListener('click', decoderManager.addMapping);
+        document.getElementById('testDecoderBtn')?.addEventListener('click', decoderManager.test);
+        document.getElementById('decoderTemplate')?.addEventListener('change', (e) => decoderManager.applyTemplate(e.target.value));
+        document.getElementById('decoderForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            decoderManager.save();
+        });
+
+        // Alert publishing
+        document.getElementById('alertPublishForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            alertPublisher.saveSettings();
+        });
+        document.getElementById('testAlertPublishBtn')?.addEventListener('click', alertPublisher.test);
+
+        // HTTP ingest server
+        document.getElementById('ingestForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            ingestManager.saveSettings();
+        });
+
+        // Quarantined payloads
+        document.getElementById('quarantineDevice')?.addEventListener('change', quarantineManager.render);
+        document.getElementById('clearQuarantineBtn')?.addEventListener('click', quarantineManager.clear);
+
+        // Load settings
+        settingsManager.loadSettings();
+        retentionManager.loadSettings();
+        alertPublisher.loadSettings();
+        ingestManager.loadSettings();
+        brokerManager.renderList();
+        decoderManager.renderList();
+        decoderManager.populateSensorTypes();
+        quarantineManager.render();
+        vaultManager.updateStatus();
+    },
+
+    // Navigate to page
+    navigateTo: (page) => {
+        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+        document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
+
+        document.getElementById(`${page}-page`)?.classList.add('active');
+        document.querySelector(`[data-page="${page}"]`)?.classList.add('active');
+
+        if (page === 'map') {
+            setTimeout(() => mapManager.initMainMap(), 100);
+        }
+
+        if (page === 'analytics') {
+            ui.populateAnalyticsDeviceSelector();
+            setTimeout(() => chartManager.initCharts(), 100);
+        }
+
+        if (page === 'settings') {
+            retentionManager.renderDeviceTable();
+        }
+
+        if (page === 'alerts') {
+            alertsPage.populateDeviceFilter();
+            alertsPage.render();
+        }
+
+        if (page === 'inspector') {
+            inspector.render();
+        }
+
+        if (page === 'simulator') {
+            simulator.render();
+        }
+
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+    },
+
+    // Open add device modal, optionally prefilling form fields by input id
+    openAddDeviceModal: (prefill = null) => {
+        // Reset form
+        document.getElementById('addDeviceForm').reset();
+        
+        // Set default location
+        state.selectedLocation = {
+            lat: CONFIG.map.defaultCenter[0],
+            lng: CONFIG.map.defaultCenter[1]
+        };
+
+        // Update modal title
+        document.querySelector('#addDeviceModal .modal-header h2').textContent = 
+            state.editingDevice ? 'Edit Device' : 'Add New Device';
+
+        // If editing, fill form
+        if (state.editingDevice) {
+            const device = state.editingDevice;
+            document.getElementById('deviceId').value = device.deviceId;
+            document.getElementById('deviceId').disabled = true; // Cannot change device ID
+            document.getElementById('deviceName').value = device.deviceName;
+            document.getElementById('sensorType').value = device.sensorType;
+            document.getElementById('updateInterval').value = device.interval;
+            document.getElementById('locationName').value = device.locationName;
+            document.getElementById('wifiSsid').value = device.wifi;
+            document.getElementById('protocol').value = device.protocol;
+            document.getElementById('serverUrl').value = device.serverUrl;
+            document.getElementById('serverPort').value = device.serverPort;
+            document.getElementById('mqttTopic').value = device.mqttTopic;
+            document.getElementById('mqttUsername').value = device.mqttUsername || '';
+            document.getElementById('endpoint').value = device.endpoint || '';
+            
+            state.selectedLocation = {
+                lat: device.location.lat,
+                lng: device.location.lng
+            };
+        } else {
+            document.getElementById('deviceId').disabled = false;
+        }
+
+        if (prefill) {
+            Object.entries(prefill).forEach(([id, value]) => {
+                document.getElementById(id).value = value;
+            });
+        }
+
+        // Secrets stay masked; encrypted ones are only decrypted on reveal
+        vaultManager.secretFields.forEach(field => {
+            const input = document.getElementById(field);
+            const value = state.editingDevice ? state.editingDevice[field] : '';
+            input.type = 'password';
+            input.value = vaultManager.isEncrypted(value) ? '' : (value || '');
+            input.placeholder = vaultManager.isEncrypted(value) ? '•••••••• (encrypted, leave blank to keep)' : '';
+        });
+
+        ui.showModal('addDeviceModal');
+        mapManager.initPickerMap();
+    },
+
+    // Edit current device from detail modal
+    editCurrentDevice: () => {
+        state.editingDevice = state.selectedDevice;
+        ui.closeModal('deviceDetailModal');
+        ui.openAddDeviceModal();
+    },
+
+    // Show modal
+    showModal: (modalId) => {
+        document.getElementById(modalId)?.classList.add('active');
+    },
+
+    // Close modal
+    closeModal: (modalId) => {
+        document.getElementById(modalId)?.classList.remove('active');
+    },
+
+    // Update dashboard
+    updateDashboard: () => {
+        // Update statistics
+        document.getElementById('totalDevices').textContent = state.devices.length;
+        
+        const activeCount = state.devices.filter(d => {
+            const status = utils.getDeviceStatus(d);
+            return status.text === 'Online';
+        }).length;
+        document.getElementById('activeDevices').textContent = activeCount;
+        
+        notificationManager.updateBadge();
+        
+        // Calculate average AQI
+        const devices = state.devices.filter(d => d.lastData?.aqi);
+        const avgAqi = devices.length > 0
+            ? devices.reduce((sum, d) => sum + d.lastData.aqi, 0) / devices.length
+            : 0;
+        document.getElementById('avgAqi').textContent = avgAqi > 0 ? avgAqi.toFixed(1) : '--';
+
+        // Update recent devices
+        ui.updateRecentDevices();
+    },
+
+    // Update recent devices
+    updateRecentDevices: () => {
+        const container = document.getElementById('recentDevices');
+        if (!container) return;
+
+        if (state.devices.length === 0) {
+            container.innerHTML = `
+                <div style="text-align: center; padding: 3rem; color: var(--text-light);">
+                    <i class="fas fa-inbox" style="font-size: 3rem; margin-bottom: 1rem;"></i>
+                    <p>Belum ada device. Klik tombol "Add Device" untuk menambahkan.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = state.devices.slice(0, 6).map(device => {
+            const aqi = device.lastData?.aqi || 0;
+            const temp = device.lastData?.temp || '--';
+            const humidity = device.lastData?.humidity || '--';
+            const status = utils.getDeviceStatus(device);
+            const aqiStatus = utils.getAqiStatus(aqi);
+
+            return `
+                <div class="device-card" onclick="ui.showDeviceDetail(state.devices.find(d => d.deviceId === '${device.deviceId}'))">
+                    <div class="device-card-header">
+                        <div class="device-info">
+                            <h3>${device.deviceName}</h3>
+                            <p><i class="fas fa-map-marker-alt"></i> ${device.locationName}</p>
+                        </div>
+                        <span class="device-status ${status.class}">${status.text}</span>
+                    </div>
+                    <div class="device-readings">
+                        <div class="reading">
+                            <div class="reading-label">AQI</div>
+                            <div class="reading-value ${aqiStatus.class}">${aqi.toFixed(1)}</div>
+                        </div>
+                        <div class="reading">
+                            <div class="reading-label">Temp</div>
+                            <div class="reading-value">${temp}°C</div>
+                        </div>
+                        <div class="reading">
+                            <div class="reading-label">Humidity</div>
+                            <div class="reading-value">${humidity}%</div>
+                        </div>
+                        <div class="reading">
+                            <div class="reading-label">Status</div>
+                            <div class="reading-value" style="font-size: 1rem;">${aqiStatus.text}</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // Update devices table
+    updateDevicesTable: () => {
+        const tbody = document.getElementById('deviceTableBody');
+        if (!tbody) return;
+
+        if (state.devices.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" style="text-align: center; padding: 3rem; color: var(--text-light);">
+                        Belum ada device. Klik tombol "Add Device" untuk menambahkan.
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = state.devices.map(device => {
+            const status = utils.getDeviceStatus(device);
+            const aqi = device.lastData?.aqi || 0;
+            const aqiStatus = utils.getAqiStatus(aqi);
+
+            return `
+                <tr>
+                    <td><strong>${device.deviceName}</strong></td>
+                    <td>${device.locationName}</td>
+                    <td><span class="device-status ${status.class}">${status.text}</span></td>
+                    <td><span class="${aqiStatus.class}">${aqi.toFixed(1)}</span></td>
+                    <td>${device.lastData?.temp || '--'}°C</td>
+                    <td>${device.lastData?.humidity || '--'}%</td>
+                    <td>
+                        ${utils.formatDate(device.lastUpdate)}
+                        ${device.staleReading ? `<br><small class="stale-reading" title="${readingClock.describe(device.staleReading)}">retained lama</small>` : ''}
+                    </td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="action-btn action-btn-view" onclick="ui.showDeviceDetail(state.devices.find(d => d.deviceId === '${device.deviceId}'))" title="View Details">
+                                <i class="fas fa-eye"></i>
+                            </button>
+                            <button class="action-btn action-btn-edit" onclick="ui.editDevice('${device.deviceId}')" title="Edit">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="action-btn action-btn-delete" onclick="deviceManager.deleteDevice('${device.deviceId}')" title="Delete">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    // Edit device from table
+    editDevice: (deviceId) => {
+        const device = state.devices.find(d => d.deviceId === deviceId);
+        if (device) {
+            state.editingDevice = device;
+            ui.openAddDeviceModal();
+        }
+    },
+
+    // Show device detail modal
+    showDeviceDetail: (device) => {
+        if (!device) return;
+
+        state.selectedDevice = device;
+
+        // Update modal content
+        document.getElementById('detailDeviceName').textContent = device.deviceName;
+        document.getElementById('detailAqi').textContent = (device.lastData?.aqi || 0).toFixed(1);
+        document.getElementById('detailTemp').textContent = `${device.lastData?.temp || '--'}°C`;
+        document.getElementById('detailHum').textContent = `${device.lastData?.humidity || '--'}%`;
+        document.getElementById('detailMq135').textContent = `${device.lastData?.ppm_MQ135 || '--'} ppm`;
+        document.getElementById('detailMq7').textContent = `${device.lastData?.ppm_MQ7 || '--'} ppm`;
+        document.getElementById('detailMq9').textContent = `${device.lastData?.ppm_MQ9 || '--'} ppm`;
+        
+        document.getElementById('detailDeviceId').textContent = device.deviceId;
+        document.getElementById('detailLocation').textContent = device.locationName;
+        
+        const status = utils.getDeviceStatus(device);
+        document.getElementById('detailStatus').innerHTML = `<span class="device-status ${status.class}">${status.text}</span>`;
+        document.getElementById('detailProtocol').textContent = device.protocol;
+        document.getElementById('detailLastUpdate').textContent = utils.formatDate(device.lastUpdate);
+        document.getElementById('detailUptime').textContent = utils.formatUptime(device.heartbeat?.uptime ?? device.lastData?.uptime);
+        document.getElementById('detailHeartbeat').textContent = device.heartbeat ? utils.formatAgo(device.heartbeat.receivedAt) : '--';
+        document.getElementById('detailRssi').textContent = device.heartbeat?.rssi != null ? `${device.heartbeat.rssi} dBm` : '--';
+        document.getElementById('detailHeap').textContent = device.heartbeat?.freeHeap != null ? `${(device.heartbeat.freeHeap / 1024).toFixed(1)} KB` : '--';
+        document.getElementById('detailConfigSource').textContent = device.heartbeat?.configSource || '--';
+        document.getElementById('detailStaleReading').textContent = readingClock.describe(device.staleReading);
+
+        commandManager.deviceId = device.deviceId;
+        document.getElementById('commandInterval').value = device.interval || '';
+        commandManager.render();
+
+        ui.showModal('deviceDetailModal');
+    },
+
+    // Populate analytics device selector
+    populateAnalyticsDeviceSelector: () => {
+        const select = document.getElementById('analyticsDevice');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Select Device</option>' +
+            state.devices.map(device => `
+                <option value="${device.deviceId}">${device.deviceName}</option>
+            `).join('');
+    }
+};
+
+// ==================== DEVICE MANAGEMENT ====================
+const deviceManager = {
+    // Read secret fields from the form, keeping stored values left blank,
+    // and encrypt them when the vault is enabled
+    readSecrets: async (oldDevice = {}) => {
+        const secrets = {};
+        vaultManager.secretFields.forEach(field => {
+            const value = document.getElementById(field).value;
+            secrets[field] = value === '' && vaultManager.isEncrypted(oldDevice[field])
+                ? oldDevice[field]
+                : value;
+        });
+        return vaultManager.sealSecrets(secrets);
+    },
+
+    // Add new device
+    addDevice: async () => {
+        const device = {
+            deviceId: document.getElementById('deviceId').value,
+            deviceName: document.getElementById('deviceName').value,
+            sensorType: document.getElementById('sensorType').value,
+            interval: parseInt(document.getElementById('updateInterval').value),
+            locationName: document.getElementById('locationName').value,
+            location: {
+                lat: state.selectedLocation.lat,
+                lng: state.selectedLocation.lng
+            },
+            wifi: document.getElementById('wifiSsid').value,
+            protocol: document.getElementById('protocol').value,
+            serverUrl: document.getElementById('serverUrl').value,
+            serverPort: parseInt(document.getElementById('serverPort').value),
+            mqttTopic: document.getElementById('mqttTopic').value || `sensors/${document.getElementById('deviceName').value}`,
+            mqttUsername: document.getElementById('mqttUsername').value,
+            endpoint: document.getElementById('endpoint').value,
+            timestamp: Date.now(),
+            lastUpdate: null,
+            lastData: null
+        };
+
+        // Validate
+        if (!device.deviceId || !device.deviceName || !device.locationName) {
+            utils.showToast('Mohon isi semua field yang wajib diisi', 'error');
+            return;
+        }
+
+        // Check duplicate
+        if (state.devices.find(d => d.deviceId === device.deviceId)) {
+            utils.showToast('Device ID sudah ada', 'error');
+            return;
+        }
+
+        // Encrypt credentials before they are stored
+        try {
+            Object.assign(device, await deviceManager.readSecrets());
+        } catch (error) {
+            utils.showToast('Vault terkunci, device tidak disimpan', 'error');
+            return;
+        }
+
+        // Add device
+        state.devices.push(device);
+        storage.saveDevices();
+
+        // Subscribe to MQTT topic
+        mqttManager.syncSubscriptions();
+
+        // Update UI
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        ui.populateAnalyticsDeviceSelector();
+        mapManager.updateMarkers();
+        ui.closeModal('addDeviceModal');
+
+        utils.showToast('Device berhasil ditambahkan!', 'success');
+    },
+
+    // Update existing device
+    updateDevice: async () => {
+        const deviceId = document.getElementById('deviceId').value;
+        const deviceIndex = state.devices.findIndex(d => d.deviceId === deviceId);
+        
+        if (deviceIndex === -1) {
+            utils.showToast('Device tidak ditemukan', 'error');
+            return;
+        }
+
+        const oldDevice = state.devices[deviceIndex];
+
+        // Encrypt credentials before they are stored
+        let secrets;
+        try {
+            secrets = await deviceManager.readSecrets(oldDevice);
+        } catch (error) {
+            utils.showToast('Vault terkunci, device tidak disimpan', 'error');
+            return;
+        }
+
+        // Update device data
+        state.devices[deviceIndex] = {
+            ...oldDevice,
+            deviceName: document.getElementById('deviceName').value,
+            sensorType: document.getElementById('sensorType').value,
+            interval: parseInt(document.getElementById('updateInterval').value),
+            locationName: document.getElementById('locationName').value,
+            location: {
+                lat: state.selectedLocation.lat,
+                lng: state.selectedLocation.lng
+            },
+            wifi: document.getElementById('wifiSsid').value,
+            protocol: document.getElementById('protocol').value,
+            serverUrl: document.getElementById('serverUrl').value,
+            serverPort: parseInt(document.getElementById('serverPort').value),
+            mqttTopic: document.getElementById('mqttTopic').value,
+            mqttUsername: document.getElementById('mqttUsername').value,
+            endpoint: document.getElementById('endpoint').value,
+            ...secrets
+        };
+
+        // Save to storage
+        storage.saveDevices();
+
+        // Resubscribe to MQTT if topic changed
+        mqttManager.syncSubscriptions();
+
+        // Update UI
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        ui.populateAnalyticsDeviceSelector();
+        mapManager.updateMarkers();
+        ui.closeModal('addDeviceModal');
+        
+        state.editingDevice = null;
+
+        utils.showToast('Device berhasil diupdate!', 'success');
+    },
+
+    // Delete device
+    deleteDevice: (deviceId) => {
+        if (!confirm('Apakah Anda yakin ingin menghapus device ini?')) return;
+
+        state.devices = state.devices.filter(d => d.deviceId !== deviceId);
+        storage.saveDevices();
+        alertPublisher.clearState(deviceId);
+
+        // Unsubscribe from MQTT
+        mqttManager.syncSubscriptions();
+
+        ui.updateDashboard();
+        ui.updateDevicesTable();
+        ui.populateAnalyticsDeviceSelector();
+        mapManager.updateMarkers();
+
+        utils.showToast('Device berhasil dihapus', 'success');
+    },
+
+    // Generate NFC config
+    generateNfcConfig: async () => {
+        // The tag needs plaintext, so decrypt stored secrets left blank in the form
+        const secrets = {};
+        try {
+            for (const field of vaultManager.secretFields) {
+                const value = document.getElementById(field).value;
+                const stored = state.editingDevice ? state.editingDevice[field] : '';
+                secrets[field] = value === '' ? await vaultManager.reveal(stored) : value;
+            }
+        } catch (error) {
+            utils.showToast('Vault terkunci, config tidak dibuat', 'error');
+            return;
+        }
+
+        const config = {
+            nfcId: document.getElementById('deviceId').value,
+            deviceName: document.getElementById('deviceName').value,
+            wifi: document.getElementById('wifiSsid').value,
+            wifiPassword: secrets.wifiPassword,
+            serverUrl: document.getElementById('serverUrl').value,
+            serverPort: parseInt(document.getElementById('serverPort').value),
+            sensorType: document.getElementById('sensorType').value,
+            interval: parseInt(document.getElementById('updateInterval').value),
+            protocol: document.getElementById('protocol').value,
+            mqttTopic: document.getElementById('mqttTopic').value,
+            mqttUsername: document.getElementById('mqttUsername').value,
+            mqttPassword: secrets.mqttPassword,
+            apiKey: secrets.apiKey,
+            endpoint: document.getElementById('endpoint').value,
+            version: "1.0",
+            timestamp: new Date().toISOString()
+        };
+
+        const json = JSON.stringify(config, null, 2);
+        document.getElementById('nfcConfigJson').value = json;
+        ui.showModal('nfcConfigModal');
+    },
+
+    // Download NFC config
+    downloadNfcConfig: () => {
+        const json = document.getElementById('nfcConfigJson').value;
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `nfc-config-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        utils.showToast('Config berhasil didownload', 'success');
+    }
+};
+
+// ==================== DEVICE DISCOVERY ====================
+const discoveryManager = {
+    client: null, // Separate MQTT client used only while the dialog is open
+    generation: 0, // Bumped by stop() so a start still waiting on the vault gives up
+    found: new Map(), // Announcements by info topic
+
+    // Open the discovery dialog and start listening
+    open: () => {
+        document.getElementById('discoveryTopic').value = brokerManager.selected().discoveryTopic || CONFIG.mqtt.discoveryTopic;
+        ui.showModal('discoveryModal');
+        discoveryManager.start();
+    },
+
+    // Close the dialog and stop listening
+    close: () => {
+        discoveryManager.stop();
+        ui.closeModal('discoveryModal');
+    },
+
+    // Subscribe to the discovery wildcard with a temporary client
+    start: async () => {
+        discoveryManager.stop();
+        discoveryManager.found.clear();
+
+        const profile = brokerManager.selected();
+        const pattern = document.getElementById('discoveryTopic').value.trim() || CONFIG.mqtt.discoveryTopic;
+
+        // Remember the pattern for this broker
+        if (pattern !== profile.discoveryTopic) {
+            profile.discoveryTopic = pattern;
+            storage.saveBrokers();
+        }
+
+        discoveryManager.setStatus(`Mendengarkan ${pattern} di ${profile.name}...`);
+        discoveryManager.render();
+
+        const generation = discoveryManager.generation;
+        try {
+            const options = await brokerManager.connectOptions(profile);
+            // Closed or restarted while the vault prompt was open
+            if (generation !== discoveryManager.generation) return;
+
+            const client = mqtt.connect(brokerManager.url(profile), options);
+            discoveryManager.client = client;
+
+            client.on('connect', () => {
+                client.subscribe(pattern, (error) => {
+                    if (error) discoveryManager.setStatus(`Subscribe gagal: ${error.message}`);
+                });
+            });
+            client.on('message', (topic, message) => discoveryManager.handleInfo(topic, message.toString()));
+            client.on('error', (error) => discoveryManager.setStatus(`Koneksi gagal: ${error.message}`));
+        } catch (error) {
+            if (generation !== discoveryManager.generation) return;
+            discoveryManager.setStatus(`Koneksi gagal: ${error.message}`);
+        }
+    },
+
+    // Disconnect the temporary client
+    stop: () => {
+        discoveryManager.generation++;
+        if (discoveryManager.client) {
+            discoveryManager.client.end(true);
+            discoveryManager.client = null;
+        }
+    },
+
+    // Record an /info announcement ({ device, id, sensor, interval, ip })
+    handleInfo: (topic, payload) => {
+        let info;
+        try {
+            info = JSON.parse(payload);
+        } catch (error) {
+            return; // Not a device announcement
+        }
+        if (!info || typeof info !== 'object' || (!info.id && !info.device)) return;
+
+        discoveryManager.found.set(topic, {
+            topic,
+            baseTopic: topic.replace(/\/info$/, ''),
+            info,
+            seenAt: Date.now()
+        });
+        discoveryManager.render();
+    },
+
+    // Whether an announcement belongs to a device we already have
+    isKnown: (entry) => {
+        return state.devices.some(d =>
+            d.mqttTopic === entry.baseTopic || (entry.info.id && d.deviceId === String(entry.info.id))
+        );
+    },
+
+    setStatus: (text) => {
+        const status = document.getElementById('discoveryStatus');
+        if (status) status.textContent = text;
+    },
+
+    // Render announcements from unknown devices
+    render: () => {
+        const tbody = document.getElementById('discoveryTableBody');
+        if (!tbody) return;
+
+        const entries = Array.from(discoveryManager.found.values());
+        const unknown = entries.filter(entry => !discoveryManager.isKnown(entry));
+        const known = entries.length - unknown.length;
+
+        if (unknown.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" style="text-align: center; padding: 2rem; color: var(--text-light);">
+                        ${entries.length ? `Semua ${known} device yang ditemukan sudah terdaftar` : 'Belum ada device ditemukan'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        // Announcements come from anyone on the broker, so every field is escaped
+        const escape = utils.escapeHtml;
+        tbody.innerHTML = unknown.map(({ topic, baseTopic, info, seenAt }) => `
+            <tr>
+                <td>
+                    <strong>${escape(info.device || '--')}</strong><br>
+                    <small style="color: var(--text-light);">${escape(info.id || '--')}</small>
+                </td>
+                <td><code>${escape(baseTopic)}</code></td>
+                <td>${escape(info.sensor || '--')}</td>
+                <td>${discoveryManager.intervalSeconds(info) ? `${discoveryManager.intervalSeconds(info)}s` : '--'}</td>
+                <td>${escape(info.ip || '--')}</td>
+                <td>
+                    <button class="btn btn-sm btn-primary" data-adopt-topic="${escape(topic)}" title="Seen ${utils.formatAgo(seenAt)}">
+                        <i class="fas fa-plus"></i> Adopt
+                    </button>
+                </td>
+            </tr>
+        `).join('') + (known ? `
+            <tr>
+                <td colspan="6" style="color: var(--text-light); font-size: 0.85rem;">${known} device lain sudah terdaftar</td>
+            </tr>
+        ` : '');
+    },
+
+    // The firmware announces its interval in milliseconds
+    intervalSeconds: (info) => {
+        const interval = Number(info.interval);
+        return Number.isFinite(interval) && interval > 0 ? Math.round(interval / 1000) : null;
+    },
+
+    // Adopt buttons carry their topic in data-adopt-topic
+    handleTableClick: (e) => {
+        const button = e.target.closest('[data-adopt-topic]');
+        if (button) discoveryManager.adopt(button.dataset.adoptTopic);
+    },
+
+    // Open the Add Device form prefilled from an announcement
+    adopt: (topic) => {
+        const entry = discoveryManager.found.get(topic);
+        if (!entry) return;
+
+        const { info, baseTopic } = entry;
+        const sensorType = ['DHT22', 'DHT11', 'BME280'].find(type => (info.sensor || '').includes(type)) || 'DHT22';
+        const prefill = {
+            deviceName: info.device || '',
+            sensorType,
+            protocol: 'MQTT',
+            serverUrl: brokerManager.selected().host,
+            serverPort: 1883,
+            mqttTopic: baseTopic
+        };
+        if (info.id && !state.devices.some(d => d.deviceId === String(info.id))) {
+            prefill.deviceId = info.id;
+        }
+        if (discoveryManager.intervalSeconds(info)) {
+            prefill.updateInterval = discoveryManager.intervalSeconds(info);
+        }
+
+        discoveryManager.close();
+        state.editingDevice = null;
+        ui.openAddDeviceModal(prefill);
+        utils.showToast('Pilih lokasi device di peta, lalu simpan', 'info');
+    }
+};
+
+// ==================== CREDENTIAL VAULT ====================
+const vaultManager = {
+    key: null, // AES-GCM key, only held in memory while unlocked
+    secretFields: ['wifiPassword', 'mqttPassword', 'apiKey'],
+    pendingUnlock: null, // { promise, resolve, reject } shared by every caller waiting for the passphrase
+
+    // Vault metadata (salt, iterations, passphrase check) or null
+    meta: () => storage.read('vault'),
+
+    isEnabled: () => !!vaultManager.meta(),
+
+    isUnlocked: () => !!vaultManager.key,
+
+    // Encrypted values are stored as { iv, ct } objects
+    isEncrypted: (value) => !!value && typeof value === 'object' && 'iv' in value && 'ct' in value,
+
+    toBase64: (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer))),
+
+    fromBase64: (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0)),
+
+    // Derive the AES key from a passphrase
+    deriveKey: async (passphrase, salt, iterations) => {
+        const base = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            base,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    encrypt: async (plaintext, key = vaultManager.key) => {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+        return { iv: vaultManager.toBase64(iv), ct: vaultManager.toBase64(ct) };
+    },
+
+    decrypt: async (box, key = vaultManager.key) => {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: vaultManager.fromBase64(box.iv) },
+            key,
+            vaultManager.fromBase64(box.ct)
+        );
+        return new TextDecoder().decode(plain);
+    },
+
+    // Turn on the vault and encrypt every stored secret
+    enable: async (passphrase) => {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = CONFIG.vault.iterations;
+        const key = await vaultManager.deriveKey(passphrase, salt, iterations);
+
+        vaultManager.key = key;
+        for (const device of state.devices) {
+            Object.assign(device, await vaultManager.sealSecrets(device));
+        }
+        for (const profile of state.brokers.profiles) {
+            Object.assign(profile, await vaultManager.sealSecrets(profile, ['password']));
+        }
+        Object.assign(state.ingest, await vaultManager.sealSecrets(state.ingest, ['token']));
+
+        storage.write('vault', {
+            salt: vaultManager.toBase64(salt),
+            iterations,
+            check: await vaultManager.encrypt(CONFIG.vault.checkPhrase, key)
+        });
+        storage.saveDevices();
+        storage.saveBrokers();
+        storage.saveIngest();
+    },
+
+    // Unlock with a passphrase, throwing if it is wrong
+    unlock: async (passphrase) => {
+        const meta = vaultManager.meta();
+        const key = await vaultManager.deriveKey(passphrase, vaultManager.fromBase64(meta.salt), meta.iterations);
+        try {
+            if (await vaultManager.decrypt(meta.check, key) !== CONFIG.vault.checkPhrase) throw new Error();
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+        vaultManager.key = key;
+    },
+
+    lock: () => {
+        vaultManager.key = null;
+    },
+
+    // Decrypt every secret back to plaintext and remove the vault
+    disable: async () => {
+        await vaultManager.ensureUnlocked();
+        for (const device of state.devices) {
+            for (const field of vaultManager.secretFields) {
+                device[field] = await vaultManager.reveal(device[field]);
+            }
+        }
+        for (const profile of state.brokers.profiles) {
+            profile.password = await vaultManager.reveal(profile.password);
+        }
+        state.ingest.token = await vaultManager.reveal(state.ingest.token);
+        localStorage.removeItem(CONFIG.storage.vault);
+        vaultManager.key = null;
+        storage.saveDevices();
+        storage.saveBrokers();
+        storage.saveIngest();
+    },
+
+    // Encrypt plaintext secrets when the vault is enabled
+    sealSecrets: async (secrets, fields = vaultManager.secretFields) => {
+        const sealed = {};
+        for (const field of fields) {
+            const value = secrets[field];
+            const active = vaultManager.isEnabled() || vaultManager.isUnlocked();
+            if (!active || !value || vaultManager.isEncrypted(value)) {
+                sealed[field] = value || '';
+                continue;
+            }
+            await vaultManager.ensureUnlocked();
+            sealed[field] = await vaultManager.encrypt(value);
+        }
+        return sealed;
+    },
+
+    // Get the plaintext of a stored value, unlocking the vault if needed
+    reveal: async (value) => {
+        if (!vaultManager.isEncrypted(value)) return value || '';
+        await vaultManager.ensureUnlocked();
+        return vaultManager.decrypt(value);
+    },
+
+    // Resolve once unlocked, asking for the passphrase if needed
+    ensureUnlocked: () => {
+        if (vaultManager.key) return Promise.resolve();
+        if (vaultManager.pendingUnlock) return vaultManager.pendingUnlock.promise;
+
+        const pending = {};
+        pending.promise = new Promise((resolve, reject) => {
+            pending.resolve = resolve;
+            pending.reject = reject;
+        });
+        vaultManager.pendingUnlock = pending;
+        vaultManager.openModal('unlock');
+        return pending.promise;
+    },
+
+    // Show the passphrase modal for unlocking or enabling
+    openModal: (mode) => {
+        document.getElementById('vaultForm').reset();
+        document.getElementById('vaultForm').setAttribute('data-mode', mode);
+        document.getElementById('vaultModalTitle').textContent = mode === 'enable' ? 'Enable Vault' : 'Unlock Vault';
+        document.getElementById('vaultSubmitLabel').textContent = mode === 'enable' ? 'Enable' : 'Unlock';
+        document.getElementById('vaultConfirmGroup').style.display = mode === 'enable' ? 'block' : 'none';
+        ui.showModal('vaultModal');
+    },
+
+    // Handle passphrase modal submit
+    submitModal: async () => {
+        const mode = document.getElementById('vaultForm').getAttribute('data-mode');
+        const passphrase = document.getElementById('vaultPassphrase').value;
+
+        try {
+            if (mode === 'enable') {
+                if (passphrase.length < 8) {
+                    utils.showToast('Passphrase minimal 8 karakter', 'error');
+                    return;
+                }
+                if (passphrase !== document.getElementById('vaultPassphraseConfirm').value) {
+                    utils.showToast('Passphrase tidak sama', 'error');
+                    return;
+                }
+                await vaultManager.enable(passphrase);
+                ingestManager.loadSettings();
+                utils.showToast('Vault aktif, credentials terenkripsi', 'success');
+            } else {
+                await vaultManager.unlock(passphrase);
+                utils.showToast('Vault terbuka', 'success');
+            }
+        } catch (error) {
+            utils.showToast(error.message, 'error');
+            return;
+        }
+
+        ui.closeModal('vaultModal');
+        vaultManager.updateStatus();
+        if (vaultManager.pendingUnlock) {
+            vaultManager.pendingUnlock.resolve();
+            vaultManager.pendingUnlock = null;
+        }
+    },
+
+    // Close the passphrase modal without unlocking
+    cancelModal: () => {
+        ui.closeModal('vaultModal');
+        if (vaultManager.pendingUnlock) {
+            vaultManager.pendingUnlock.reject(new Error('Vault locked'));
+            vaultManager.pendingUnlock = null;
+        }
+    },
+
+    // Toggle a secret input between masked and revealed
+    toggleReveal: async (field) => {
+        const input = document.getElementById(field);
+        if (input.type === 'text') {
+            input.type = 'password';
+            return;
+        }
+
+        if (input.value === '' && state.editingDevice) {
+            try {
+                input.value = await vaultManager.reveal(state.editingDevice[field]);
+            } catch (error) {
+                return;
+            }
+        }
+        input.type = 'text';
+    },
+
+    // Show vault state and matching buttons in Settings
+    updateStatus: () => {
+        const status = document.getElementById('vaultStatus');
+        if (!status) return;
+
+        const enabled = vaultManager.isEnabled();
+        const unlocked = vaultManager.isUnlocked();
+        status.innerHTML = !enabled
+            ? '<i class="fas fa-unlock"></i> Vault tidak aktif, credentials disimpan sebagai teks biasa'
+            : unlocked
+                ? '<i class="fas fa-lock-open"></i> Vault aktif dan terbuka'
+                : '<i class="fas fa-lock"></i> Vault aktif dan terkunci';
+
+        document.getElementById('vaultEnableBtn').style.display = enabled ? 'none' : '';
+        document.getElementById('vaultUnlockBtn').style.display = enabled && !unlocked ? '' : 'none';
+        document.getElementById('vaultLockBtn').style.display = enabled && unlocked ? '' : 'none';
+        document.getElementById('vaultDisableBtn').style.display = enabled ? '' : 'none';
+    }
+};
+
+// ==================== BROKER PROFILES ====================
+const brokerManager = {
+    editingId: null, // Profile being edited in the modal, null when adding
+
+    // Profile for the built-in default broker
+    defaultProfile: () => ({
+        id: 'default',
+        name: 'HiveMQ Public',
+        host: CONFIG.mqtt.broker,
+        port: CONFIG.mqtt.port,
+        protocol: CONFIG.mqtt.protocol,
+        path: CONFIG.mqtt.path,
+        username: CONFIG.mqtt.username,
+        password: CONFIG.mqtt.password,
+        clientIdPrefix: CONFIG.mqtt.clientIdPrefix,
+        keepalive: CONFIG.mqtt.keepalive,
+        backoffInitial: CONFIG.mqtt.backoffInitial,
+        backoffMax: CONFIG.mqtt.backoffMax,
+        discoveryTopic: CONFIG.mqtt.discoveryTopic
+    }),
+
+    // Currently selected profile
+    selected: () => {
+        const { selectedId, profiles } = state.brokers;
+        return profiles.find(p => p.id === selectedId) || profiles[0];
+    },
+
+    // WebSocket URL of a profile
+    url: (profile) => {
+        const path = profile.path ? (profile.path.startsWith('/') ? profile.path : `/${profile.path}`) : '';
+        return `${profile.protocol}://${profile.host}:${profile.port}${path}`;
+    },
+
+    // mqtt.js options for a profile, decrypting the password if needed.
+    // Reconnects are scheduled by mqttManager with backoff, not by mqtt.js.
+    connectOptions: async (profile) => ({
+        clientId: (profile.clientIdPrefix || '') + Math.random().toString(16).substr(2, 8),
+        clean: true,
+        keepalive: profile.keepalive,
+        reconnectPeriod: 0,
+        resubscribe: false,
+        username: profile.username || undefined,
+        password: (await vaultManager.reveal(profile.password)) || undefined
+    }),
+
+    // Render the profile list in Settings
+    renderList: () => {
+        const tbody = document.getElementById('brokerTableBody');
+        if (!tbody || !state.brokers) return;
+
+        // Profiles can come from a restored backup, so their fields are escaped
+        const escape = utils.escapeHtml;
+        const selected = brokerManager.selected();
+        tbody.innerHTML = state.brokers.profiles.map(profile => `
+            <tr>
+                <td>
+                    <strong>${escape(profile.name)}</strong>
+                    ${profile.id === selected.id ? '<span class="device-status status-online">Active</span>' : ''}
+                </td>
+                <td><code>${escape(brokerManager.url(profile))}</code></td>
+                <td>${escape(profile.username || '--')}</td>
+                <td>
+                    <div class="action-buttons">
+                        ${profile.id !== selected.id ? `
+                            <button class="action-btn action-btn-view" data-broker-action="select" data-profile-id="${escape(profile.id)}" title="Use">
+                                <i class="fas fa-plug"></i>
+                            </button>` : ''}
+                        <button class="action-btn action-btn-view" data-broker-action="testProfile" data-profile-id="${escape(profile.id)}" title="Test Connection">
+                            <i class="fas fa-stethoscope"></i>
+                        </button>
+                        <button class="action-btn action-btn-edit" data-broker-action="openModal" data-profile-id="${escape(profile.id)}" title="Edit">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="action-btn action-btn-delete" data-broker-action="remove" data-profile-id="${escape(profile.id)}" title="Delete">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    // Row buttons carry their action in data-broker-action and the profile in data-profile-id
+    handleTableClick: (e) => {
+        const button = e.target.closest('[data-broker-action]');
+        if (button) brokerManager[button.dataset.brokerAction](button.dataset.profileId);
+    },
+
+    // Open the profile form for adding (no id) or editing
+    openModal: (profileId = null) => {
+        const profile = state.brokers.profiles.find(p => p.id === profileId);
+        const values = profile || { ...brokerManager.defaultProfile(), name: '', host: '' };
+        brokerManager.editingId = profile ? profile.id : null;
+
+        document.getElementById('brokerModalTitle').textContent = profile ? 'Edit Broker' : 'Add Broker';
+        document.getElementById('brokerName').value = values.name;
+        document.getElementById('brokerHost').value = values.host;
+        document.getElementById('brokerPort').value = values.port;
+        document.getElementById('brokerProtocol').value = values.protocol;
+        document.getElementById('brokerPath').value = values.path || '';
+        document.getElementById('brokerUsername').value = values.username || '';
+        document.getElementById('brokerClientIdPrefix').value = values.clientIdPrefix || '';
+        document.getElementById('brokerKeepalive').value = values.keepalive;
+        document.getElementById('brokerBackoffInitial').value = values.backoffInitial;
+        document.getElementById('brokerBackoffMax').value = values.backoffMax;
+        document.getElementById('brokerDiscoveryTopic').value = values.discoveryTopic || '';
+
+        const password = document.getElementById('brokerPassword');
+        password.value = vaultManager.isEncrypted(values.password) ? '' : (values.password || '');
+        password.placeholder = vaultManager.isEncrypted(values.password) ? '•••••••• (encrypted, leave blank to keep)' : '';
+
+        document.getElementById('brokerTestResult').textContent = '';
+        ui.showModal('brokerModal');
+    },
+
+    // Read the profile form, keeping an encrypted password left blank
+    readForm: () => {
+        const existing = state.brokers.profiles.find(p => p.id === brokerManager.editingId);
+        const password = document.getElementById('brokerPassword').value;
+        return {
+            id: existing ? existing.id : utils.generateId(),
+            name: document.getElementById('brokerName').value.trim(),
+            host: document.getElementById('brokerHost').value.trim(),
+            port: parseInt(document.getElementById('brokerPort').value) || 8884,
+            protocol: document.getElementById('brokerProtocol').value,
+            path: document.getElementById('brokerPath').value.trim(),
+            username: document.getElementById('brokerUsername').value.trim(),
+            password: password || (existing && vaultManager.isEncrypted(existing.password) ? existing.password : ''),
+            clientIdPrefix: document.getElementById('brokerClientIdPrefix').value.trim(),
+            keepalive: parseInt(document.getElementById('brokerKeepalive').value) || CONFIG.mqtt.keepalive,
+            backoffInitial: parseFloat(document.getElementById('brokerBackoffInitial').value) || CONFIG.mqtt.backoffInitial,
+            backoffMax: parseFloat(document.getElementById('brokerBackoffMax').value) || CONFIG.mqtt.backoffMax,
+            discoveryTopic: document.getElementById('brokerDiscoveryTopic').value.trim() || CONFIG.mqtt.discoveryTopic
+        };
+    },
+
+    // Save the profile form
+    save: async () => {
+        const profile = brokerManager.readForm();
+        if (!profile.name || !profile.host) {
+            utils.showToast('Nama dan host broker wajib diisi', 'error');
+            return;
+        }
+
+        try {
+            Object.assign(profile, await vaultManager.sealSecrets(profile, ['password']));
+        } catch (error) {
+            utils.showToast('Vault terkunci, profil tidak disimpan', 'error');
+            return;
+        }
+
+        const wasSelected = brokerManager.selected().id === profile.id;
+        const index = state.brokers.profiles.findIndex(p => p.id === profile.id);
+        if (index === -1) {
+            state.brokers.profiles.push(profile);
+        } else {
+            state.brokers.profiles[index] = profile;
+        }
+        storage.saveBrokers();
+        brokerManager.renderList();
+        ui.closeModal('brokerModal');
+
+        if (wasSelected) mqttManager.reconnect();
+        utils.showToast('Profil broker disimpan', 'success');
+    },
+
+    // Delete a profile (the last one cannot be removed)
+    remove: (profileId) => {
+        if (state.brokers.profiles.length === 1) {
+            utils.showToast('Minimal satu profil broker diperlukan', 'warning');
+            return;
+        }
+        const profile = state.brokers.profiles.find(p => p.id === profileId);
+        if (!profile || !confirm(`Hapus profil broker "${profile.name}"?`)) return;
+
+        const wasSelected = brokerManager.selected().id === profileId;
+        state.brokers.profiles = state.brokers.profiles.filter(p => p.id !== profileId);
+        if (wasSelected) state.brokers.selectedId = state.brokers.profiles[0].id;
+        storage.saveBrokers();
+        brokerManager.renderList();
+
+        if (wasSelected) mqttManager.reconnect();
+    },
+
+    // Switch the dashboard to another profile
+    select: (profileId) => {
+        state.brokers.selectedId = profileId;
+        storage.saveBrokers();
+        brokerManager.renderList();
+        mqttManager.reconnect();
+        utils.showToast(`Menggunakan broker ${brokerManager.selected().name}`, 'success');
+    },
+
+    // Try connecting with a profile, resolving on CONNACK and rejecting on error or timeout
+    test: async (profile) => {
+        const options = await brokerManager.connectOptions(profile);
+        return new Promise((resolve, reject) => {
+            const started = Date.now();
+            const client = mqtt.connect(brokerManager.url(profile), options);
+            const finish = (error) => {
+                clearTimeout(timer);
+                client.end(true);
+                if (error) reject(error);
+                else resolve(Date.now() - started);
+            };
+            const timer = setTimeout(() => finish(new Error('Timeout')), CONFIG.mqtt.testTimeout);
+            client.on('connect', () => finish());
+            client.on('error', (error) => finish(error));
+        });
+    },
+
+    // Test the values currently in the profile form
+    testForm: async () => {
+        const result = document.getElementById('brokerTestResult');
+        result.textContent = 'Menghubungkan...';
+        try {
+            const ms = await brokerManager.test(brokerManager.readForm());
+            result.textContent = `✓ Terhubung (${ms} ms)`;
+        } catch (error) {
+            result.textContent = `✗ Gagal: ${error.message}`;
+        }
+    },
+
+    // Test a saved profile from the list
+    testProfile: async (profileId) => {
+        const profile = state.brokers.profiles.find(p => p.id === profileId);
+        if (!profile) return;
+        utils.showToast(`Menguji ${profile.name}...`, 'info');
+        try {
+            const ms = await brokerManager.test(profile);
+            utils.showToast(`${profile.name}: terhubung (${ms} ms)`, 'success');
+        } catch (error) {
+            utils.showToast(`${profile.name}: gagal (${error.message})`, 'error');
+        }
+    }
+};
+
+// ==================== SETTINGS MANAGEMENT ====================
+const settingsManager = {
+    // Load settings into form
+    loadSettings: () => {
+        const settings = storage.loadSettings();
+        
+        // Populate form fields
+        document.getElementById('aqiWarning').value = settings.aqi.warning;
+        document.getElementById('aqiDanger').value = settings.aqi.danger;
+        document.getElementById('tempWarning').value = settings.temp.warning;
+        document.getElementById('tempDanger').value = settings.temp.danger;
+        document.getElementById('humidityWarning').value = settings.humidity.warning;
+        document.getElementById('humidityDanger').value = settings.humidity.danger;
+        document.getElementById('mq135Warning').value = settings.mq135.warning;
+        document.getElementById('mq135Danger').value = settings.mq135.danger;
+        document.getElementById('mq7Warning').value = settings.mq7.warning;
+        document.getElementById('mq7Danger').value = settings.mq7.danger;
+        document.getElementById('mq9Warning').value = settings.mq9.warning;
+        document.getElementById('mq9Danger').value = settings.mq9.danger;
+    },
+
+    // Save settings from form
+    saveSettings: () => {
+        const settings = {
+            aqi: {
+                warning: parseInt(document.getElementById('aqiWarning').value),
+                danger: parseInt(document.getElementById('aqiDanger').value)
+            },
+            temp: {
+                warning: parseInt(document.getElementById('tempWarning').value),
+                danger: parseInt(document.getElementById('tempDanger').value)
+            },
+            humidity: {
+                warning: parseInt(document.getElementById('humidityWarning').value),
+                danger: parseInt(document.getElementById('humidityDanger').value)
+            },
+            mq135: {
+                warning: parseInt(document.getElementById('mq135Warning').value),
+                danger: parseInt(document.getElementById('mq135Danger').value)
+            },
+            mq7: {
+                warning: parseInt(document.getElementById('mq7Warning').value),
+                danger: parseInt(document.getElementById('mq7Danger').value)
+            },
+            mq9: {
+                warning: parseInt(document.getElementById('mq9Warning').value),
+                danger: parseInt(document.getElementById('mq9Danger').value)
+            }
+        };
+
+        // Validate
+        const isValid = Object.values(settings).every(sensor => 
+            sensor.warning < sensor.danger
+        );
+
+        if (!isValid) {
+            utils.showToast('Warning threshold harus lebih kecil dari danger threshold', 'error');
+            return;
+        }
+
+        // Save to storage
+        storage.saveSettings(settings);
+        state.thresholds = settings;
+
+        utils.showToast('Settings berhasil disimpan!', 'success');
+    }
+};
+
+// ==================== RETENTION MANAGEMENT ====================
+const retentionManager = {
+    usage: {},
+    timer: null,
+    historyReady: false, // Set once the history store is open
+
+    // Load retention policy into form
+    loadSettings: () => {
+        const retention = storage.loadRetention();
+
+        document.getElementById('retentionRawDays').value = retention.rawDays;
+        document.getElementById('retentionMinuteDays').value = retention.minuteDays;
+        document.getElementById('retentionHourDays').value = retention.hourDays;
+        document.getElementById('retentionDayDays').value = retention.dayDays;
+        document.getElementById('retentionAlertsDays').value = retention.alertsDays;
+        document.getElementById('retentionLivePoints').value = retention.livePoints;
+
+        retentionManager.renderDeviceTable();
+    },
+
+    // Save retention policy from form
+    saveSettings: () => {
+        const readDays = (id) => parseInt(document.getElementById(id).value);
+
+        const retention = {
+            rawDays: readDays('retentionRawDays'),
+            minuteDays: readDays('retentionMinuteDays'),
+            hourDays: readDays('retentionHourDays'),
+            dayDays: readDays('retentionDayDays'),
+            alertsDays: readDays('retentionAlertsDays'),
+            livePoints: readDays('retentionLivePoints'),
+            devices: {}
+        };
+
+        // Collect per-device overrides, blank means use the default
+        document.querySelectorAll('#retentionDeviceTableBody input[data-device]').forEach(input => {
+            if (input.value === '') return;
+            const deviceId = input.getAttribute('data-device');
+            const field = input.getAttribute('data-field');
+            retention.devices[deviceId] = retention.devices[deviceId] || {};
+            retention.devices[deviceId][field] = parseInt(input.value);
+        });
+
+        const values = [retention.rawDays, retention.minuteDays, retention.hourDays, retention.dayDays, retention.alertsDays]
+            .concat(...Object.values(retention.devices).map(o => Object.values(o)));
+        if (values.some(v => isNaN(v) || v < 0) || !(retention.livePoints > 0)) {
+            utils.showToast('Nilai retensi tidak valid', 'error');
+            return;
+        }
+
+        storage.saveRetention(retention);
+        state.retention = retention;
+
+        utils.showToast('Retention berhasil disimpan!', 'success');
+        retentionManager.prune();
+    },
+
+    // Get the oldest timestamp to keep for a data kind and device
+    cutoffFor: (kind, deviceId) => {
+        const retention = state.retention || CONFIG.defaultRetention;
+        const override = (retention.devices || {})[deviceId] || {};
+        const key = `${kind}Days`;
+        const days = override[key] !== undefined ? override[key] : retention[key];
+        if (!days) return -Infinity;
+        return Date.now() - days * 86400000;
+    },
+
+    // Enforce the policy on stored history and alerts
+    prune: async () => {
+        try {
+            const result = await historyStore.prune(retentionManager.cutoffFor);
+            retentionManager.usage = result.usage;
+
+            // Unresolved alerts stay until they are resolved
+            const expired = (a) => a.status === 'resolved' && a.timestamp < retentionManager.cutoffFor('alerts', a.deviceId);
+            const pruned = new Set(state.alerts.filter(expired).map(a => a.deviceId));
+            state.alerts = state.alerts.filter(a => !expired(a));
+            // Pruned open alerts would otherwise stay in the retained state
+            pruned.forEach(deviceId => {
+                if (state.alerts.some(a => a.deviceId === deviceId && a.status !== 'resolved')) {
+                    if (state.alertPublish?.retainState) alertPublisher.publishState(deviceId);
+                } else {
+                    alertPublisher.clearState(deviceId);
+                }
+            });
+            notificationManager.updateBadge();
+            alertsPage.render();
+
+            console.log('Retention prune removed', result.deleted, 'records');
+            retentionManager.renderDeviceTable();
+            return result;
+        } catch (error) {
+            console.error('Retention prune failed:', error);
+        }
+    },
+
+    // Run pruning now and then periodically in the background. Called once the
+    // history store is open; only the leader tab prunes, so others wait for election
+    startScheduler: () => {
+        retentionManager.historyReady = true;
+        if (!tabManager.isLeader) return;
+        if (retentionManager.timer) clearInterval(retentionManager.timer);
+        retentionManager.prune();
+        retentionManager.timer = setInterval(retentionManager.prune, CONFIG.retentionPruneInterval);
+    },
+
+    // Render per-device overrides with storage usage
+    renderDeviceTable: async () => {
+        const tbody = document.getElementById('retentionDeviceTableBody');
+        if (!tbody) return;
+
+        const retention = state.retention || CONFIG.defaultRetention;
+        const usage = retentionManager.usage;
+
+        // Include devices that were deleted but still have stored history
+        const ids = state.devices.map(d => d.deviceId);
+        Object.keys(usage).forEach(id => {
+            if (!ids.includes(id)) ids.push(id);
+        });
+
+        if (ids.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" style="text-align: center; padding: 2rem; color: var(--text-light);">
+                        Belum ada device.
+                    </td>
+                </tr>
+            `;
+        } else {
+            tbody.innerHTML = ids.map(id => {
+                const device = state.devices.find(d => d.deviceId === id);
+                const override = (retention.devices || {})[id] || {};
+                const used = usage[id] || { readings: 0, rollups: 0, bytes: 0 };
+
+                return `
+                    <tr>
+                        <td><strong>${device ? device.deviceName : id}</strong>${device ? '' : ' <em>(deleted)</em>'}</td>
+                        <td><input type="number" class="form-input" min="0" style="width: 6rem;"
+                                   data-device="${id}" data-field="rawDays"
+                                   placeholder="${retention.rawDays}" value="${override.rawDays ?? ''}"></td>
+                        <td><input type="number" class="form-input" min="0" style="width: 6rem;"
+                                   data-device="${id}" data-field="hourDays"
+                                   placeholder="${retention.hourDays}" value="${override.hourDays ?? ''}"></td>
+                        <td><input type="number" class="form-input" min="0" style="width: 6rem;"
+                                   data-device="${id}" data-field="alertsDays"
+                                   placeholder="${retention.alertsDays}" value="${override.alertsDays ?? ''}"></td>
+                        <td>${used.readings.toLocaleString()}</td>
+                        <td>${used.rollups.toLocaleString()}</td>
+                        <td>${utils.formatBytes(used.bytes)}</td>
+                    </tr>
+                `;
+            }).join('');
+        }
+
+        // Show total browser storage use when the browser reports it
+        const summary = document.getElementById('retentionSummary');
+        if (summary && navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            summary.textContent = `Browser storage: ${utils.formatBytes(estimate.usage)} of ${utils.formatBytes(estimate.quota)} used`;
+        }
+    }
+};
+
+// ==================== BACKUP MANAGEMENT ====================
+const backupManager = {
+    pending: null, // Validated archive waiting for confirmation
+
+    // Download a versioned archive of the whole workspace
+    createBackup: async () => {
+        try {
+            const history = await historyStore.exportAll();
+            const archive = {
+                format: CONFIG.backup.format,
+                version: CONFIG.backup.version,
+                createdAt: new Date().toISOString(),
+                schemaVersions: {
+                    devices: schemaManager.latestVersion('devices'),
+                    settings: schemaManager.latestVersion('settings'),
+                    retention: schemaManager.latestVersion('retention'),
+                    alertPublish: schemaManager.latestVersion('alertPublish'),
+                    ingest: schemaManager.latestVersion('ingest'),
+                    brokers: schemaManager.latestVersion('brokers'),
+                    decoders: schemaManager.latestVersion('decoders')
+                },
+                devices: state.devices,
+                thresholds: state.thresholds,
+                retention: state.retention,
+                alertPublish: state.alertPublish,
+                ingest: state.ingest,
+                brokers: state.brokers,
+                decoders: state.decoders,
+                vault: vaultManager.meta(),
+                alerts: state.alerts,
+                history
+            };
+
+            const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `econfc-backup-${new Date().toISOString().split('T')[0]}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            utils.showToast('Backup berhasil dibuat', 'success');
+        } catch (error) {
+            console.error('Backup failed:', error);
+            utils.showToast('Backup gagal', 'error');
+        }
+    },
+
+    // Check an archive's shape, returning a list of problems
+    validate: (archive) => {
+        const errors = [];
+        if (!archive || archive.format !== CONFIG.backup.format) {
+            errors.push('Not an EcoNFC backup file');
+            return errors;
+        }
+        if (typeof archive.version !== 'number' || archive.version > CONFIG.backup.version) {
+            errors.push(`Unsupported backup version: ${archive.version}`);
+        }
+        if (!Array.isArray(archive.devices) || archive.devices.some(d => !d || typeof d.deviceId !== 'string' || !d.deviceId)) {
+            errors.push('Device list is missing or invalid');
+        }
+        if (archive.alerts !== undefined && !Array.isArray(archive.alerts)) {
+            errors.push('Alert list is invalid');
+        }
+
+        const history = archive.history || {};
+        if (!Array.isArray(history.readings || []) || !Array.isArray(history.rollups || [])) {
+            errors.push('Sensor history is invalid');
+        } else if ((history.readings || []).some(r => typeof r.timestamp !== 'number' || !r.deviceId)) {
+            errors.push('Sensor history contains readings without device or timestamp');
+        }
+        return errors;
+    },
+
+    // Read and validate a selected file, then ask how to restore it
+    openRestore: (file) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let archive;
+            try {
+                archive = JSON.parse(reader.result);
+            } catch (error) {
+                utils.showToast('File backup tidak valid (bukan JSON)', 'error');
+                return;
+            }
+
+            const errors = backupManager.validate(archive);
+            if (errors.length > 0) {
+                utils.showToast(errors.join('; '), 'error');
+                return;
+            }
+
+            backupManager.pending = archive;
+            backupManager.renderRestoreSummary();
+            ui.showModal('restoreModal');
+        };
+        reader.readAsText(file);
+    },
+
+    // Show what the pending archive contains and which devices conflict
+    renderRestoreSummary: () => {
+        const archive = backupManager.pending;
+        const history = archive.history || {};
+
+        document.getElementById('restoreSummary').innerHTML = `
+            <div class="info-item"><span>Created:</span><strong>${utils.formatDate(archive.createdAt)}</strong></div>
+            <div class="info-item"><span>Devices:</span><strong>${archive.devices.length}</strong></div>
+            <div class="info-item"><span>Readings:</span><strong>${(history.readings || []).length.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Rollups:</span><strong>${(history.rollups || []).length.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Alerts:</span><strong>${(archive.alerts || []).length}</strong></div>
+        `;
+
+        const conflicts = archive.devices.filter(d => state.devices.some(e => e.deviceId === d.deviceId));
+        document.getElementById('restoreConflicts').textContent = conflicts.length > 0
+            ? `Device ID yang sudah ada: ${conflicts.map(d => d.deviceId).join(', ')}`
+            : 'Tidak ada konflik device ID.';
+    },
+
+    // Pick a device ID not used by existing or incoming devices
+    uniqueId: (deviceId, taken) => {
+        let n = 2;
+        while (taken.has(`${deviceId}-${n}`)) n++;
+        return `${deviceId}-${n}`;
+    },
+
+    // Apply the pending archive in merge or replace mode
+    restore: async (mode, conflict) => {
+        const archive = backupManager.pending;
+        if (!archive) return;
+
+        const history = archive.history || {};
+        let readings = history.readings || [];
+        let rollups = history.rollups || [];
+        let alerts = (archive.alerts || []).map(alertManager.normalize);
+
+        // Bring data from older app versions up to the current schema
+        const versions = archive.schemaVersions || {};
+        let devices = schemaManager.migrateData('devices', archive.devices, versions.devices || 0);
+        const thresholds = archive.thresholds
+            ? schemaManager.migrateData('settings', archive.thresholds, versions.settings || 0)
+            : null;
+        const retention = archive.retention
+            ? schemaManager.migrateData('retention', archive.retention, versions.retention || 0)
+            : null;
+        const alertPublish = archive.alertPublish
+            ? schemaManager.migrateData('alertPublish', archive.alertPublish, versions.alertPublish || 0)
+            : null;
+        const ingest = archive.ingest
+            ? schemaManager.migrateData('ingest', archive.ingest, versions.ingest || 0)
+            : null;
+        let brokers = archive.brokers
+            ? schemaManager.migrateData('brokers', archive.brokers, versions.brokers || 0)
+            : null;
+        const decoders = archive.decoders
+            ? schemaManager.migrateData('decoders', archive.decoders, versions.decoders || 0)
+            : null;
+
+        try {
+            let imported;
+            // Merge changes are staged here and applied once the history import succeeded
+            let keptDevices = state.devices;
+            let profiles = state.brokers.profiles;
+            let mergedDecoders = state.decoders;
+            if (mode === 'replace') {
+                // Swap the history first; nothing else changes unless it succeeds
+                imported = await historyStore.replaceHistory({ readings, rollups, alerts });
+                state.devices = [];
+                state.alerts = [];
+                if (thresholds) {
+                    state.thresholds = thresholds;
+                    storage.saveSettings(thresholds);
+                }
+                if (retention) {
+                    state.retention = { ...CONFIG.defaultRetention, ...retention };
+                    storage.saveRetention(state.retention);
+                }
+                if (alertPublish) {
+                    state.alertPublish = { ...CONFIG.defaultAlertPublish, ...alertPublish };
+                    storage.saveAlertPublish(state.alertPublish);
+                }
+                if (brokers) {
+                    state.brokers = brokers;
+                }
+                state.decoders = decoders || [];
+
+                // Encrypted secrets in the archive need its vault metadata
+                const previousSalt = vaultManager.meta()?.salt;
+                vaultManager.lock();
+                if (archive.vault) {
+                    storage.write('vault', archive.vault);
+                } else {
+                    localStorage.removeItem(CONFIG.storage.vault);
+                }
+
+                // A token sealed by the replaced vault can no longer be opened
+                if (ingest) {
+                    state.ingest = { ...CONFIG.defaultIngest, ...ingest };
+                } else if (vaultManager.isEncrypted(state.ingest.token) && archive.vault?.salt !== previousSalt) {
+                    state.ingest = { ...state.ingest, token: '' };
+                }
+                storage.saveIngest();
+            } else {
+                // Resolve device ID conflicts against the current devices
+                const taken = new Set(state.devices.map(d => d.deviceId).concat(devices.map(d => d.deviceId)));
+                const renamed = {};
+                const skipped = new Set();
+
+                devices = devices.filter(device => {
+                    if (!state.devices.some(d => d.deviceId === device.deviceId)) return true;
+                    if (conflict === 'keep') {
+                        skipped.add(device.deviceId);
+                        return false;
+                    }
+                    if (conflict === 'overwrite') {
+                        keptDevices = keptDevices.filter(d => d.deviceId !== device.deviceId);
+                    }
+                    if (conflict === 'rename') {
+                        const newId = backupManager.uniqueId(device.deviceId, taken);
+                        taken.add(newId);
+                        renamed[device.deviceId] = newId;
+                    }
+                    return true;
+                });
+
+                const remap = (item) => renamed[item.deviceId] ? { ...item, deviceId: renamed[item.deviceId] } : item;
+                devices = devices.map(remap);
+
+                // Secrets encrypted by another vault cannot be read here, so drop them
+                const localVault = vaultManager.meta();
+                if (archive.vault && (!localVault || localVault.salt !== archive.vault.salt)) {
+                    devices = devices.map(device => {
+                        const cleaned = { ...device };
+                        vaultManager.secretFields.forEach(field => {
+                            if (vaultManager.isEncrypted(cleaned[field])) cleaned[field] = '';
+                        });
+                        return cleaned;
+                    });
+                    if (brokers) {
+                        brokers.profiles = brokers.profiles.map(profile => (
+                            vaultManager.isEncrypted(profile.password) ? { ...profile, password: '' } : profile
+                        ));
+                    }
+                    utils.showToast('Credentials terenkripsi dari backup tidak dapat dipulihkan', 'warning');
+                }
+                // Plaintext secrets from the archive are encrypted like newly entered ones
+                if (vaultManager.isEnabled()) {
+                    for (const device of devices) {
+                        Object.assign(device, await vaultManager.sealSecrets(device));
+                    }
+                    if (brokers) {
+                        for (const profile of brokers.profiles) {
+                            Object.assign(profile, await vaultManager.sealSecrets(profile, ['password']));
+                        }
+                    }
+                }
+                // Add broker profiles not present here, keeping the selected one
+                if (brokers) {
+                    const profileIds = new Set(profiles.map(p => p.id));
+                    profiles = profiles.concat(brokers.profiles.filter(p => !profileIds.has(p.id)));
+                }
+                // Add decoders for sensor types not decoded here yet
+                if (decoders) {
+                    const sensorTypes = new Set(mergedDecoders.map(d => d.sensorType));
+                    mergedDecoders = mergedDecoders.concat(decoders.filter(d => !sensorTypes.has(d.sensorType)));
+                }
+
+                readings = readings.filter(r => !skipped.has(r.deviceId)).map(remap);
+                rollups = rollups.filter(r => !skipped.has(r.deviceId)).map(remap);
+                alerts = alerts.filter(a => !skipped.has(a.deviceId)).map(remap);
+            }
+
+            let newAlerts = alerts;
+            if (mode !== 'replace') {
+                imported = await historyStore.importHistory({ readings, rollups });
+                const alertIds = new Set(state.alerts.map(a => a.id));
+                newAlerts = alerts.filter(a => !alertIds.has(a.id));
+                await historyStore.putAlerts(newAlerts);
+
+                state.devices = keptDevices;
+                state.brokers.profiles = profiles;
+                state.decoders = mergedDecoders;
+            }
+
+            state.devices = state.devices.concat(devices);
+            state.alerts = state.alerts.concat(newAlerts);
+
+            // Resubscribe so restored devices receive live data
+            mqttManager.syncSubscriptions();
+            storage.saveDevices();
+            storage.saveBrokers();
+            storage.saveDecoders();
+
+            backupManager.pending = null;
+            ui.closeModal('restoreModal');
+            settingsManager.loadSettings();
+            retentionManager.loadSettings();
+            alertPublisher.loadSettings();
+            ingestManager.loadSettings();
+            vaultManager.updateStatus();
+            brokerManager.renderList();
+            decoderManager.renderList();
+            decoderManager.populateSensorTypes();
+            mqttManager.reconnect();
+            if (tabManager.isLeader) ingestManager.reconnect();
+            notificationManager.updateBadge();
+            alertsPage.render();
+            ui.updateDashboard();
+            ui.updateDevicesTable();
+            ui.populateAnalyticsDeviceSelector();
+            mapManager.updateMarkers();
+
+            utils.showToast(`Restore selesai: ${devices.length} device, ${imported.readings} readings`, 'success');
+        } catch (error) {
+            console.error('Restore failed:', error);
+            utils.showToast('Restore gagal', 'error');
         }
     }
 };
 
-// ==================== MAP MANAGEMENT ====================
-const mapManager = {
-    // Initialize main map
-    initMainMap: () => {
-        if (state.maps.main) return;
+// ==================== CSV IMPORT ====================
+const importManager = {
+    // Parsed file waiting for confirmation: { fileName, headers, rows, mapping }
+    pending: null,
+
+    // Import targets and the column headers recognised for each. The first
+    // aliases match the exporter's columns, the rest the firmware JSON fields.
+    fields: [
+        { key: 'timestamp', label: 'Timestamp', aliases: ['timestamp', 'time', 'date', 'waktu'] },
+        { key: 'deviceName', label: 'Device Name', aliases: ['device name', 'devicename', 'device'] },
+        { key: 'deviceId', label: 'Device ID', aliases: ['device id', 'deviceid', 'id'] },
+        { key: 'location', label: 'Location', aliases: ['location', 'lokasi'] },
+        { key: 'aqi', label: 'AQI', aliases: ['aqi'] },
+        { key: 'temp', label: 'Temperature', aliases: ['temperature (°c)', 'temperature', 'temp', 'suhu'] },
+        { key: 'humidity', label: 'Humidity', aliases: ['humidity (%)', 'humidity', 'kelembaban'] },
+        { key: 'mq135', label: 'MQ135', aliases: ['mq135 (ppm)', 'mq135', 'ppm_mq135'] },
+        { key: 'mq7', label: 'MQ7', aliases: ['mq7 (ppm)', 'mq7', 'ppm_mq7'] },
+        { key: 'mq9', label: 'MQ9', aliases: ['mq9 (ppm)', 'mq9', 'ppm_mq9'] }
+    ],
+
+    // Metric fields stored on each reading
+    metrics: ['aqi', 'temp', 'humidity', 'mq135', 'mq7', 'mq9'],
+
+    // Readings within this many ms of a stored one are duplicates (the
+    // exporter writes timestamps with second precision)
+    duplicateTolerance: 999,
+
+    // Number of rows shown in the preview
+    previewRows: 10,
+
+    // Split CSV text into rows of fields (RFC 4180 quoting, comma or semicolon)
+    parseCsv: (text) => {
+        text = text.replace(/^\uFEFF/, '');
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
 
-        const mapElement = document.getElementById('map');
-        if (!mapElement) return;
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    },
 
-        state.maps.main = L.map('map').setView(CONFIG.map.defaultCenter, CONFIG.map.defaultZoom);
-        
-        L.tileLayer(CONFIG.map.tileLayer, {
-            attribution: CONFIG.map.attribution
-        }).addTo(state.maps.main);
+    // Guess the target field for each column header
+    guessMapping: (headers) => {
+        const used = new Set();
+        return headers.map(header => {
+            const name = header.trim().toLowerCase();
+            const field = importManager.fields.find(f => !used.has(f.key) && f.aliases.includes(name));
+            if (!field) return '';
+            used.add(field.key);
+            return field.key;
+        });
+    },
 
-        mapManager.updateMarkers();
+    // Day/month order used by this browser's toLocaleString()
+    localeDateOrder: () => {
+        return new Date(2000, 11, 31).toLocaleDateString().startsWith('31') ? 'dmy' : 'mdy';
     },
 
-    // Initialize location picker map in modal
-    initPickerMap: () => {
-        // Wait for modal to be visible
-        setTimeout(() => {
-            const pickerElement = document.getElementById('locationPickerMap');
-            if (!pickerElement) return;
+    // Parse a timestamp cell into epoch milliseconds (NaN when invalid)
+    parseTimestamp: (value, order = 'auto') => {
+        value = (value || '').trim();
+        if (!value) return NaN;
+
+        // Epoch seconds or milliseconds. Smaller numbers are device uptime
+        // (the firmware's `timestamp` field) and carry no date.
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            const number = parseFloat(value);
+            if (number > 1e12) return Math.round(number);
+            if (number > 1e9) return Math.round(number * 1000);
+            return NaN;
+        }
 
-            // Remove old map if exists
-            if (state.maps.picker) {
-                state.maps.picker.remove();
+        if (/^\d{4}-\d{2}-\d{2}/.test(value)) {
+            return Date.parse(value);
+        }
+
+        // Locale formats such as "19/10/2026, 15.04.05" or "10/19/2026, 3:04:05 PM"
+        const match = value.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4})(?:[,\s]+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([AaPp][Mm])?)?$/);
+        if (match) {
+            let [, a, b, year, hour = 0, minute = 0, second = 0, meridiem] = match;
+            a = parseInt(a);
+            b = parseInt(b);
+            if (order === 'auto') {
+                order = a > 12 ? 'dmy' : b > 12 ? 'mdy' : importManager.localeDateOrder();
             }
+            const day = order === 'dmy' ? a : b;
+            const month = order === 'dmy' ? b : a;
+            hour = parseInt(hour) % (meridiem ? 12 : 24);
+            if (meridiem && meridiem.toLowerCase() === 'pm') hour += 12;
+            const date = new Date(parseInt(year), month - 1, day, hour, parseInt(minute), parseInt(second));
+            return date.getMonth() === month - 1 ? date.getTime() : NaN;
+        }
 
-            // Create new map
-            state.maps.picker = L.map('locationPickerMap').setView(
-                [state.selectedLocation.lat, state.selectedLocation.lng], 
-                13
-            );
-            
-            L.tileLayer(CONFIG.map.tileLayer, {
-                attribution: CONFIG.map.attribution
-            }).addTo(state.maps.picker);
+        return Date.parse(value);
+    },
 
-            // Add marker
-            const marker = L.marker([state.selectedLocation.lat, state.selectedLocation.lng], {
-                draggable: true
-            }).addTo(state.maps.picker);
+    // Find the device a row belongs to by ID or name
+    matchDevice: (deviceId, deviceName) => {
+        const id = (deviceId || '').trim();
+        const name = (deviceName || '').trim().toLowerCase();
+        return state.devices.find(d => id && d.deviceId === id) ||
+            state.devices.find(d => name && d.deviceName.trim().toLowerCase() === name) ||
+            null;
+    },
 
-            // Update location when marker is dragged
-            marker.on('dragend', (e) => {
-                const pos = e.target.getLatLng();
-                state.selectedLocation = { lat: pos.lat, lng: pos.lng };
-                document.getElementById('selectedCoords').textContent = 
-                    `Lat: ${pos.lat.toFixed(6)}, Lng: ${pos.lng.toFixed(6)}`;
-            });
+    // Turn the parsed rows into readings using the current mapping
+    buildReadings: () => {
+        const { headers, rows, mapping } = importManager.pending;
+        const order = document.getElementById('importDateFormat')?.value || 'auto';
+        const fallbackId = document.getElementById('importFallbackDevice')?.value || '';
+        const fallback = state.devices.find(d => d.deviceId === fallbackId) || null;
+        const timestampColumn = mapping.indexOf('timestamp');
+
+        const readings = [];
+        const preview = [];
+        const seen = new Set();
+        const counts = { rows: rows.length, invalid: 0, unmatched: 0, repeated: 0 };
+
+        rows.forEach(cells => {
+            // The exporter writes toLocaleString() unquoted, so its "date, time"
+            // spills into one extra cell. Join it back onto the timestamp.
+            if (cells.length === headers.length + 1 && timestampColumn !== -1) {
+                cells = cells.slice();
+                cells.splice(timestampColumn, 2, `${cells[timestampColumn]},${cells[timestampColumn + 1]}`);
+            }
 
-            // Update location on map click
-            state.maps.picker.on('click', (e) => {
-                state.selectedLocation = { lat: e.latlng.lat, lng: e.latlng.lng };
-                marker.setLatLng(e.latlng);
-                document.getElementById('selectedCoords').textContent = 
-                    `Lat: ${e.latlng.lat.toFixed(6)}, Lng: ${e.latlng.lng.toFixed(6)}`;
+            const values = {};
+            mapping.forEach((key, index) => {
+                if (key) values[key] = (cells[index] || '').trim();
             });
 
-            document.getElementById('selectedCoords').textContent = 
-                `Lat: ${state.selectedLocation.lat.toFixed(6)}, Lng: ${state.selectedLocation.lng.toFixed(6)}`;
-        }, 100);
-    },
+            const timestamp = importManager.parseTimestamp(values.timestamp, order);
+            const device = importManager.matchDevice(values.deviceId, values.deviceName) || fallback;
+            const hasMetric = importManager.metrics.some(m => values[m] !== undefined && values[m] !== '' && !isNaN(parseFloat(values[m])));
+
+            let status = 'ok';
+            if (isNaN(timestamp) || !hasMetric) {
+                status = 'invalid';
+                counts.invalid++;
+            } else if (!device) {
+                status = 'unmatched';
+                counts.unmatched++;
+            }
 
-    // Update markers on main map
-    updateMarkers: () => {
-        if (!state.maps.main) return;
+            let reading = null;
+            if (status === 'ok') {
+                reading = {
+                    timestamp,
+                    deviceId: device.deviceId,
+                    deviceName: device.deviceName,
+                    location: device.locationName || values.location || ''
+                };
+                // Blank or non-numeric cells stay unset rather than becoming zero readings
+                importManager.metrics.forEach(metric => {
+                    const value = parseFloat(values[metric]);
+                    if (isFinite(value)) reading[metric] = value;
+                });
 
-        // Clear existing markers
-        state.maps.main.eachLayer((layer) => {
-            if (layer instanceof L.Marker) {
-                state.maps.main.removeLayer(layer);
+                const key = `${reading.deviceId}|${Math.floor(timestamp / 1000)}`;
+                if (seen.has(key)) {
+                    status = 'repeated';
+                    counts.repeated++;
+                } else {
+                    seen.add(key);
+                    readings.push(reading);
+                }
+            }
+
+            if (preview.length < importManager.previewRows) {
+                preview.push({ values, timestamp, device, status });
             }
         });
 
-        // Add markers for each device
-        state.devices.forEach(device => {
-            if (device.location) {
-                const status = utils.getDeviceStatus(device.lastUpdate);
-                const aqi = device.lastData?.aqi || 0;
-                const aqiStatus = utils.getAqiStatus(aqi);
+        return { readings, preview, counts };
+    },
 
-                const icon = L.divIcon({
-                    className: 'custom-marker',
-                    html: `
-                        <div class="marker-pin ${aqiStatus.class}">
-                            <i class="fas fa-map-marker-alt"></i>
-                        </div>
-                        <div class="marker-label">${device.deviceName}</div>
-                    `,
-                    iconSize: [30, 42],
-                    iconAnchor: [15, 42]
-                });
+    // Read a CSV file and open the import wizard
+    openImport: (file) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            const rows = importManager.parseCsv(reader.result);
+            if (rows.length < 2) {
+                utils.showToast('File CSV kosong atau tidak valid', 'error');
+                return;
+            }
 
-                const marker = L.marker([device.location.lat, device.location.lng], { icon })
-                    .addTo(state.maps.main);
+            const headers = rows[0].map(h => h.trim());
+            const mapping = importManager.guessMapping(headers);
+            importManager.pending = { fileName: file.name, headers, rows: rows.slice(1), mapping };
 
-                marker.bindPopup(`
-                    <div class="map-popup">
-                        <h4>${device.deviceName}</h4>
-                        <p><strong>Lokasi:</strong> ${device.locationName}</p>
-                        <p><strong>Status:</strong> <span class="device-status ${status.class}">${status.text}</span></p>
-                        <p><strong>AQI:</strong> <span class="${aqiStatus.class}">${aqi.toFixed(1)}</span></p>
-                        <p><strong>Suhu:</strong> ${device.lastData?.temp || '--'}°C</p>
-                        <p><strong>Kelembaban:</strong> ${device.lastData?.humidity || '--'}%</p>
-                    </div>
-                `);
-            }
-        });
-    }
-};
+            importManager.renderMapping();
+            importManager.renderPreview();
+            ui.showModal('importModal');
+        };
+        reader.readAsText(file);
+    },
 
-// ==================== UI MANAGEMENT ====================
-const ui = {
-    // Initialize UI
-    init: () => {
-        // Navigation
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                e.preventDefault();
-                const page = item.getAttribute('data-page');
-                ui.navigateTo(page);
+    // Render one target selector per CSV column
+    renderMapping: () => {
+        const { headers, mapping } = importManager.pending;
+
+        document.getElementById('importFallbackDevice').innerHTML = '<option value="">Skip rows</option>' +
+            state.devices.map(device => `
+                <option value="${utils.escapeHtml(device.deviceId)}">${utils.escapeHtml(device.deviceName)}</option>
+            `).join('');
+
+        document.getElementById('importMapping').innerHTML = headers.map((header, index) => `
+            <div class="form-group">
+                <label>${header ? utils.escapeHtml(header) : `Column ${index + 1}`}</label>
+                <select class="form-input" data-column="${index}">
+                    <option value="">Ignore</option>
+                    ${importManager.fields.map(f => `
+                        <option value="${f.key}" ${mapping[index] === f.key ? 'selected' : ''}>${f.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        document.querySelectorAll('#importMapping select').forEach(select => {
+            select.addEventListener('change', () => {
+                importManager.pending.mapping[parseInt(select.getAttribute('data-column'))] = select.value;
+                importManager.renderPreview();
             });
         });
+    },
 
-        // Add device buttons
-        document.getElementById('addDeviceBtn')?.addEventListener('click', () => {
-            state.editingDevice = null; // Clear edit mode
-            ui.openAddDeviceModal();
-        });
-        document.getElementById('addDeviceBtn2')?.addEventListener('click', () => {
-            state.editingDevice = null;
-            ui.openAddDeviceModal();
-        });
+    // Show row counts and the first rows as they will be imported
+    renderPreview: () => {
+        const { fileName, mapping } = importManager.pending;
+        const { readings, preview, counts } = importManager.buildReadings();
+
+        document.getElementById('importSummary').innerHTML = `
+            <div class="info-item"><span>File:</span><strong>${utils.escapeHtml(fileName)}</strong></div>
+            <div class="info-item"><span>Rows:</span><strong>${counts.rows.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Ready to import:</span><strong>${readings.length.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Unmatched device:</span><strong>${counts.unmatched.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Invalid:</span><strong>${counts.invalid.toLocaleString()}</strong></div>
+            <div class="info-item"><span>Repeated in file:</span><strong>${counts.repeated.toLocaleString()}</strong></div>
+        `;
 
-        // Add device form
-        document.getElementById('addDeviceForm')?.addEventListener('submit', (e) => {
-            e.preventDefault();
-            if (state.editingDevice) {
-                deviceManager.updateDevice();
-            } else {
-                deviceManager.addDevice();
-            }
-        });
+        const columns = importManager.fields.filter(f => mapping.includes(f.key) && !['deviceName', 'deviceId', 'timestamp'].includes(f.key));
+        const statusText = { ok: 'OK', invalid: 'Invalid', unmatched: 'No device', repeated: 'Repeated' };
 
-        // Cancel add device
-        document.getElementById('cancelAddDevice')?.addEventListener('click', () => {
-            ui.closeModal('addDeviceModal');
-        });
+        document.getElementById('importPreview').innerHTML = `
+            <thead>
+                <tr>
+                    <th>Timestamp</th>
+                    <th>Device</th>
+                    ${columns.map(f => `<th>${f.label}</th>`).join('')}
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${preview.map(row => `
+                    <tr>
+                        <td>${isNaN(row.timestamp) ? utils.escapeHtml(row.values.timestamp || '--') : utils.formatDate(row.timestamp)}</td>
+                        <td>${utils.escapeHtml(row.device ? row.device.deviceName : (row.values.deviceName || row.values.deviceId || '--'))}</td>
+                        ${columns.map(f => `<td>${utils.escapeHtml(row.values[f.key] || '--')}</td>`).join('')}
+                        <td><span class="import-status import-${row.status}">${statusText[row.status]}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
 
-        // Generate NFC config
-        document.getElementById('generateNfcBtn')?.addEventListener('click', () => {
-            deviceManager.generateNfcConfig();
-        });
+        document.getElementById('confirmImportBtn').disabled = readings.length === 0;
+    },
 
-        // NFC modal
-        document.getElementById('closeNfcModal')?.addEventListener('click', () => {
-            ui.closeModal('nfcConfigModal');
-        });
-        document.getElementById('copyNfcConfig')?.addEventListener('click', () => {
-            const textarea = document.getElementById('nfcConfigJson');
-            textarea.select();
-            document.execCommand('copy');
-            utils.showToast('Configuration copied!', 'success');
-        });
-        document.getElementById('downloadNfcConfig')?.addEventListener('click', () => {
-            deviceManager.downloadNfcConfig();
-        });
+    // Insert the mapped rows into history, skipping readings already stored
+    confirmImport: async () => {
+        const { readings } = importManager.buildReadings();
+        if (readings.length === 0) return;
 
-        // Device detail modal
-        document.getElementById('closeDetailModal')?.addEventListener('click', () => {
-            ui.closeModal('deviceDetailModal');
-        });
-        document.getElementById('editDeviceBtn')?.addEventListener('click', () => {
-            ui.editCurrentDevice();
-        });
-        document.getElementById('deleteDeviceBtn')?.addEventListener('click', () => {
-            if (state.selectedDevice) {
-                deviceManager.deleteDevice(state.selectedDevice.deviceId);
-                ui.closeModal('deviceDetailModal');
+        try {
+            const result = await historyStore.importHistory({ readings }, { tolerance: importManager.duplicateTolerance });
+            const skipped = readings.length - result.readings;
+
+            importManager.pending = null;
+            ui.closeModal('importModal');
+            retentionManager.renderDeviceTable();
+            if (document.getElementById('analytics-page')?.classList.contains('active')) {
+                const device = state.devices.find(d => d.deviceId === document.getElementById('analyticsDevice').value);
+                if (device) chartManager.updateCharts(device);
             }
-        });
 
-        // Settings form
-        document.getElementById('settingsForm')?.addEventListener('submit', (e) => {
-            e.preventDefault();
-            settingsManager.saveSettings();
-        });
+            utils.showToast(`${result.readings.toLocaleString()} readings diimpor, ${skipped.toLocaleString()} duplikat dilewati`, 'success');
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            utils.showToast('Gagal mengimpor CSV', 'error');
+        }
+    }
+};
 
-        // Export button
-        document.getElementById('exportDataBtn')?.addEventListener('click', () => {
-            utils.exportToExcel();
+// ==================== DATA EXPORT ====================
+const exportManager = {
+    // Exportable metrics: header, reading key, Excel number format and whether
+    // selected by default. adc_* and ro_* are the firmware's raw sensor values.
+    columns: [
+        { header: 'AQI', key: 'aqi', format: '0.0', selected: true },
+        { header: 'Temperature (°C)', key: 'temp', format: '0.0', selected: true },
+        { header: 'Humidity (%)', key: 'humidity', format: '0.0', selected: true },
+        { header: 'MQ135 (ppm)', key: 'mq135', format: '0.00', selected: true },
+        { header: 'MQ7 (ppm)', key: 'mq7', format: '0.00', selected: true },
+        { header: 'MQ9 (ppm)', key: 'mq9', format: '0.00', selected: true },
+        { header: 'ADC MQ135', key: 'adc_MQ135', format: '0', selected: false },
+        { header: 'ADC MQ7', key: 'adc_MQ7', format: '0', selected: false },
+        { header: 'ADC MQ9', key: 'adc_MQ9', format: '0', selected: false },
+        { header: 'Ro MQ135', key: 'ro_MQ135', format: '0.000', selected: false },
+        { header: 'Ro MQ7', key: 'ro_MQ7', format: '0.000', selected: false },
+        { header: 'Ro MQ9', key: 'ro_MQ9', format: '0.000', selected: false }
+    ],
+
+    // Time zones offered besides the browser's own
+    timeZones: ['UTC', 'Asia/Jakarta', 'Asia/Makassar', 'Asia/Jayapura'],
+
+    // Excel format for date cells
+    dateFormat: 'yyyy-mm-dd hh:mm:ss',
+
+    // Fill the dialog with devices that have data and open it
+    openDialog: () => {
+        const devices = state.devices.map(d => ({ deviceId: d.deviceId, deviceName: d.deviceName }));
+        Object.keys(retentionManager.usage || {}).forEach(deviceId => {
+            if (!devices.some(d => d.deviceId === deviceId)) {
+                devices.push({ deviceId, deviceName: `${deviceId} (deleted)` });
+            }
         });
 
-        // Refresh data
-        document.getElementById('refreshData')?.addEventListener('click', () => {
-            ui.updateDashboard();
-            ui.updateDevicesTable();
-            mapManager.updateMarkers();
-            utils.showToast('Data refreshed', 'success');
-        });
+        document.getElementById('exportDevices').innerHTML = devices.map(device => `
+            <label class="checkbox-item">
+                <input type="checkbox" value="${device.deviceId}" checked> ${device.deviceName}
+            </label>
+        `).join('') || '<p style="color: var(--text-light);">Belum ada device</p>';
+
+        document.getElementById('exportMetrics').innerHTML = exportManager.columns.map(column => `
+            <label class="checkbox-item">
+                <input type="checkbox" value="${column.key}" ${column.selected ? 'checked' : ''}> ${column.header}
+            </label>
+        `).join('');
+
+        const zone = document.getElementById('exportTimezone');
+        if (zone.options.length === 0) {
+            const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            zone.innerHTML = `<option value="local">Browser (${local})</option>` +
+                exportManager.timeZones.map(z => `<option value="${z}">${z}</option>`).join('');
+        }
 
-        // Menu toggle
-        document.getElementById('menuToggle')?.addEventListener('click', () => {
-            document.getElementById('sidebar').classList.toggle('active');
-        });
+        ui.showModal('exportModal');
+    },
 
-        // Notification bell
-        document.querySelector('.notification')?.addEventListener('click', () => {
-            notificationManager.showPanel();
-        });
+    // Read the dialog into export options
+    readOptions: () => {
+        const checked = (id) => Array.from(document.querySelectorAll(`#${id} input:checked`)).map(input => input.value);
+        const from = document.getElementById('exportFrom').value;
+        const to = document.getElementById('exportTo').value;
+        return {
+            deviceIds: checked('exportDevices'),
+            metrics: checked('exportMetrics'),
+            from: from ? new Date(from).getTime() : 0,
+            to: to ? new Date(to).getTime() : Date.now(),
+            resolution: document.getElementById('exportResolution').value,
+            timeZone: document.getElementById('exportTimezone').value,
+            format: document.getElementById('exportFormat').value
+        };
+    },
 
-        // Analytics device selector
-        document.getElementById('analyticsDevice')?.addEventListener('change', (e) => {
-            const deviceId = e.target.value;
-            if (deviceId) {
-                const device = state.devices.find(d => d.deviceId === deviceId);
-                if (device) {
-                    chartManager.updateCharts(device);
-                }
-            }
-        });
+    // Export with the dialog's options
+    run: async () => {
+        const options = exportManager.readOptions();
+        if (options.deviceIds.length === 0 || options.metrics.length === 0) {
+            utils.showToast('Pilih minimal satu device dan satu metric', 'warning');
+            return;
+        }
+        if (options.from > options.to) {
+            utils.showToast('Rentang waktu tidak valid', 'error');
+            return;
+        }
+
+        let points = [];
+        try {
+            points = await exportManager.collect(options);
+        } catch (error) {
+            console.error('Error reading sensor history:', error);
+        }
+
+        if (points.length === 0) {
+            utils.showToast('No data to export', 'error');
+            return;
+        }
+
+        if (options.format === 'csv') exportManager.writeCsv(points, options);
+        if (options.format === 'jsonl') exportManager.writeJsonl(points, options);
+        if (options.format === 'xlsx') exportManager.writeXlsx(points, options);
+        ui.closeModal('exportModal');
+    },
+
+    // Load the selected devices' points, oldest first
+    collect: async ({ deviceIds, from, to, resolution, timeZone }) => {
+        const series = await Promise.all(deviceIds.map(deviceId =>
+            exportManager.collectDevice({ deviceId, from, to, resolution, timeZone })
+        ));
+        return series
+            .flat()
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    // One device's points. Rollup buckets start at the browser's local midnight or
+    // hour, so when the export zone cuts them elsewhere they are rebuilt from the
+    // finest rollups that line up with it. Older buckets whose finer rollups were
+    // already pruned are kept as stored.
+    collectDevice: async ({ deviceId, from, to, resolution, timeZone }) => {
+        const { points } = await historyStore.querySeries({ deviceId, from, to, resolution });
+        if (resolution === 'raw' || exportManager.zoneAligned(resolution, to, timeZone)) return points;
+
+        const source = ['hour', 'minute'].find(r => CONFIG.rollups.resolutions[r] < CONFIG.rollups.resolutions[resolution] &&
+            exportManager.zoneAligned(r, to, timeZone));
+        const finer = (await historyStore.querySeries({ deviceId, from, to, resolution: source })).points;
+        if (finer.length === 0) return points;
+
+        const rebuilt = exportManager.rebucket(finer, resolution, timeZone);
+        const covered = rebuilt[0].timestamp;
+        return points
+            .filter(point => point.timestamp + CONFIG.rollups.resolutions[resolution] <= covered)
+            .concat(rebuilt);
+    },
 
-        // Load settings
-        settingsManager.loadSettings();
+    // Start of the export zone's hour or day containing a timestamp
+    zoneBucket: (timestamp, resolution, timeZone) => {
+        const p = exportManager.zoneParts(timestamp, timeZone);
+        const seconds = (resolution === 'day' ? p.hour * 3600 : 0) + (resolution === 'minute' ? 0 : p.minute * 60) + p.second;
+        return timestamp - seconds * 1000 - (timestamp % 1000);
     },
 
-    // Navigate to page
-    navigateTo: (page) => {
-        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
-        document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
+    // Whether the browser's local buckets of a resolution also start on the zone's boundaries
+    zoneAligned: (resolution, timestamp, timeZone) => {
+        if (timeZone === 'local') return true;
+        const bucket = historyStore.bucketStart(resolution, timestamp);
+        return exportManager.zoneBucket(bucket, resolution, timeZone) === bucket;
+    },
 
-        document.getElementById(`${page}-page`)?.classList.add('active');
-        document.querySelector(`[data-page="${page}"]`)?.classList.add('active');
+    // Merge finer rollup points into the export zone's buckets, oldest first
+    rebucket: (points, resolution, timeZone) => {
+        const buckets = new Map();
+        points.forEach(point => {
+            const timestamp = exportManager.zoneBucket(point.timestamp, resolution, timeZone);
+            if (!buckets.has(timestamp)) {
+                buckets.set(timestamp, { timestamp, deviceId: point.deviceId, stats: {} });
+            }
+            const entry = buckets.get(timestamp);
+            entry.deviceName = point.deviceName;
+            entry.location = point.location;
+            Object.entries(point.stats || {}).forEach(([metric, stats]) => {
+                entry.stats[metric] = historyStore.mergeStats(entry.stats[metric], stats);
+            });
+        });
 
-        if (page === 'map') {
-            setTimeout(() => mapManager.initMainMap(), 100);
+        return Array.from(buckets.values())
+            .map(entry => {
+                CONFIG.rollups.metrics.forEach(metric => {
+                    const stats = entry.stats[metric];
+                    entry[metric] = stats ? stats.sum / stats.count : null;
+                });
+                return entry;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    // Output fields for the chosen metrics. Aggregated exports carry the
+    // bucket mean under the metric's own header plus its min and max.
+    fieldsFor: ({ metrics, resolution }) => {
+        const fields = [];
+        exportManager.columns.filter(c => metrics.includes(c.key)).forEach(column => {
+            const valueOf = (point) => (typeof point[column.key] === 'number' ? point[column.key] : null);
+            fields.push({ header: column.header, key: column.key, format: column.format, value: valueOf });
+            if (resolution !== 'raw') {
+                ['min', 'max'].forEach(stat => fields.push({
+                    header: `${column.header} ${stat}`,
+                    key: `${column.key}_${stat}`,
+                    format: column.format,
+                    value: (point) => (point.stats && point.stats[column.key] ? point.stats[column.key][stat] : null)
+                }));
+            }
+        });
+        if (resolution !== 'raw') {
+            fields.push({
+                header: 'Samples',
+                key: 'samples',
+                format: '0',
+                value: (point) => Math.max(0, ...Object.values(point.stats || {}).map(s => s.count))
+            });
         }
+        return fields;
+    },
 
-        if (page === 'analytics') {
-            ui.populateAnalyticsDeviceSelector();
-            setTimeout(() => chartManager.initCharts(), 100);
+    // Wall-clock parts of a timestamp in a time zone, with its UTC offset in minutes
+    zoneParts: (timestamp, timeZone) => {
+        if (timeZone === 'local') {
+            const date = new Date(timestamp);
+            return {
+                year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate(),
+                hour: date.getHours(), minute: date.getMinutes(), second: date.getSeconds(),
+                offset: -date.getTimezoneOffset()
+            };
         }
 
-        ui.updateDashboard();
-        ui.updateDevicesTable();
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(timestamp).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = parseInt(part.value);
+        });
+        parts.offset = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+            Math.floor(timestamp / 1000) * 1000) / 60000);
+        return parts;
     },
 
-    // Open add device modal
-    openAddDeviceModal: () => {
-        // Reset form
-        document.getElementById('addDeviceForm').reset();
-        
-        // Set default location
-        state.selectedLocation = {
-            lat: CONFIG.map.defaultCenter[0],
-            lng: CONFIG.map.defaultCenter[1]
-        };
+    // ISO 8601 timestamp with the time zone's offset
+    formatTimestamp: (timestamp, timeZone) => {
+        const p = exportManager.zoneParts(timestamp, timeZone);
+        const pad = (n) => String(Math.abs(n)).padStart(2, '0');
+        const sign = p.offset < 0 ? '-' : '+';
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+            `${sign}${pad(Math.trunc(p.offset / 60))}:${pad(p.offset % 60)}`;
+    },
 
-        // Update modal title
-        document.querySelector('#addDeviceModal .modal-header h2').textContent = 
-            state.editingDevice ? 'Edit Device' : 'Add New Device';
+    // Date whose local wall-clock matches the time zone's, for Excel cells
+    zoneDate: (timestamp, timeZone) => {
+        const p = exportManager.zoneParts(timestamp, timeZone);
+        return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    },
 
-        // If editing, fill form
-        if (state.editingDevice) {
-            const device = state.editingDevice;
-            document.getElementById('deviceId').value = device.deviceId;
-            document.getElementById('deviceId').disabled = true; // Cannot change device ID
-            document.getElementById('deviceName').value = device.deviceName;
-            document.getElementById('sensorType').value = device.sensorType;
-            document.getElementById('updateInterval').value = device.interval;
-            document.getElementById('locationName').value = device.locationName;
-            document.getElementById('wifiSsid').value = device.wifi;
-            document.getElementById('wifiPassword').value = device.wifiPassword || '';
-            document.getElementById('protocol').value = device.protocol;
-            document.getElementById('serverUrl').value = device.serverUrl;
-            document.getElementById('serverPort').value = device.serverPort;
-            document.getElementById('mqttTopic').value = device.mqttTopic;
-            
-            state.selectedLocation = {
-                lat: device.location.lat,
-                lng: device.location.lng
-            };
-        } else {
-            document.getElementById('deviceId').disabled = false;
-        }
+    // File name for an export
+    fileName: ({ resolution }, extension) => {
+        const suffix = resolution === 'raw' ? '' : `_${resolution}`;
+        return `sensor_data_${new Date().toISOString().split('T')[0]}${suffix}.${extension}`;
+    },
 
-        ui.showModal('addDeviceModal');
-        mapManager.initPickerMap();
+    // Current device name, falling back to the one stored with the data
+    deviceName: (point) => {
+        const device = state.devices.find(d => d.deviceId === point.deviceId);
+        return device ? device.deviceName : point.deviceName;
     },
 
-    // Edit current device from detail modal
-    editCurrentDevice: () => {
-        state.editingDevice = state.selectedDevice;
-        ui.closeModal('deviceDetailModal');
-        ui.openAddDeviceModal();
+    // Trigger a file download
+    download: (content, type, name) => {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        utils.showToast('Data exported successfully!', 'success');
     },
 
-    // Show modal
-    showModal: (modalId) => {
-        document.getElementById(modalId)?.classList.add('active');
+    // Quote a CSV field when needed
+    csvField: (value) => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     },
 
-    // Close modal
-    closeModal: (modalId) => {
-        document.getElementById(modalId)?.classList.remove('active');
+    // Write a CSV file
+    writeCsv: (points, options) => {
+        const fields = exportManager.fieldsFor(options);
+        const header = ['Timestamp', 'Device Name', 'Device ID', 'Location', ...fields.map(f => f.header)];
+        const lines = points.map(point => [
+            exportManager.formatTimestamp(point.timestamp, options.timeZone),
+            exportManager.deviceName(point),
+            point.deviceId,
+            point.location || '',
+            ...fields.map(f => f.value(point))
+        ].map(exportManager.csvField).join(','));
+
+        // BOM so Excel detects UTF-8 (°C)
+        const csv = '\uFEFF' + [header.join(','), ...lines].join('\n') + '\n';
+        exportManager.download(csv, 'text/csv;charset=utf-8;', exportManager.fileName(options, 'csv'));
     },
 
-    // Update dashboard
-    updateDashboard: () => {
-        // Update statistics
-        document.getElementById('totalDevices').textContent = state.devices.length;
-        
-        const activeCount = state.devices.filter(d => {
-            const status = utils.getDeviceStatus(d.lastUpdate);
-            return status.text === 'Online';
-        }).length;
-        document.getElementById('activeDevices').textContent = activeCount;
-        
-        document.getElementById('alertsCount').textContent = state.alerts.length;
-        
-        // Calculate average AQI
-        const devices = state.devices.filter(d => d.lastData?.aqi);
-        const avgAqi = devices.length > 0
-            ? devices.reduce((sum, d) => sum + d.lastData.aqi, 0) / devices.length
-            : 0;
-        document.getElementById('avgAqi').textContent = avgAqi > 0 ? avgAqi.toFixed(1) : '--';
+    // Write one JSON object per line
+    writeJsonl: (points, options) => {
+        const fields = exportManager.fieldsFor(options);
+        const lines = points.map(point => {
+            const record = {
+                timestamp: exportManager.formatTimestamp(point.timestamp, options.timeZone),
+                deviceId: point.deviceId,
+                deviceName: exportManager.deviceName(point),
+                location: point.location || ''
+            };
+            if (options.resolution !== 'raw') record.resolution = options.resolution;
+            fields.forEach(f => {
+                record[f.key] = f.value(point);
+            });
+            return JSON.stringify(record);
+        });
 
-        // Update recent devices
-        ui.updateRecentDevices();
+        exportManager.download(lines.join('\n') + '\n', 'application/x-ndjson', exportManager.fileName(options, 'jsonl'));
     },
 
-    // Update recent devices
-    updateRecentDevices: () => {
-        const container = document.getElementById('recentDevices');
-        if (!container) return;
+    // Group points by device
+    groupByDevice: (points) => {
+        const groups = new Map();
+        points.forEach(point => {
+            if (!groups.has(point.deviceId)) {
+                groups.set(point.deviceId, { deviceId: point.deviceId, deviceName: exportManager.deviceName(point), location: point.location, points: [] });
+            }
+            groups.get(point.deviceId).points.push(point);
+        });
+        return Array.from(groups.values());
+    },
 
-        if (state.devices.length === 0) {
-            container.innerHTML = `
-                <div style="text-align: center; padding: 3rem; color: var(--text-light);">
-                    <i class="fas fa-inbox" style="font-size: 3rem; margin-bottom: 1rem;"></i>
-                    <p>Belum ada device. Klik tombol "Add Device" untuk menambahkan.</p>
-                </div>
-            `;
+    // Min/max/mean of a metric over raw or aggregated points
+    summarize: (points, metric) => {
+        const total = { min: Infinity, max: -Infinity, sum: 0, count: 0 };
+        points.forEach(point => {
+            const stats = point.stats
+                ? point.stats[metric]
+                : (typeof point[metric] === 'number' ? { min: point[metric], max: point[metric], sum: point[metric], count: 1 } : null);
+            if (!stats) return;
+            total.min = Math.min(total.min, stats.min);
+            total.max = Math.max(total.max, stats.max);
+            total.sum += stats.sum;
+            total.count += stats.count;
+        });
+        return total.count > 0
+            ? { min: total.min, max: total.max, avg: total.sum / total.count, count: total.count }
+            : { min: null, max: null, avg: null, count: 0 };
+    },
+
+    // Make a valid, unique worksheet name (31 chars, no []:*?/\)
+    sheetName: (name, taken) => {
+        const base = (name || 'Device').replace(/[\[\]:*?\/\\]/g, '_').slice(0, 31) || 'Device';
+        let candidate = base;
+        for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+            const suffix = ` (${i})`;
+            candidate = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        taken.add(candidate.toLowerCase());
+        return candidate;
+    },
+
+    // Set the number format of every cell in a column, below the header rows
+    formatColumn: (sheet, column, format, firstRow) => {
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        for (let row = firstRow; row <= range.e.r; row++) {
+            const cell = sheet[XLSX.utils.encode_cell({ r: row, c: column })];
+            if (cell && cell.t === 'n') cell.z = format;
+        }
+    },
+
+    // Build and download a workbook: a summary sheet plus one sheet per device
+    writeXlsx: (points, options) => {
+        if (typeof XLSX === 'undefined') {
+            utils.showToast('Library XLSX gagal dimuat', 'error');
             return;
         }
 
-        container.innerHTML = state.devices.slice(0, 6).map(device => {
-            const aqi = device.lastData?.aqi || 0;
-            const temp = device.lastData?.temp || '--';
-            const humidity = device.lastData?.humidity || '--';
-            const status = utils.getDeviceStatus(device.lastUpdate);
-            const aqiStatus = utils.getAqiStatus(aqi);
+        const { from, to, resolution, timeZone } = options;
+        const fields = exportManager.fieldsFor(options);
+        const groups = exportManager.groupByDevice(points);
+        const taken = new Set(['summary']);
+        const workbook = XLSX.utils.book_new();
+        const dateOptions = { dateNF: exportManager.dateFormat };
+        const zoneDate = (timestamp) => exportManager.zoneDate(timestamp, timeZone);
+
+        // Summary sheet
+        const summaryHeader = ['Device Name', 'Device ID', 'Location', 'Readings', 'First', 'Last', 'Min AQI', 'Max AQI', 'Avg AQI', 'Alerts'];
+        const summaryRows = groups.map(group => {
+            const aqi = exportManager.summarize(group.points, 'aqi');
+            const alerts = state.alerts.filter(a => a.deviceId === group.deviceId && a.timestamp >= from && a.timestamp <= to).length;
+            return [
+                group.deviceName,
+                group.deviceId,
+                group.location || '',
+                aqi.count,
+                zoneDate(group.points[0].timestamp),
+                zoneDate(group.points[group.points.length - 1].timestamp),
+                aqi.min,
+                aqi.max,
+                aqi.avg,
+                alerts
+            ];
+        });
+        const summary = XLSX.utils.aoa_to_sheet([
+            ['Exported', zoneDate(Date.now())],
+            ['Period from', zoneDate(from || points[0].timestamp)],
+            ['Period to', zoneDate(to)],
+            ['Resolution', resolution],
+            ['Time zone', timeZone === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : timeZone],
+            [],
+            summaryHeader,
+            ...summaryRows
+        ], dateOptions);
+        [6, 7, 8].forEach(column => exportManager.formatColumn(summary, column, '0.0', 7));
+        summary['!cols'] = summaryHeader.map((h, i) => ({ wch: i === 0 ? 24 : 14 }));
+        XLSX.utils.book_append_sheet(workbook, summary, 'Summary');
+
+        // One sheet per device
+        groups.forEach(group => {
+            const rows = group.points.map(point => [
+                zoneDate(point.timestamp),
+                point.location || '',
+                ...fields.map(f => f.value(point))
+            ]);
+            const sheet = XLSX.utils.aoa_to_sheet([['Timestamp', 'Location', ...fields.map(f => f.header)], ...rows], dateOptions);
+            fields.forEach((f, i) => exportManager.formatColumn(sheet, i + 2, f.format, 1));
+            sheet['!cols'] = [{ wch: 20 }, { wch: 18 }, ...fields.map(() => ({ wch: 14 }))];
+            XLSX.utils.book_append_sheet(workbook, sheet, exportManager.sheetName(group.deviceName, taken));
+        });
 
-            return `
-                <div class="device-card" onclick="ui.showDeviceDetail(state.devices.find(d => d.deviceId === '${device.deviceId}'))">
-                    <div class="device-card-header">
-                        <div class="device-info">
-                            <h3>${device.deviceName}</h3>
-                            <p><i class="fas fa-map-marker-alt"></i> ${device.locationName}</p>
-                        </div>
-                        <span class="device-status ${status.class}">${status.text}</span>
-                    </div>
-                    <div class="device-readings">
-                        <div class="reading">
-                            <div class="reading-label">AQI</div>
-                            <div class="reading-value ${aqiStatus.class}">${aqi.toFixed(1)}</div>
-                        </div>
-                        <div class="reading">
-                            <div class="reading-label">Temp</div>
-                            <div class="reading-value">${temp}°C</div>
-                        </div>
-                        <div class="reading">
-                            <div class="reading-label">Humidity</div>
-                            <div class="reading-value">${humidity}%</div>
-                        </div>
-                        <div class="reading">
-                            <div class="reading-label">Status</div>
-                            <div class="reading-value" style="font-size: 1rem;">${aqiStatus.text}</div>
-                        </div>
-                    </div>
-                </div>
-            `;
-        }).join('');
+        XLSX.writeFile(workbook, exportManager.fileName(options, 'xlsx'));
+
+        utils.showToast('Data exported successfully!', 'success');
+    }
+};
+
+// ==================== REPORTS ====================
+const reportManager = {
+    // A4 page size and margin in mm
+    page: { width: 210, height: 297, margin: 15 },
+
+    // AQI categories in order, matching utils.getAqiStatus()
+    categories: [
+        { text: 'Baik', color: '#10B981' },
+        { text: 'Sedang', color: '#F59E0B' },
+        { text: 'Tidak Sehat', color: '#EF4444' },
+        { text: 'Sangat Tidak Sehat', color: '#8B5CF6' },
+        { text: 'Berbahaya', color: '#7F1D1D' }
+    ],
+
+    // Open the report dialog
+    openDialog: () => {
+        const to = new Date();
+        const from = new Date(to.getTime() - 7 * 86400000);
+        const toInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        document.getElementById('reportFrom').value = toInput(from);
+        document.getElementById('reportTo').value = toInput(to);
+
+        reportManager.updateTargets();
+        ui.showModal('reportModal');
     },
 
-    // Update devices table
-    updateDevicesTable: () => {
-        const tbody = document.getElementById('deviceTableBody');
-        if (!tbody) return;
+    // Fill the target list for the chosen scope (single device or site)
+    updateTargets: () => {
+        const scope = document.getElementById('reportScope').value;
+        const select = document.getElementById('reportTarget');
 
-        if (state.devices.length === 0) {
-            tbody.innerHTML = `
-                <tr>
-                    <td colspan="8" style="text-align: center; padding: 3rem; color: var(--text-light);">
-                        Belum ada device. Klik tombol "Add Device" untuk menambahkan.
-                    </td>
-                </tr>
-            `;
-            return;
+        if (scope === 'site') {
+            const sites = [...new Set(state.devices.map(d => d.locationName).filter(Boolean))].sort();
+            select.innerHTML = sites.map(site => `<option value="${utils.escapeHtml(site)}">${utils.escapeHtml(site)}</option>`).join('');
+        } else {
+            select.innerHTML = state.devices.map(device => `
+                <option value="${utils.escapeHtml(device.deviceId)}">${utils.escapeHtml(device.deviceName)}</option>
+            `).join('');
         }
+    },
 
-        tbody.innerHTML = state.devices.map(device => {
-            const status = utils.getDeviceStatus(device.lastUpdate);
-            const aqi = device.lastData?.aqi || 0;
-            const aqiStatus = utils.getAqiStatus(aqi);
+    // Devices covered by the dialog's selection
+    selectedDevices: () => {
+        const scope = document.getElementById('reportScope').value;
+        const target = document.getElementById('reportTarget').value;
+        return scope === 'site'
+            ? state.devices.filter(d => d.locationName === target)
+            : state.devices.filter(d => d.deviceId === target);
+    },
 
-            return `
-                <tr>
-                    <td><strong>${device.deviceName}</strong></td>
-                    <td>${device.locationName}</td>
-                    <td><span class="device-status ${status.class}">${status.text}</span></td>
-                    <td><span class="${aqiStatus.class}">${aqi.toFixed(1)}</span></td>
-                    <td>${device.lastData?.temp || '--'}°C</td>
-                    <td>${device.lastData?.humidity || '--'}%</td>
-                    <td>${utils.formatDate(device.lastUpdate)}</td>
-                    <td>
-                        <div class="action-buttons">
-                            <button class="action-btn action-btn-view" onclick="ui.showDeviceDetail(state.devices.find(d => d.deviceId === '${device.deviceId}'))" title="View Details">
-                                <i class="fas fa-eye"></i>
-                            </button>
-                            <button class="action-btn action-btn-edit" onclick="ui.editDevice('${device.deviceId}')" title="Edit">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="action-btn action-btn-delete" onclick="deviceManager.deleteDevice('${device.deviceId}')" title="Delete">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </td>
-                </tr>
-            `;
-        }).join('');
+    // Load a device's readings for the period. Falls back to hourly averages
+    // when raw readings for the start of the period were already pruned.
+    loadDevice: async (device, from, to) => {
+        const raw = from >= retentionManager.cutoffFor('raw', device.deviceId);
+        const series = await historyStore.querySeries({ deviceId: device.deviceId, from, to, resolution: raw ? 'raw' : 'hour' });
+        const charts = raw && to - from > CONFIG.rollups.autoSpan.raw
+            ? await historyStore.querySeries({ deviceId: device.deviceId, from, to })
+            : series;
+        const alerts = state.alerts.filter(a => a.deviceId === device.deviceId && a.timestamp >= from && a.timestamp <= to);
+        return { device, raw, points: series.points, chartSeries: charts, alerts };
     },
 
-    // Edit device from table
-    editDevice: (deviceId) => {
-        const device = state.devices.find(d => d.deviceId === deviceId);
-        if (device) {
-            state.editingDevice = device;
-            ui.openAddDeviceModal();
+    // Period statistics, threshold exceedances and AQI category distribution
+    computeStats: (points) => {
+        const thresholds = state.thresholds || CONFIG.defaultThresholds;
+
+        const metrics = alertManager.checks.map(check => {
+            const summary = exportManager.summarize(points, check.metric);
+            const limits = thresholds[check.metric];
+            const values = points.map(p => p[check.metric]).filter(v => typeof v === 'number');
+            return {
+                ...check,
+                ...summary,
+                samples: values.length,
+                warning: values.filter(v => v >= limits.warning && v < limits.danger).length,
+                danger: values.filter(v => v >= limits.danger).length,
+                limits
+            };
+        });
+
+        const distribution = reportManager.categories.map(c => ({ ...c, count: 0 }));
+        points.forEach(point => {
+            if (typeof point.aqi !== 'number') return;
+            const text = utils.getAqiStatus(point.aqi).text;
+            const category = distribution.find(c => c.text === text);
+            if (category) category.count++;
+        });
+
+        return { metrics, distribution };
+    },
+
+    // Start a new page if the next block does not fit
+    ensureSpace: (ctx, height) => {
+        const { height: pageHeight, margin } = reportManager.page;
+        if (ctx.y + height > pageHeight - margin - 8) {
+            ctx.doc.addPage();
+            ctx.y = margin;
         }
     },
 
-    // Show device detail modal
-    showDeviceDetail: (device) => {
-        if (!device) return;
+    // Section heading
+    heading: (ctx, text, size = 13) => {
+        reportManager.ensureSpace(ctx, 14);
+        ctx.doc.setFont('helvetica', 'bold');
+        ctx.doc.setFontSize(size);
+        ctx.doc.setTextColor('#1F2937');
+        ctx.doc.text(text, reportManager.page.margin, ctx.y + 5);
+        ctx.y += 10;
+        ctx.doc.setFont('helvetica', 'normal');
+    },
 
-        state.selectedDevice = device;
+    // Label/value lines
+    keyValues: (ctx, pairs) => {
+        ctx.doc.setFontSize(9);
+        pairs.forEach(([label, value]) => {
+            reportManager.ensureSpace(ctx, 5);
+            ctx.doc.setTextColor('#6B7280');
+            ctx.doc.text(label, reportManager.page.margin, ctx.y + 3.5);
+            ctx.doc.setTextColor('#1F2937');
+            ctx.doc.text(String(value), reportManager.page.margin + 40, ctx.y + 3.5);
+            ctx.y += 5;
+        });
+        ctx.y += 3;
+    },
 
-        // Update modal content
-        document.getElementById('detailDeviceName').textContent = device.deviceName;
-        document.getElementById('detailAqi').textContent = (device.lastData?.aqi || 0).toFixed(1);
-        document.getElementById('detailTemp').textContent = `${device.lastData?.temp || '--'}°C`;
-        document.getElementById('detailHum').textContent = `${device.lastData?.humidity || '--'}%`;
-        document.getElementById('detailMq135').textContent = `${device.lastData?.ppm_MQ135 || '--'} ppm`;
-        document.getElementById('detailMq7').textContent = `${device.lastData?.ppm_MQ7 || '--'} ppm`;
-        document.getElementById('detailMq9').textContent = `${device.lastData?.ppm_MQ9 || '--'} ppm`;
-        
-        document.getElementById('detailDeviceId').textContent = device.deviceId;
-        document.getElementById('detailLocation').textContent = device.locationName;
-        
-        const status = utils.getDeviceStatus(device.lastUpdate);
-        document.getElementById('detailStatus').innerHTML = `<span class="device-status ${status.class}">${status.text}</span>`;
-        document.getElementById('detailProtocol').textContent = device.protocol;
-        document.getElementById('detailLastUpdate').textContent = utils.formatDate(device.lastUpdate);
-        document.getElementById('detailUptime').textContent = utils.formatUptime(device.lastData?.uptime);
+    // Table with a shaded header row, repeated after page breaks
+    table: (ctx, headers, rows, widths) => {
+        const { doc } = ctx;
+        const { margin } = reportManager.page;
+        const rowHeight = 6;
+
+        const drawHeader = () => {
+            doc.setFillColor('#F3F4F6');
+            doc.rect(margin, ctx.y, widths.reduce((a, b) => a + b, 0), rowHeight, 'F');
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor('#1F2937');
+            let x = margin;
+            headers.forEach((header, i) => {
+                doc.text(header, x + 1.5, ctx.y + 4.2);
+                x += widths[i];
+            });
+            doc.setFont('helvetica', 'normal');
+            ctx.y += rowHeight;
+        };
+
+        doc.setFontSize(8);
+        reportManager.ensureSpace(ctx, rowHeight * 2);
+        drawHeader();
 
-        ui.showModal('deviceDetailModal');
+        rows.forEach(row => {
+            if (ctx.y + rowHeight > reportManager.page.height - margin - 8) {
+                doc.addPage();
+                ctx.y = margin;
+                drawHeader();
+            }
+            let x = margin;
+            row.forEach((cell, i) => {
+                const text = doc.splitTextToSize(String(cell ?? '--'), widths[i] - 3)[0] || '';
+                doc.text(text, x + 1.5, ctx.y + 4.2);
+                x += widths[i];
+            });
+            doc.setDrawColor('#E5E7EB');
+            doc.line(margin, ctx.y + rowHeight, x, ctx.y + rowHeight);
+            ctx.y += rowHeight;
+        });
+        ctx.y += 5;
     },
 
-    // Update alerts count
-    updateAlertsCount: () => {
-        const badge = document.querySelector('.notification .badge');
-        if (badge) {
-            badge.textContent = state.alerts.length;
-        }
+    // Horizontal stacked bar of the AQI category distribution
+    distributionBar: (ctx, distribution) => {
+        const { doc } = ctx;
+        const { width, margin } = reportManager.page;
+        const total = distribution.reduce((sum, c) => sum + c.count, 0);
+        if (total === 0) return;
+
+        reportManager.ensureSpace(ctx, 10);
+        const barWidth = width - margin * 2;
+        let x = margin;
+        distribution.forEach(category => {
+            const w = barWidth * category.count / total;
+            if (w <= 0) return;
+            doc.setFillColor(category.color);
+            doc.rect(x, ctx.y, w, 6, 'F');
+            x += w;
+        });
+        ctx.y += 11;
     },
 
-    // Populate analytics device selector
-    populateAnalyticsDeviceSelector: () => {
-        const select = document.getElementById('analyticsDevice');
-        if (!select) return;
+    // Chart image with a caption
+    chart: (ctx, caption, image) => {
+        const { width, margin } = reportManager.page;
+        const w = width - margin * 2;
+        const h = w * 0.4;
+        reportManager.ensureSpace(ctx, h + 8);
+        ctx.doc.setFontSize(9);
+        ctx.doc.setTextColor('#6B7280');
+        ctx.doc.text(caption, margin, ctx.y + 3.5);
+        ctx.doc.addImage(image, 'PNG', margin, ctx.y + 5, w, h);
+        ctx.y += h + 9;
+    },
 
-        select.innerHTML = '<option value="">Select Device</option>' +
-            state.devices.map(device => `
-                <option value="${device.deviceId}">${device.deviceName}</option>
-            `).join('');
-    }
-};
+    // Format a number for the report
+    number: (value, digits = 1) => (typeof value === 'number' && isFinite(value) ? value.toFixed(digits) : '--'),
+
+    // One device's section: statistics, exceedances, distribution and charts
+    deviceSection: (ctx, data) => {
+        const { device, raw, points, chartSeries, alerts } = data;
+        const { metrics, distribution } = reportManager.computeStats(points);
+        const number = reportManager.number;
+
+        reportManager.heading(ctx, device.deviceName, 15);
+        reportManager.keyValues(ctx, [
+            ['Device ID', device.deviceId],
+            ['Location', device.locationName || '--'],
+            ['Data', raw ? `${points.length.toLocaleString()} readings` : `${points.length.toLocaleString()} hourly averages (raw data pruned)`],
+            ['Alerts', `${alerts.length} (${alerts.filter(a => a.severity === 'danger').length} danger)`]
+        ]);
+
+        if (points.length === 0) {
+            ctx.doc.setFontSize(9);
+            ctx.doc.text('Tidak ada data pada periode ini.', reportManager.page.margin, ctx.y + 3.5);
+            ctx.y += 10;
+            return;
+        }
 
-// ==================== DEVICE MANAGEMENT ====================
-const deviceManager = {
-    // Add new device
-    addDevice: () => {
-        const device = {
-            deviceId: document.getElementById('deviceId').value,
-            deviceName: document.getElementById('deviceName').value,
-            sensorType: document.getElementById('sensorType').value,
-            interval: parseInt(document.getElementById('updateInterval').value),
-            locationName: document.getElementById('locationName').value,
-            location: {
-                lat: state.selectedLocation.lat,
-                lng: state.selectedLocation.lng
-            },
-            wifi: document.getElementById('wifiSsid').value,
-            wifiPassword: document.getElementById('wifiPassword').value,
-            protocol: document.getElementById('protocol').value,
-            serverUrl: document.getElementById('serverUrl').value,
-            serverPort: parseInt(document.getElementById('serverPort').value),
-            mqttTopic: document.getElementById('mqttTopic').value || `sensors/${document.getElementById('deviceName').value}`,
-            timestamp: Date.now(),
-            lastUpdate: null,
-            lastData: null
-        };
+        reportManager.heading(ctx, 'Period Statistics', 11);
+        reportManager.table(ctx,
+            ['Metric', 'Min', 'Max', 'Average', 'Warning', 'Danger', 'Limits (W/D)'],
+            metrics.map(m => [
+                m.unit ? `${m.label} (${m.unit.trim()})` : m.label,
+                number(m.min),
+                number(m.max),
+                number(m.avg),
+                m.samples ? `${m.warning} (${number(m.warning / m.samples * 100)}%)` : '--',
+                m.samples ? `${m.danger} (${number(m.danger / m.samples * 100)}%)` : '--',
+                `${m.limits.warning} / ${m.limits.danger}`
+            ]),
+            [32, 20, 20, 22, 28, 28, 30]
+        );
 
-        // Validate
-        if (!device.deviceId || !device.deviceName || !device.locationName) {
-            utils.showToast('Mohon isi semua field yang wajib diisi', 'error');
-            return;
+        const total = distribution.reduce((sum, c) => sum + c.count, 0);
+        reportManager.heading(ctx, 'AQI Category Distribution', 11);
+        reportManager.distributionBar(ctx, distribution);
+        reportManager.table(ctx,
+            ['Category', raw ? 'Readings' : 'Hours', 'Share'],
+            distribution.map(c => [c.text, c.count.toLocaleString(), total ? `${number(c.count / total * 100)}%` : '--']),
+            [60, 40, 40]
+        );
+
+        const chartPoints = chartSeries.points;
+        const labels = chartPoints.map(p => chartSeries.resolution === 'day'
+            ? new Date(p.timestamp).toLocaleDateString()
+            : new Date(p.timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+        reportManager.chart(ctx, 'AQI Trend',
+            chartManager.renderImage('aqi', labels, [chartPoints.map(p => p.aqi)]));
+        reportManager.chart(ctx, 'Temperature & Humidity',
+            chartManager.renderImage('tempHum', labels, [chartPoints.map(p => p.temp), chartPoints.map(p => p.humidity)]));
+    },
+
+    // Report title and "page x of y" footer on every page
+    decoratePages: (doc, title) => {
+        const { width, height, margin } = reportManager.page;
+        const pages = doc.getNumberOfPages();
+        for (let i = 1; i <= pages; i++) {
+            doc.setPage(i);
+            doc.setFontSize(8);
+            doc.setTextColor('#6B7280');
+            doc.text(title, margin, height - margin + 2);
+            doc.text(`Page ${i} of ${pages}`, width - margin, height - margin + 2, { align: 'right' });
         }
+    },
 
-        // Check duplicate
-        if (state.devices.find(d => d.deviceId === device.deviceId)) {
-            utils.showToast('Device ID sudah ada', 'error');
+    // Build the PDF for the dialog's selection and download it
+    generate: async () => {
+        if (!window.jspdf) {
+            utils.showToast('Library PDF gagal dimuat', 'error');
             return;
         }
 
-        // Add device
-        state.devices.push(device);
-        storage.saveDevices();
+        const devices = reportManager.selectedDevices();
+        const from = new Date(document.getElementById('reportFrom').value).getTime();
+        const to = new Date(document.getElementById('reportTo').value).getTime();
+        if (devices.length === 0) {
+            utils.showToast('Pilih device atau site', 'warning');
+            return;
+        }
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            utils.showToast('Rentang waktu tidak valid', 'error');
+            return;
+        }
 
-        // Subscribe to MQTT topic
-        if (state.mqttClient && device.mqttTopic) {
-            state.mqttClient.subscribe(device.mqttTopic);
-            console.log('Subscribed to:', device.mqttTopic);
+        let data = [];
+        try {
+            data = await Promise.all(devices.map(device => reportManager.loadDevice(device, from, to)));
+        } catch (error) {
+            console.error('Error loading report data:', error);
+            utils.showToast('Gagal memuat data laporan', 'error');
+            return;
         }
 
-        // Update UI
-        ui.updateDashboard();
-        ui.updateDevicesTable();
-        ui.populateAnalyticsDeviceSelector();
-        mapManager.updateMarkers();
-        ui.closeModal('addDeviceModal');
+        const scope = document.getElementById('reportScope').value;
+        const subject = scope === 'site' ? devices[0].locationName : devices[0].deviceName;
+        const title = `Air Quality Report - ${subject}`;
+
+        const doc = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+        const ctx = { doc, y: reportManager.page.margin };
+        const number = reportManager.number;
+
+        // Cover
+        reportManager.heading(ctx, title, 18);
+        reportManager.keyValues(ctx, [
+            ['Period', `${utils.formatDate(from)} - ${utils.formatDate(to)}`],
+            ['Generated', utils.formatDate(Date.now())],
+            ['Devices', devices.length]
+        ]);
+
+        if (data.length > 1) {
+            reportManager.heading(ctx, 'Site Overview', 11);
+            reportManager.table(ctx,
+                ['Device', 'Samples', 'Avg AQI', 'Max AQI', 'AQI Warning', 'AQI Danger', 'Alerts'],
+                data.map(d => {
+                    const aqi = reportManager.computeStats(d.points).metrics.find(m => m.metric === 'aqi');
+                    return [d.device.deviceName, d.points.length.toLocaleString(), number(aqi.avg), number(aqi.max), aqi.warning, aqi.danger, d.alerts.length];
+                }),
+                [48, 22, 20, 20, 25, 25, 20]
+            );
+        }
 
-        utils.showToast('Device berhasil ditambahkan!', 'success');
-    },
+        data.forEach((d, i) => {
+            if (i > 0 || data.length > 1) {
+                doc.addPage();
+                ctx.y = reportManager.page.margin;
+            }
+            reportManager.deviceSection(ctx, d);
+        });
 
-    // Update existing device
-    updateDevice: () => {
-        const deviceId = document.getElementById('deviceId').value;
-        const deviceIndex = state.devices.findIndex(d => d.deviceId === deviceId);
-        
-        if (deviceIndex === -1) {
-            utils.showToast('Device tidak ditemukan', 'error');
-            return;
+        // Alert log
+        const alerts = data.flatMap(d => d.alerts).sort((a, b) => a.timestamp - b.timestamp);
+        doc.addPage();
+        ctx.y = reportManager.page.margin;
+        reportManager.heading(ctx, 'Alert Log', 13);
+        if (alerts.length === 0) {
+            doc.setFontSize(9);
+            doc.text('Tidak ada alert pada periode ini.', reportManager.page.margin, ctx.y + 3.5);
+        } else {
+            reportManager.table(ctx,
+                ['Time', 'Device', 'Metric', 'Severity', 'Value', 'Threshold', 'Status'],
+                alerts.map(a => [
+                    utils.formatDate(a.timestamp),
+                    a.deviceName,
+                    alertManager.metricLabel(a.metric),
+                    a.severity,
+                    a.value,
+                    a.threshold,
+                    a.status
+                ]),
+                [38, 36, 20, 20, 20, 20, 26]
+            );
         }
 
-        const oldDevice = state.devices[deviceIndex];
+        reportManager.decoratePages(doc, title);
+        doc.save(`aqi_report_${subject.replace(/[^\w-]+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`);
 
-        // Update device data
-        state.devices[deviceIndex] = {
-            ...oldDevice,
-            deviceName: document.getElementById('deviceName').value,
-            sensorType: document.getElementById('sensorType').value,
-            interval: parseInt(document.getElementById('updateInterval').value),
-            locationName: document.getElementById('locationName').value,
-            location: {
-                lat: state.selectedLocation.lat,
-                lng: state.selectedLocation.lng
-            },
-            wifi: document.getElementById('wifiSsid').value,
-            wifiPassword: document.getElementById('wifiPassword').value,
-            protocol: document.getElementById('protocol').value,
-            serverUrl: document.getElementById('serverUrl').value,
-            serverPort: parseInt(document.getElementById('serverPort').value),
-            mqttTopic: document.getElementById('mqttTopic').value
-        };
+        ui.closeModal('reportModal');
+        utils.showToast('Laporan PDF dibuat', 'success');
+    }
+};
 
-        // Save to storage
-        storage.saveDevices();
+// ==================== TAB COORDINATION ====================
+const tabManager = {
+    channel: null,
+    isLeader: false,
 
-        // Resubscribe to MQTT if topic changed
-        if (oldDevice.mqttTopic !== state.devices[deviceIndex].mqttTopic && state.mqttClient) {
-            state.mqttClient.unsubscribe(oldDevice.mqttTopic);
-            state.mqttClient.subscribe(state.devices[deviceIndex].mqttTopic);
+    // Join the tab group and wait to be elected leader
+    init: () => {
+        if ('BroadcastChannel' in window) {
+            tabManager.channel = new BroadcastChannel(CONFIG.tabs.channel);
+            tabManager.channel.onmessage = (e) => tabManager.handleMessage(e.data);
         }
 
-        // Update UI
-        ui.updateDashboard();
-        ui.updateDevicesTable();
-        ui.populateAnalyticsDeviceSelector();
-        mapManager.updateMarkers();
-        ui.closeModal('addDeviceModal');
-        
-        state.editingDevice = null;
+        // localStorage writes from other tabs arrive as storage events
+        window.addEventListener('storage', tabManager.handleStorage);
+        tabManager.broadcast('status-request');
 
-        utils.showToast('Device berhasil diupdate!', 'success');
+        if (navigator.locks) {
+            tabManager.updateIndicator();
+            // The lock is held until this tab closes, then the next tab gets it
+            navigator.locks.request(CONFIG.tabs.leaderLock, () => {
+                tabManager.becomeLeader();
+                return new Promise(() => {});
+            });
+        } else {
+            // Without Web Locks there is no safe election, so act alone
+            tabManager.becomeLeader();
+        }
     },
 
-    // Delete device
-    deleteDevice: (deviceId) => {
-        if (!confirm('Apakah Anda yakin ingin menghapus device ini?')) return;
-
-        const device = state.devices.find(d => d.deviceId === deviceId);
-        
-        // Unsubscribe from MQTT
-        if (device && device.mqttTopic && state.mqttClient) {
-            state.mqttClient.unsubscribe(device.mqttTopic);
-        }
+    // Take over the MQTT connection and persistence
+    becomeLeader: () => {
+        tabManager.isLeader = true;
+        console.log('This tab is now the leader');
+        commandManager.expireStale();
+        // A replaying tab connects once the replay ends
+        if (!replayManager.active) mqttManager.connect();
+        ingestManager.connect();
+        if (retentionManager.historyReady) retentionManager.startScheduler();
+        tabManager.updateIndicator();
+    },
 
-        state.devices = state.devices.filter(d => d.deviceId !== deviceId);
-        storage.saveDevices();
+    // Whether this tab runs handlers that record alerts (the leader, or any tab replaying a session)
+    handlesData: () => tabManager.isLeader || replayManager.active,
 
-        ui.updateDashboard();
-        ui.updateDevicesTable();
-        ui.populateAnalyticsDeviceSelector();
-        mapManager.updateMarkers();
+    // Whether this tab saves readings and device state (a replay only when asked to)
+    persistsData: () => (replayManager.active ? replayManager.persist : tabManager.isLeader),
 
-        utils.showToast('Device berhasil dihapus', 'success');
+    // Send a message to the other tabs
+    broadcast: (type, payload = {}) => {
+        if (tabManager.channel) {
+            tabManager.channel.postMessage({ type, ...payload });
+        }
     },
 
-    // Generate NFC config
-    generateNfcConfig: () => {
-        const config = {
-            nfcId: document.getElementById('deviceId').value,
-            deviceName: document.getElementById('deviceName').value,
-            wifi: document.getElementById('wifiSsid').value,
-            wifiPassword: document.getElementById('wifiPassword').value,
-            serverUrl: document.getElementById('serverUrl').value,
-            serverPort: parseInt(document.getElementById('serverPort').value),
-            sensorType: document.getElementById('sensorType').value,
-            interval: parseInt(document.getElementById('updateInterval').value),
-            protocol: document.getElementById('protocol').value,
-            mqttTopic: document.getElementById('mqttTopic').value,
-            version: "1.0",
-            timestamp: new Date().toISOString()
-        };
+    // Handle a message from another tab
+    handleMessage: (message) => {
+        // A replaying tab shows the recording instead of live data
+        if (message.type === 'mqtt-message' && !tabManager.isLeader && !replayManager.active) {
+            const meta = { retain: message.retain, qos: message.qos };
+            inspector.capture(message.topic, message.payload, meta, 'app');
+            replayManager.record(message.topic, message.payload, meta);
+            mqttManager.handleMessage(message.topic, message.payload, meta);
+        }
 
-        const json = JSON.stringify(config, null, 2);
-        document.getElementById('nfcConfigJson').value = json;
-        ui.showModal('nfcConfigModal');
-    },
+        if (message.type === 'http-reading' && !tabManager.isLeader && !replayManager.active) {
+            ingestManager.receive(message.record);
+        }
 
-    // Download NFC config
-    downloadNfcConfig: () => {
-        const json = document.getElementById('nfcConfigJson').value;
-        const blob = new Blob([json], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `nfc-config-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        utils.showToast('Config berhasil didownload', 'success');
-    }
-};
+        if (message.type === 'alert' && !replayManager.active) {
+            alertManager.receiveAlert(message.alert, message.isNew);
+        }
 
-// ==================== SETTINGS MANAGEMENT ====================
-const settingsManager = {
-    // Load settings into form
-    loadSettings: () => {
-        const settings = storage.loadSettings();
-        
-        // Populate form fields
-        document.getElementById('aqiWarning').value = settings.aqi.warning;
-        document.getElementById('aqiDanger').value = settings.aqi.danger;
-        document.getElementById('tempWarning').value = settings.temp.warning;
-        document.getElementById('tempDanger').value = settings.temp.danger;
-        document.getElementById('humidityWarning').value = settings.humidity.warning;
-        document.getElementById('humidityDanger').value = settings.humidity.danger;
-        document.getElementById('mq135Warning').value = settings.mq135.warning;
-        document.getElementById('mq135Danger').value = settings.mq135.danger;
-        document.getElementById('mq7Warning').value = settings.mq7.warning;
-        document.getElementById('mq7Danger').value = settings.mq7.danger;
-        document.getElementById('mq9Warning').value = settings.mq9.warning;
-        document.getElementById('mq9Danger').value = settings.mq9.danger;
+        // Commands from other tabs go out over the leader's connection
+        if (message.type === 'command' && tabManager.isLeader) {
+            commandManager.dispatch(message.command);
+        }
+
+        if (message.type === 'mqtt-status' && !tabManager.isLeader) {
+            Object.assign(mqttManager.status, message.status);
+            mqttManager.renderStatus();
+        }
+
+        // A new tab asks the leader for the current connection status
+        if (message.type === 'status-request' && tabManager.isLeader) {
+            tabManager.broadcast('mqtt-status', { status: mqttManager.status });
+        }
     },
 
-    // Save settings from form
-    saveSettings: () => {
-        const settings = {
-            aqi: {
-                warning: parseInt(document.getElementById('aqiWarning').value),
-                danger: parseInt(document.getElementById('aqiDanger').value)
-            },
-            temp: {
-                warning: parseInt(document.getElementById('tempWarning').value),
-                danger: parseInt(document.getElementById('tempDanger').value)
-            },
-            humidity: {
-                warning: parseInt(document.getElementById('humidityWarning').value),
-                danger: parseInt(document.getElementById('humidityDanger').value)
-            },
-            mq135: {
-                warning: parseInt(document.getElementById('mq135Warning').value),
-                danger: parseInt(document.getElementById('mq135Danger').value)
-            },
-            mq7: {
-                warning: parseInt(document.getElementById('mq7Warning').value),
-                danger: parseInt(document.getElementById('mq7Danger').value)
-            },
-            mq9: {
-                warning: parseInt(document.getElementById('mq9Warning').value),
-                danger: parseInt(document.getElementById('mq9Danger').value)
+    // Reload data another tab changed
+    handleStorage: (e) => {
+        // Device state is reloaded from storage when the replay ends
+        if (e.key === CONFIG.storage.devices && !replayManager.active) {
+            const previousIds = state.devices.map(d => d.deviceId);
+            storage.loadDevices();
+            // Devices deleted in another tab lose their retained alert state here, on the leader
+            previousIds
+                .filter(id => !state.devices.some(d => d.deviceId === id))
+                .forEach(id => alertPublisher.clearState(id));
+            if (state.selectedDevice) {
+                state.selectedDevice = state.devices.find(d => d.deviceId === state.selectedDevice.deviceId) || null;
             }
-        };
+            mqttManager.syncSubscriptions();
+            ui.updateDashboard();
+            ui.updateDevicesTable();
+            mapManager.updateMarkers();
+        }
 
-        // Validate
-        const isValid = Object.values(settings).every(sensor => 
-            sensor.warning < sensor.danger
-        );
+        if (e.key === CONFIG.storage.settings) {
+            settingsManager.loadSettings();
+        }
 
-        if (!isValid) {
-            utils.showToast('Warning threshold harus lebih kecil dari danger threshold', 'error');
-            return;
+        if (e.key === CONFIG.storage.retention) {
+            retentionManager.loadSettings();
         }
 
-        // Save to storage
-        storage.saveSettings(settings);
-        state.thresholds = settings;
+        if (e.key === CONFIG.storage.alertPublish) {
+            alertPublisher.loadSettings();
+        }
 
-        utils.showToast('Settings berhasil disimpan!', 'success');
+        if (e.key === CONFIG.storage.ingest) {
+            ingestManager.loadSettings();
+            if (tabManager.isLeader) ingestManager.reconnect();
+        }
+
+        if (e.key === CONFIG.storage.vault) {
+            vaultManager.lock();
+            vaultManager.updateStatus();
+        }
+
+        if (e.key === CONFIG.storage.decoders) {
+            storage.loadDecoders();
+            decoderManager.renderList();
+            decoderManager.populateSensorTypes();
+        }
+
+        if (e.key === CONFIG.storage.quarantine && !replayManager.active) {
+            storage.loadQuarantine();
+            quarantineManager.render();
+        }
+
+        if (e.key === CONFIG.storage.commands) {
+            storage.loadCommands();
+            commandManager.render();
+        }
+
+        if (e.key === CONFIG.storage.brokers) {
+            // Any connection setting of the selected profile counts, not only its URL
+            const connection = ({ name, discoveryTopic, ...profile }) => JSON.stringify(profile);
+            const previous = connection(brokerManager.selected());
+            storage.loadBrokers();
+            brokerManager.renderList();
+            if (connection(brokerManager.selected()) !== previous) mqttManager.reconnect();
+        }
+    },
+
+    // Show whether this tab owns the live connection
+    updateIndicator: () => {
+        const indicator = document.getElementById('tabRole');
+        if (!indicator) return;
+        indicator.innerHTML = tabManager.isLeader
+            ? '<i class="fas fa-broadcast-tower"></i> Live'
+            : '<i class="fas fa-clone"></i> Mirror';
+        indicator.title = tabManager.isLeader
+            ? 'This tab owns the MQTT connection and saves data'
+            : 'Another tab owns the MQTT connection; this tab mirrors it';
     }
 };
 
@@ -1556,16 +8120,28 @@ const settingsManager = {
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Initializing Air Quality Monitoring System...');
 
-    // Load data from localStorage
+    // Upgrade stored data, then load it from localStorage
+    schemaManager.run();
     storage.loadDevices();
     storage.loadSettings();
-    storage.loadSensorData();
+    storage.loadRetention();
+    storage.loadAlertPublish();
+    storage.loadIngest();
+    storage.loadBrokers();
+    storage.loadCommands();
+    storage.loadQuarantine();
+    storage.loadDecoders();
+    historyStore.init().then(() => {
+        alertManager.loadAlerts();
+        retentionManager.startScheduler();
+    });
+    presenceManager.startChecks();
 
     // Initialize UI
     ui.init();
 
-    // Connect to MQTT
-    mqttManager.connect();
+    // Connect to MQTT once this tab is elected leader
+    tabManager.init();
 
     // Navigate to dashboard
     ui.navigateTo('dashboard');
@@ -1578,6 +8154,26 @@ window.ui = ui;
 window.deviceManager = deviceManager;
 window.alertManager = alertManager;
 window.notificationManager = notificationManager;
+window.alertsPage = alertsPage;
+window.alertPublisher = alertPublisher;
 window.chartManager = chartManager;
+window.retentionManager = retentionManager;
+window.backupManager = backupManager;
+window.importManager = importManager;
+window.exportManager = exportManager;
+window.reportManager = reportManager;
+window.tabManager = tabManager;
+window.vaultManager = vaultManager;
+window.brokerManager = brokerManager;
+window.mqttManager = mqttManager;
+window.presenceManager = presenceManager;
+window.readingClock = readingClock;
+window.commandManager = commandManager;
+window.quarantineManager = quarantineManager;
+window.decoderManager = decoderManager;
+window.inspector = inspector;
+window.replayManager = replayManager;
+window.simulator = simulator;
+window.discoveryManager = discoveryManager;
 window.state = state;
 window.utils = utils;
@@ -0,0 +1,356 @@
+// EcoNFC ingest server for HTTP/HTTPS devices
+//
+// The firmware's sendDataViaHTTP() POSTs its sensor JSON to serverUrl:serverPort/endpoint
+// with "Authorization: Bearer <apiKey>". This server checks the key against config.json,
+// appends accepted readings to daily NDJSON files and relays them to the dashboard over
+// Server-Sent Events, so HTTP devices show up the same way MQTT ones do.
+//
+// Usage:  node server/server.js [path/to/config.json]
+// Copy config.example.json to config.json and list each device's deviceId (NFC ID) and apiKey.
+// The example secrets must be replaced; the server refuses to start with them.
+// A dashboard served over HTTPS (e.g. GitHub Pages) can only connect to an https:// server,
+// so set tls.key and tls.cert in that case.
+//
+// Routes:
+//   POST <any path>                   Reading from a device (authenticated by its apiKey)
+//   GET  /events?token=...            Live readings as Server-Sent Events (dashboard)
+//   GET  /readings?token=...          Stored readings (deviceId, since, limit)
+//   GET  /health                      Status
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// ==================== CONFIGURATION ====================
+const DEFAULTS = {
+    host: '0.0.0.0',
+    port: 8080,
+    tls: { key: '', cert: '' }, // Both set = HTTPS (the firmware skips certificate checks)
+    dataDir: 'data',
+    dashboardToken: '',
+    corsOrigin: '*',
+    devices: [],
+    maxBodyBytes: 16384,
+    bufferSize: 500, // Recent readings kept to resend after a dashboard reconnects
+    pingInterval: 25000,
+    readingsLimit: 10000
+};
+
+// Secrets shipped in config.example.json; anyone can read them, so they must be replaced
+const PLACEHOLDER_SECRETS = ['change-me', 'change-me-too'];
+
+const configPath = path.resolve(process.argv[2] || process.env.ECONFC_CONFIG || path.join(__dirname, 'config.json'));
+
+const loadConfig = () => {
+    let file = {};
+    try {
+        file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+        console.error(`Cannot read config ${configPath}:`, error.message);
+        process.exit(1);
+    }
+
+    const config = { ...DEFAULTS, ...file, tls: { ...DEFAULTS.tls, ...(file.tls || {}) } };
+    if (process.env.PORT) config.port = parseInt(process.env.PORT);
+    // Relative paths are relative to the config file
+    const base = path.dirname(configPath);
+    config.dataDir = path.resolve(base, config.dataDir);
+    if (config.tls.key) config.tls.key = path.resolve(base, config.tls.key);
+    if (config.tls.cert) config.tls.cert = path.resolve(base, config.tls.cert);
+
+    if (!config.dashboardToken) {
+        console.error('dashboardToken is required so only the dashboard can read relayed readings');
+        process.exit(1);
+    }
+    config.devices = (config.devices || []).filter(device => {
+        if (device.deviceId && device.apiKey) return true;
+        console.warn('Skipping device without deviceId or apiKey:', device.deviceId || device.deviceName || '(unnamed)');
+        return false;
+    });
+
+    const placeholders = [config.dashboardToken, ...config.devices.map(device => device.apiKey)]
+        .filter(secret => PLACEHOLDER_SECRETS.includes(secret));
+    if (placeholders.length) {
+        console.error(`${configPath} still uses the example dashboardToken or apiKey values; replace them with your own secrets`);
+        process.exit(1);
+    }
+    return config;
+};
+
+const config = loadConfig();
+
+// ==================== AUTHENTICATION ====================
+const auth = {
+    // Compare secrets in constant time (hashing first evens out the lengths)
+    matches: (given, expected) => {
+        const a = crypto.createHash('sha256').update(String(given)).digest();
+        const b = crypto.createHash('sha256').update(String(expected)).digest();
+        return crypto.timingSafeEqual(a, b);
+    },
+
+    // Bearer token from the Authorization header
+    bearer: (req) => {
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        return match ? match[1].trim() : '';
+    },
+
+    // Device whose apiKey was sent in the header, or in an apiKey field of the body
+    device: (req, body) => {
+        const key = auth.bearer(req) || (typeof body.apiKey === 'string' ? body.apiKey : '');
+        if (!key) return null;
+        // Check every key so the response time does not reveal which one matched
+        let found = null;
+        for (const device of config.devices) {
+            if (auth.matches(key, device.apiKey) && !found) found = device;
+        }
+        return found;
+    },
+
+    // Dashboard token, from the header or ?token= (EventSource cannot send headers)
+    dashboard: (req, url) => {
+        const token = auth.bearer(req) || url.searchParams.get('token') || '';
+        return !!token && auth.matches(token, config.dashboardToken);
+    }
+};
+
+// ==================== READING STORE ====================
+const store = {
+    seq: Date.now(), // Event ids keep increasing across restarts
+    recent: [],
+
+    // One NDJSON file per UTC day
+    fileFor: (time) => path.join(config.dataDir, `readings-${new Date(time).toISOString().slice(0, 10)}.ndjson`),
+
+    // Append a reading and keep it for reconnecting dashboards
+    add: (device, data, req) => {
+        const record = {
+            id: ++store.seq,
+            deviceId: device.deviceId,
+            receivedAt: Date.now(),
+            path: req.url.split('?')[0],
+            data
+        };
+        fs.appendFileSync(store.fileFor(record.receivedAt), JSON.stringify(record) + '\n');
+
+        store.recent.push(record);
+        if (store.recent.length > config.bufferSize) store.recent.shift();
+        return record;
+    },
+
+    // Readings received after the given event id, from memory
+    since: (lastId) => store.recent.filter(record => record.id > lastId),
+
+    // Stored readings from the files, oldest first. Files are streamed line by
+    // line so a long history does not block devices posting meanwhile
+    query: async ({ deviceId, since, limit }) => {
+        const results = [];
+        const fromDay = new Date(since || 0).toISOString().slice(0, 10);
+        const files = (await fs.promises.readdir(config.dataDir))
+            .filter(name => /^readings-\d{4}-\d{2}-\d{2}\.ndjson$/.test(name) && name.slice(9, 19) >= fromDay)
+            .sort();
+
+        for (const name of files) {
+            const stream = fs.createReadStream(path.join(config.dataDir, name), 'utf8');
+            const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+            try {
+                for await (const line of lines) {
+                    if (!line) continue;
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (error) {
+                        continue; // A partly written last line
+                    }
+                    if (deviceId && record.deviceId !== deviceId) continue;
+                    if (since && record.receivedAt <= since) continue;
+                    results.push(record);
+                    if (results.length >= limit) return results;
+                }
+            } finally {
+                lines.close();
+                stream.destroy();
+            }
+        }
+        return results;
+    }
+};
+
+// ==================== LIVE RELAY ====================
+const relay = {
+    clients: new Set(),
+
+    // Write one reading as an SSE event. sentAt lets the dashboard measure the delay
+    // since receivedAt with this server's clock instead of comparing two clocks
+    write: (res, record) => {
+        res.write(`id: ${record.id}\nevent: reading\ndata: ${JSON.stringify({ ...record, sentAt: Date.now() })}\n\n`);
+    },
+
+    // Open an event stream, first resending what a reconnecting dashboard missed
+    open: (req, res, url) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write('retry: 5000\n\n');
+
+        const lastId = parseInt(req.headers['last-event-id'] || url.searchParams.get('lastEventId')) || 0;
+        if (lastId) store.since(lastId).forEach(record => relay.write(res, record));
+
+        relay.clients.add(res);
+        req.on('close', () => relay.clients.delete(res));
+    },
+
+    // Send a reading to every connected dashboard
+    broadcast: (record) => {
+        relay.clients.forEach(res => relay.write(res, record));
+    },
+
+    // Comment lines keep proxies from closing idle streams
+    ping: () => {
+        relay.clients.forEach(res => res.write(': ping\n\n'));
+    }
+};
+
+// ==================== HTTP HANDLERS ====================
+const sendJSON = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+// Read the request body, rejecting oversized ones
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > config.maxBodyBytes) {
+            // Answer right away; the request is destroyed after the 413 is sent
+            reject(Object.assign(new Error('Body too large'), { status: 413 }));
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+});
+
+const handlers = {
+    // Reading POSTed by a device
+    ingest: async (req, res) => {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (error) {
+            sendJSON(res, error.status || 400, { error: error.status ? error.message : 'Body must be JSON' });
+            // Stop receiving the rest of an oversized body once the answer is out
+            if (error.status === 413) res.on('finish', () => req.destroy());
+            return;
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            sendJSON(res, 400, { error: 'Body must be a JSON object' });
+            return;
+        }
+
+        const device = auth.device(req, body);
+        if (!device) {
+            sendJSON(res, 401, { error: 'Invalid or missing apiKey' });
+            return;
+        }
+        // A key only vouches for its own device
+        if (body.deviceId !== undefined && String(body.deviceId) !== device.deviceId) {
+            sendJSON(res, 403, { error: 'deviceId does not match apiKey' });
+            return;
+        }
+
+        const data = { ...body };
+        delete data.apiKey;
+        const record = store.add(device, data, req);
+        relay.broadcast(record);
+        console.log(`Reading from ${device.deviceId} on ${record.path} (${relay.clients.size} dashboard(s))`);
+        sendJSON(res, 200, { ok: true, id: record.id });
+    },
+
+    // Stored readings for the dashboard or exports
+    readings: async (req, res, url) => {
+        const limit = Math.min(parseInt(url.searchParams.get('limit')) || 1000, config.readingsLimit);
+        const since = parseInt(url.searchParams.get('since')) || 0;
+        const deviceId = url.searchParams.get('deviceId') || null;
+        sendJSON(res, 200, await store.query({ deviceId, since, limit }));
+    },
+
+    health: (req, res) => {
+        sendJSON(res, 200, {
+            ok: true,
+            devices: config.devices.length,
+            dashboards: relay.clients.size,
+            uptime: Math.round(process.uptime())
+        });
+    }
+};
+
+const route = async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, Last-Event-ID');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method === 'POST') {
+        await handlers.ingest(req, res);
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+        handlers.health(req, res);
+        return;
+    }
+
+    if (req.method === 'GET' && (url.pathname === '/events' || url.pathname === '/readings')) {
+        if (!auth.dashboard(req, url)) {
+            sendJSON(res, 401, { error: 'Invalid or missing dashboard token' });
+            return;
+        }
+        if (url.pathname === '/events') {
+            relay.open(req, res, url);
+        } else {
+            await handlers.readings(req, res, url);
+        }
+        return;
+    }
+
+    sendJSON(res, 404, { error: 'Not found' });
+};
+
+// ==================== STARTUP ====================
+fs.mkdirSync(config.dataDir, { recursive: true });
+
+const useTls = !!(config.tls.key && config.tls.cert);
+const requestHandler = (req, res) => {
+    route(req, res).catch((error) => {
+        console.error('Error handling request:', error);
+        if (!res.headersSent) sendJSON(res, 500, { error: 'Internal error' });
+        else res.end();
+    });
+};
+const server = useTls
+    ? https.createServer({ key: fs.readFileSync(config.tls.key), cert: fs.readFileSync(config.tls.cert) }, requestHandler)
+    : http.createServer(requestHandler);
+
+setInterval(relay.ping, config.pingInterval).unref();
+
+server.listen(config.port, config.host, () => {
+    console.log(`EcoNFC ingest server on ${useTls ? 'https' : 'http'}://${config.host}:${config.port}`);
+    console.log(`${config.devices.length} device(s), readings in ${config.dataDir}`);
+});